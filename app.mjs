@@ -3,16 +3,16 @@ import createError from 'http-errors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import cookieParser from 'cookie-parser';
-import logger from 'morgan';
 import session from 'express-session';
 import passport from 'passport';
 import qs from 'querystring';
 import { Strategy } from 'passport-openidconnect';
-import axios from 'axios';
+import jwt from 'jsonwebtoken';
 
 // Import session store and universal logout
-import { store, registerUserSession, unregisterUserSession } from './sessionStore.mjs';
+import { store, registerUserSession, unregisterUserSession, trackSessionActivity, recordSessionClient, SESSION_TTL } from './sessionStore.mjs';
 import { universalLogoutRoute, universalLogoutAuth, initializeJwksClient } from './universalLogout.mjs';
+import { backchannelLogout, frontchannelLogout, logoutMetadata } from './oidcLogout.mjs';
 
 // source and import environment variables
 import dotenv from 'dotenv'
@@ -29,7 +29,26 @@ const REVOCATION_ENDPOINT = `${APP_BASE_URL}/api/global-token-revocation`;
 import homeRoute from './routes/index.js';
 import profileRouter from './routes/profile.mjs';
 import wireTransferRouter from './routes/wire-transfer.mjs';
+import payeesRouter from './routes/payees.mjs';
+import accountsRouter from './routes/accounts.mjs';
+import statementsRouter from './routes/statements.mjs';
+import transferRouter from './routes/transfer.mjs';
+import billPayRouter from './routes/bill-pay.mjs';
+import adminRouter, { isAdmin } from './routes/admin.mjs';
+import { formatCents } from './database/ledger.mjs';
+import { stepUpOptions, stepUpAuthorizationParams, completeTransactionAuthorization } from './services/transactionAuthorization.mjs';
+import { requestedAcr, recordStepUp, verifyStepUpClaims } from './services/stepUpPolicy.mjs';
+import { recordSecurityEvent, SECURITY_EVENTS } from './database/securityEvents.mjs';
+import { trackOutcome } from './services/metrics.mjs';
+import { createLogger, requestContext, requestLogger } from './services/logger.mjs';
+import { csrfProtection } from './services/csrf.mjs';
+import { rateLimit } from './services/rateLimit.mjs';
+import { renderingPreferences } from './services/renderingPreferences.mjs';
+import healthRouter from './routes/health.mjs';
+import { startDiscovery, requireDiscovery, getDiscoveryMetadata } from './services/oidcDiscovery.mjs';
+import { configureTokenVault, tokenSetFrom, storeTokens, getIdToken, keepTokensFresh } from './services/tokenVault.mjs';
 const app = express();
+const log = createLogger('app');
 
 // view engine setup
 const __filename = fileURLToPath(import.meta.url);
@@ -37,12 +56,27 @@ const __dirname = path.dirname(__filename);
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'pug');
 
-app.use(logger('dev'));
+// Behind a load balancer or CDN, trust its X-Forwarded-For so req.ip is the client's
+// address (rate limits, session list). TRUST_PROXY: number of proxy hops, "true" or a list of addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Helpers available to every view (replaced per request by the user's preferences, see renderingPreferences)
+app.locals.formatCents = formatCents;
+
+// Correlation ID for every request (X-Request-ID) and a structured access log
+app.use(requestContext);
+app.use(requestLogger);
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Liveness, readiness and Prometheus metrics - ahead of the session so probes don't touch it
+app.use('/', healthRouter);
+
 // Use the shared session store for Universal Logout support
 app.use(session({
   secret: SESSION_SECRET || 'CanYouLookTheOtherWay',
@@ -52,79 +86,132 @@ app.use(session({
   cookie: {
     httpOnly: true,
     sameSite: 'lax',
-    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+    maxAge: SESSION_TTL
   }
 }));
 
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Refresh the session's access token when it is about to expire
+app.use(keepTokensFresh);
+
+// Record last activity, IP and user agent for the admin session list
+app.use(trackSessionActivity);
+
+// Show the Admin link to members of the admin group
+app.use((req, res, next) => {
+  res.locals.isAdmin = isAdmin(req);
+  next();
+});
+
+// The user's theme, date format and currency display for views and routes
+app.use(renderingPreferences);
+
+// CSRF tokens for every state-changing form (the Okta-called /api endpoints are exempt)
+app.use(csrfProtection);
+
 // Initialize JWKS client for Universal Logout JWT validation
 initializeJwksClient(ORG_URL);
 
-// https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderConfigurationRequest
-let logout_url, id_token;
-const _base = ORG_URL.slice(-1) == '/' ? ORG_URL.slice(0, -1) : ORG_URL;
-
-axios
-  .get(`${_base}/.well-known/openid-configuration`)
-  .then(res => {
-    if (res.status == 200) {
-      let { issuer, authorization_endpoint, token_endpoint, userinfo_endpoint, end_session_endpoint } = res.data;
-      logout_url = end_session_endpoint;
-
-      // Set up passport - standard login
-      passport.use('oidc', new Strategy({
-        issuer,
-        authorizationURL: authorization_endpoint,
-        tokenURL: token_endpoint,
-        userInfoURL: userinfo_endpoint,
-        clientID: CLIENT_ID,
-        clientSecret: CLIENT_SECRET,
-        callbackURL: `${APP_BASE_URL}/authorization-code/callback`,
-        scope: 'openid profile email',
-      }, (issuer, profile, context, idToken, accessToken, params, done) => {
-        console.log(`OIDC response: ${JSON.stringify({
-          issuer, profile, context, idToken,
-          accessToken, params
-        }, null, 2)}\n*****`);
-        id_token = idToken;
-        return done(null, profile);
-      }));
-
-      // Set up passport - step-up MFA authentication
-      // Uses acr_values to require multi-factor authentication
-      // See: https://developer.okta.com/docs/guides/step-up-authentication/main/
-      passport.use('oidc-mfa', new Strategy({
-        issuer,
-        authorizationURL: authorization_endpoint,
-        tokenURL: token_endpoint,
-        userInfoURL: userinfo_endpoint,
-        clientID: CLIENT_ID,
-        clientSecret: CLIENT_SECRET,
-        callbackURL: `${APP_BASE_URL}/authorization-code/callback-mfa`,
-        scope: 'openid profile email',
-        // Step-up authentication parameters
-        acrValues: 'urn:okta:loa:2fa:any',  // Require 2FA with any factor
-        maxAge: 0,  // Force fresh authentication
-      }, (issuer, profile, context, idToken, accessToken, params, done) => {
-        console.log('MFA step-up authentication successful for:', profile.displayName);
-        console.log('ACR claim:', context?.acr || 'not present');
-        console.log('AMR claim:', context?.amr || 'not present');
-        id_token = idToken;
-        // Store the authentication context for verification
-        profile.mfaVerified = true;
-        profile.authTime = context?.auth_time || Date.now();
-        return done(null, profile);
-      }));
+/**
+ * Step-up strategy that asks for the level the step-up policy requires
+ * (acr_values) and can bind a transaction into the authorization request
+ * (nonce derived from the transaction hash, optional RAR authorization_details)
+ *
+ * max_age=0 makes Okta authenticate the user again even if their Okta session
+ * already meets acr_values, so the ID token's auth_time is fresh enough for
+ * verifyStepUpClaims(). (The strategy's own maxAge option is not sent when it is 0.)
+ */
+class StepUpStrategy extends Strategy {
+  authorizationParams(options) {
+    return { acr_values: options.acrValues, max_age: 0, ...stepUpAuthorizationParams(options) };
+  }
+}
+
+// `groups` asks for the groups claim (admin console access); the Okta app's groups claim filter decides which groups are sent
+// Request a refresh token as well when the Okta app allows the Refresh Token grant
+const OIDC_SCOPE = process.env.OIDC_OFFLINE_ACCESS === 'true'
+  ? 'openid profile email groups offline_access'
+  : 'openid profile email groups';
+
+/**
+ * Register the passport strategies and configure the token vault from the
+ * org's OIDC metadata. Called by the discovery manager every time the
+ * metadata is fetched (at startup, on retries and on periodic refresh).
+ * @param {object} metadata - OpenID Connect discovery document
+ */
+function configureOidc(metadata) {
+  const { issuer, authorization_endpoint, token_endpoint, userinfo_endpoint, revocation_endpoint } = metadata;
+  configureTokenVault({
+    tokenEndpoint: token_endpoint,
+    revocationEndpoint: revocation_endpoint,
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET
+  });
+
+  // Set up passport - standard login
+  passport.use('oidc', new Strategy({
+    issuer,
+    authorizationURL: authorization_endpoint,
+    tokenURL: token_endpoint,
+    userInfoURL: userinfo_endpoint,
+    clientID: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+    callbackURL: `${APP_BASE_URL}/authorization-code/callback`,
+    scope: OIDC_SCOPE,
+    passReqToCallback: true,
+  }, (req, issuer, profile, context, idToken, accessToken, refreshToken, params, done) => {
+    log.info('OIDC sign-in', { userId: profile.id, issuer });
+    // Stored in the session's token vault once passport has set up the new session
+    req.oidcTokens = tokenSetFrom({ idToken, accessToken, refreshToken, params });
+    return done(null, profile);
+  }));
+
+  // Set up passport - step-up MFA authentication
+  // Uses acr_values to require multi-factor authentication
+  // See: https://developer.okta.com/docs/guides/step-up-authentication/main/
+  passport.use('oidc-mfa', new StepUpStrategy({
+    issuer,
+    authorizationURL: authorization_endpoint,
+    tokenURL: token_endpoint,
+    userInfoURL: userinfo_endpoint,
+    clientID: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+    callbackURL: `${APP_BASE_URL}/authorization-code/callback-mfa`,
+    scope: OIDC_SCOPE,
+    // Step-up authentication parameters (acr_values and max_age) are added by
+    // StepUpStrategy; acr_values comes from the step-up policy (services/stepUpPolicy.mjs),
+    // urn:okta:loa:2fa:any unless a policy asks for more
+    passReqToCallback: true,
+  }, (req, issuer, profile, context, idToken, accessToken, refreshToken, params, done) => {
+    const claims = jwt.decode(idToken) || {};
+    log.info('MFA step-up completed at Okta', { userId: profile.id, acr: claims.acr || null, amr: claims.amr || null });
+
+    // Only trust the step-up if Okta authenticated the user as strongly as we asked
+    const weakness = verifyStepUpClaims(req, claims);
+    if (weakness) {
+      log.warn('MFA step-up rejected', { userId: profile.id, reason: weakness });
+      req.stepUpRejection = weakness;
+      return done(null, false, { message: weakness });
     }
-    else {
-      console.error(`Unable to reach the well-known endpoint. Are you sure that the ORG_URL you provided (${ORG_URL}) is correct?`);
+
+    // If the step-up was started for a transaction, the ID token must be bound to it
+    const rejection = completeTransactionAuthorization(req, claims, params);
+    if (rejection) {
+      log.warn('Transaction step-up rejected', { userId: profile.id, reason: rejection });
+      req.stepUpRejection = rejection;
+      return done(null, false, { message: rejection });
     }
-  })
-  .catch(error => {
-    console.error(error);
-  });
+
+    req.oidcTokens = tokenSetFrom({ idToken, accessToken, refreshToken, params });
+    return done(null, profile);
+  }));
+}
+
+// Fetch the OIDC metadata, retrying with backoff until Okta is reachable;
+// sign-in routes show "sign-in temporarily unavailable" until then
+startDiscovery(ORG_URL, configureOidc);
 
 passport.serializeUser((user, next) => {
   next(null, user);
@@ -156,9 +243,13 @@ app.use((req, res, next) => {
 
 app.use('/', homeRoute);
 
-app.use('/login', passport.authenticate('oidc'));
+// Sign-in routes are rate limited and wait for OIDC discovery ("sign-in temporarily unavailable" until then)
+app.use('/login', rateLimit('login'), requireDiscovery, passport.authenticate('oidc'));
 
 app.use('/authorization-code/callback',
+  trackOutcome('login'),
+  rateLimit('login'),
+  requireDiscovery,
   // https://github.com/jaredhanson/passport/issues/458
   passport.authenticate('oidc', { failureMessage: true, failWithError: true }),
   (req, res) => {
@@ -169,29 +260,74 @@ app.use('/authorization-code/callback',
                    req.user._json?.email ||
                    req.user.preferred_username ||
                    req.user.username;
+      // Okta session this sign-in belongs to, for OIDC back-channel logout
+      const claims = (req.oidcTokens && jwt.decode(req.oidcTokens.idToken)) || {};
+      if (claims.sid) {
+        req.session.idp = { iss: claims.iss, sid: claims.sid };
+      }
+      // Group memberships (admin console access) and sign-in details for the admin session list
+      req.session.groups = Array.isArray(claims.groups) ? claims.groups : [];
+      req.session.loginAt = Date.now();
+      req.session.lastActivityAt = req.session.loginAt;
+      recordSessionClient(req);
+      recordSecurityEvent(req.user.id, SECURITY_EVENTS.SIGN_IN, {
+        ip: req.session.ip,
+        userAgent: req.session.userAgent,
+        location: req.session.location
+      });
       if (email && req.sessionID) {
-        registerUserSession(email, req.sessionID);
-        console.log(`Session registered for user: ${email}, sessionID: ${req.sessionID}`);
+        registerUserSession(email, req.sessionID, { subject: req.user.id, idpSessionId: claims.sid });
       }
     }
+    if (req.oidcTokens) {
+      storeTokens(req, req.oidcTokens);
+    }
     res.redirect('/profile');
   }
 );
 
 // Step-up MFA authentication for sensitive operations
-app.get('/stepup-mfa', ensureLoggedIn, passport.authenticate('oidc-mfa'));
+// A step-up started for a wire (?transaction=<ref>) is bound to that transaction
+app.get('/stepup-mfa', ensureLoggedIn, rateLimit('step_up'), requireDiscovery, (req, res, next) => {
+  passport.authenticate('oidc-mfa', { ...stepUpOptions(req), acrValues: requestedAcr(req) })(req, res, next);
+});
 
 // Callback for MFA step-up authentication
 app.use('/authorization-code/callback-mfa',
+  trackOutcome('step_up'),
+  rateLimit('step_up'),
+  requireDiscovery,
   passport.authenticate('oidc-mfa', { failureMessage: true, failWithError: true, keepSessionInfo: true }),
   (req, res) => {
-    // Mark session as MFA verified
-    req.session.mfaVerified = true;
-    req.session.mfaVerifiedAt = Date.now();
+    if (req.oidcTokens) {
+      storeTokens(req, req.oidcTokens);
+    }
+    // Mark session as MFA verified (the claims were checked in the verify callback)
+    recordStepUp(req, { acr: req.oidcTokens?.acr, authTime: req.oidcTokens?.authTime });
+    recordSessionClient(req);
+    recordSecurityEvent(req.user.id, SECURITY_EVENTS.MFA_STEP_UP, {
+      ip: req.session.ip,
+      userAgent: req.session.userAgent,
+      location: req.session.location
+    });
     const returnUrl = req.session.mfaReturnUrl || '/profile/edit';
     delete req.session.mfaReturnUrl;
-    console.log(`User completed MFA step-up, redirecting to ${returnUrl}`);
+    log.info('MFA step-up verified', { userId: req.user.id, acr: req.session.mfaAcr, returnUrl });
     res.redirect(returnUrl);
+  },
+  // A step-up that was too weak (acr/amr/auth_time) or bound to another transaction - explain why instead of the generic error page
+  (err, req, res, next) => {
+    if (!req.stepUpRejection) {
+      return next(err);
+    }
+    // Shown here, so don't repeat it on a later error page
+    delete req.session.messages;
+    res.locals.metricsOutcome = 'rejected';
+    res.status(403).render('mfa-required', {
+      authenticated: req.isAuthenticated(),
+      user: req.user,
+      reason: req.stepUpRejection
+    });
   }
 );
 
@@ -206,9 +342,27 @@ app.get('/mfa-required', (req, res) => {
 // Profile routes (view, edit, update)
 app.use('/profile', profileRouter);
 
+// Account details and transaction history
+app.use('/accounts', accountsRouter);
+
+// Monthly statements (PDF, CSV, OFX/QFX)
+app.use('/statements', statementsRouter);
+
+// Transfers between the customer's own accounts
+app.use('/transfer', transferRouter);
+
+// Bill pay (billers, scheduled and recurring payments)
+app.use('/bill-pay', billPayRouter);
+
 // Wire transfer routes
 app.use('/wire-transfer', wireTransferRouter);
 
+// Saved payee (beneficiary) routes
+app.use('/payees', payeesRouter);
+
+// Admin console (active sessions, forced sign-out) - ADMIN_GROUP members only
+app.use('/admin', adminRouter);
+
 app.post('/logout', (req, res, next) => {
   // Unregister the session from Universal Logout tracking
   if (req.user) {
@@ -218,20 +372,36 @@ app.post('/logout', (req, res, next) => {
                  req.user.preferred_username ||
                  req.user.username;
     if (email && req.sessionID) {
-      unregisterUserSession(email, req.sessionID);
+      unregisterUserSession(email, req.sessionID, { subject: req.user.id });
     }
   }
 
+  // Read the ID token before logout clears the session
+  const idToken = getIdToken(req);
+
+  // Okta's end-session endpoint, known once OIDC discovery has succeeded
+  const logoutUrl = getDiscoveryMetadata()?.end_session_endpoint;
+
   req.logout(err => {
     if (err) { return next(err); }
+    if (!idToken || !logoutUrl) {
+      // Without this session's ID token Okta can't end its session, so just sign out locally
+      return res.redirect('/');
+    }
     let params = {
-      id_token_hint: id_token,
+      id_token_hint: idToken,
       post_logout_redirect_uri: `${APP_BASE_URL}/`
     }
-    res.redirect(logout_url + '?' + qs.stringify(params));
+    res.redirect(logoutUrl + '?' + qs.stringify(params));
   });
 });
 
+// OIDC Front-Channel Logout - loaded by the IdP in a hidden iframe
+// FRONTCHANNEL_FRAME_ANCESTORS: extra origins (space-separated) allowed to embed it, e.g. a portal
+app.get('/frontchannel-logout', frontchannelLogout(ORG_URL, {
+  frameAncestors: (process.env.FRONTCHANNEL_FRAME_ANCESTORS || '').split(/\s+/).filter(Boolean)
+}));
+
 /**
  * Universal Logout API endpoints
  *
@@ -244,10 +414,12 @@ app.post('/logout', (req, res, next) => {
  * the public keys from the JWKS endpoint.
  */
 
-// Mount Universal Logout routes with JWT authentication
-app.use('/api', universalLogoutAuth(ORG_URL, REVOCATION_ENDPOINT), universalLogoutRoute);
+// OIDC Back-Channel Logout - authenticated by the signed logout token itself,
+// so it is mounted ahead of the Universal Logout bearer authentication
+app.post('/api/backchannel-logout', backchannelLogout(ORG_URL, CLIENT_ID));
 
-// Health check endpoint (no auth required)
+// Universal Logout service info and the logout URIs to register in Okta (no auth required)
+// Liveness, readiness and metrics are served at /healthz, /readyz and /metrics
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
@@ -256,12 +428,26 @@ app.get('/api/health', (req, res) => {
     supported_formats: ['email', 'iss_sub'],
     endpoints: {
       revocation: '/api/global-token-revocation',
-      health: '/api/health'
+      backchannel_logout: '/api/backchannel-logout',
+      frontchannel_logout: '/frontchannel-logout',
+      health: '/api/health',
+      liveness: '/healthz',
+      readiness: '/readyz',
+      metrics: '/metrics'
     },
+    client_metadata: logoutMetadata(APP_BASE_URL),
     timestamp: new Date().toISOString()
   });
 });
 
+// Count and time Universal Logout requests, including ones rejected by the JWT check,
+// and rate limit them before any JWT or JWKS work is done. The JWT check is scoped
+// to this path, so a token sent anywhere else under /api is never looked at.
+app.use('/api/global-token-revocation', trackOutcome('gtr'), rateLimit('gtr'), universalLogoutAuth(ORG_URL, REVOCATION_ENDPOINT));
+
+// Mount Universal Logout routes
+app.use('/api', universalLogoutRoute);
+
 // catch 404 and forward to error handler
 app.use(function (req, res, next) {
   next(createError(404));
@@ -274,35 +460,35 @@ app.use(function (err, req, res, next) {
     (req.session.messages && ": " + req.session.messages.join("\n. ") || '');
   res.locals.error = req.app.get('env') === 'development' ? err : {};
 
+  const status = err.status || 500;
+  if (status >= 500) {
+    log.error('Unhandled error', { error: err, path: req.path });
+  }
+
   // render the error page
-  res.status(err.status || 500);
+  res.status(status);
   res.render('error');
 });
 
 // Log Universal Logout configuration on startup
-console.log('\n============================================================');
-console.log('SecureBank - Universal Logout v2.0 (Okta Specification)');
-console.log('============================================================');
-console.log('');
-console.log('Endpoints:');
-console.log('  POST /api/global-token-revocation  - Revoke user sessions');
-console.log('  GET  /api/health                   - Health check');
-console.log('');
-console.log('Authentication:');
-console.log('  Okta-signed JWT required');
-console.log('  Header: { "typ": "global-token-revocation+jwt", "alg": "RS256" }');
-console.log('  JWKS:   ' + _base + '/oauth2/v1/keys');
-console.log('');
-console.log('Subject Identifier Formats:');
-console.log('  - email:   { "sub_id": { "format": "email", "email": "user@example.com" } }');
-console.log('  - iss_sub: { "sub_id": { "format": "iss_sub", "iss": "...", "sub": "..." } }');
-console.log('');
-console.log('Response Codes:');
-console.log('  204 - Success (sessions revoked)');
-console.log('  400 - Malformed request');
-console.log('  401 - Invalid authentication');
-console.log('  404 - User not found');
-console.log('  422 - Unable to revoke sessions');
-console.log('============================================================\n');
+log.info('SecureBank - Universal Logout v2.0 (Okta Specification)', {
+  endpoints: {
+    'POST /api/global-token-revocation': 'Revoke user sessions',
+    'POST /api/backchannel-logout': 'OIDC Back-Channel Logout (logout_token)',
+    'GET /frontchannel-logout': 'OIDC Front-Channel Logout (iss, sid)',
+    'GET /api/health': 'Service info and logout URIs',
+    'GET /healthz, /readyz, /metrics': 'Liveness, readiness, Prometheus metrics'
+  },
+  gtr: {
+    authentication: 'Okta-signed JWT, typ global-token-revocation+jwt',
+    policy: `${process.env.GTR_VALIDATION_MODE || 'strict'}, one-time jti, max age ${process.env.GTR_MAX_TOKEN_AGE_SECONDS || 300}s`,
+    jwks: ORG_URL.replace(/\/$/, '') + '/oauth2/v1/keys',
+    subjectFormats: ['email', 'iss_sub']
+  },
+  logoutUris: {
+    frontchannel: APP_BASE_URL + '/frontchannel-logout',
+    backchannel: APP_BASE_URL + '/api/backchannel-logout'
+  }
+});
 
 export default app;
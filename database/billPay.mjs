@@ -0,0 +1,460 @@
+import crypto from 'crypto';
+import { getDatabase } from './connection.mjs';
+import { migrate } from './migrations.mjs';
+import { postBillPayment } from './ledger.mjs';
+import { today, nextRunDate } from './internalTransfers.mjs';
+
+/**
+ * Bill pay: billers, scheduled payments and their payment history
+ *
+ * A payment is a schedule - one-off ("once") or recurring (weekly, monthly,
+ * or every N days) - with the date of its next payment. The background
+ * scheduler (services/scheduler.mjs) pays due payments from the customer's
+ * checking or savings account and records each attempt in the history.
+ *
+ * A payment that fails for lack of funds is retried every
+ * BILLPAY_RETRY_INTERVAL_HOURS, up to BILLPAY_MAX_ATTEMPTS attempts in all.
+ * After the last failed attempt a recurring payment moves on to its next
+ * date and a one-off payment is marked failed.
+ */
+
+// Attempts (first try plus retries) before an insufficient-funds payment gives up (default 3)
+export const BILLPAY_MAX_ATTEMPTS = Math.max(1, Number(process.env.BILLPAY_MAX_ATTEMPTS) || 3);
+
+// Time between attempts (default 24 hours)
+const RETRY_INTERVAL = (Number(process.env.BILLPAY_RETRY_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+
+export const PAYMENT_STATUS = {
+  SCHEDULED: 'scheduled',
+  FINISHED: 'finished',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+export const HISTORY_STATUS = {
+  PAID: 'paid',
+  FAILED: 'failed',
+  RETRYING: 'retrying',
+  SKIPPED: 'skipped'
+};
+
+export const PAYMENT_FREQUENCIES = ['once', 'weekly', 'monthly', 'custom'];
+
+const MIGRATION_SCOPE = 'bill_pay';
+
+/**
+ * Bill pay schema, oldest first (see database/migrations.mjs)
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create billers, bill_payments and bill_payment_history',
+    up: `
+      CREATE TABLE IF NOT EXISTS billers (
+        id TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        nickname TEXT,
+        account_number TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        deleted_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_billers_owner ON billers (owner_id);
+
+      CREATE TABLE IF NOT EXISTS bill_payments (
+        id TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL,
+        biller_id TEXT NOT NULL REFERENCES billers (id),
+        from_account_id TEXT NOT NULL,
+        amount_cents INTEGER NOT NULL,
+        memo TEXT,
+        frequency TEXT NOT NULL,
+        interval_days INTEGER,
+        anchor_day INTEGER NOT NULL,
+        next_pay_on TEXT,
+        end_on TEXT,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        retry_at TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_bill_payments_due ON bill_payments (status, next_pay_on);
+      CREATE INDEX IF NOT EXISTS idx_bill_payments_owner ON bill_payments (owner_id);
+
+      CREATE TABLE IF NOT EXISTS bill_payment_history (
+        ref TEXT PRIMARY KEY,
+        payment_id TEXT NOT NULL REFERENCES bill_payments (id),
+        owner_id TEXT NOT NULL,
+        due_on TEXT NOT NULL,
+        amount_cents INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        attempt INTEGER,
+        reason TEXT,
+        ledger_entry_id INTEGER,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_bill_payment_history_owner ON bill_payment_history (owner_id, created_at);
+    `
+  }
+];
+
+let initialized = false;
+
+/**
+ * Bring the bill pay schema up to date on first use
+ * @returns {import('better-sqlite3').Database} Database connection
+ */
+function db() {
+  const database = getDatabase();
+  if (initialized) return database;
+
+  migrate(database, MIGRATION_SCOPE, MIGRATIONS);
+
+  initialized = true;
+  return database;
+}
+
+/**
+ * Generate a bill payment reference number, e.g. "BP-MF3K2A1B-9Q4Z1C"
+ * @returns {string} Reference number
+ */
+function generateRef() {
+  return 'BP-' + Date.now().toString(36).toUpperCase() + '-' + crypto.randomBytes(3).toString('hex').toUpperCase();
+}
+
+function toBiller(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    nickname: row.nickname,
+    accountNumber: row.account_number,
+    maskedAccountNumber: `****${row.account_number.slice(-4)}`,
+    displayName: row.nickname || row.name,
+    createdAt: row.created_at
+  };
+}
+
+function toPayment(row) {
+  return {
+    id: row.id,
+    billerId: row.biller_id,
+    billerName: row.biller_nickname || row.biller_name,
+    fromAccountId: row.from_account_id,
+    amountCents: row.amount_cents,
+    memo: row.memo,
+    frequency: row.frequency,
+    intervalDays: row.interval_days,
+    nextPayOn: row.next_pay_on,
+    endOn: row.end_on,
+    status: row.status,
+    attempts: row.attempts,
+    retryAt: row.retry_at,
+    recurring: row.frequency !== 'once',
+    createdAt: row.created_at
+  };
+}
+
+function toHistory(row) {
+  return {
+    ref: row.ref,
+    paymentId: row.payment_id,
+    billerName: row.biller_nickname || row.biller_name,
+    dueOn: row.due_on,
+    amountCents: row.amount_cents,
+    status: row.status,
+    attempt: row.attempt,
+    reason: row.reason,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Validate biller form input
+ * @param {object} input - Form fields
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateBiller({ name, accountNumber }) {
+  const errors = [];
+
+  if (!name || !name.trim()) {
+    errors.push('Biller name is required.');
+  }
+
+  if (!accountNumber || !/^[A-Za-z0-9-]{4,30}$/.test(accountNumber.trim())) {
+    errors.push('Your account number with the biller must be 4 to 30 letters, digits or dashes.');
+  }
+
+  return errors;
+}
+
+/**
+ * List a user's billers
+ * @param {string} ownerId - Okta user ID
+ * @returns {object[]} Billers sorted by name
+ */
+export function listBillers(ownerId) {
+  return db().prepare(`
+    SELECT * FROM billers WHERE owner_id = ? AND deleted_at IS NULL
+    ORDER BY COALESCE(nickname, name) COLLATE NOCASE
+  `).all(ownerId).map(toBiller);
+}
+
+/**
+ * Get one of a user's billers
+ * @param {string} ownerId - Okta user ID
+ * @param {string} billerId - Biller ID
+ * @returns {object|undefined} Biller, or undefined if the user doesn't own it
+ */
+export function getBiller(ownerId, billerId) {
+  const row = db().prepare('SELECT * FROM billers WHERE id = ? AND owner_id = ? AND deleted_at IS NULL').get(billerId, ownerId);
+  return row ? toBiller(row) : undefined;
+}
+
+/**
+ * Save a new biller
+ * @param {string} ownerId - Okta user ID
+ * @param {object} biller - Validated biller fields
+ * @returns {object} Created biller
+ */
+export function createBiller(ownerId, { name, nickname, accountNumber }) {
+  const id = `bil_${crypto.randomBytes(6).toString('hex')}`;
+  db().prepare(`
+    INSERT INTO billers (id, owner_id, name, nickname, account_number, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, ownerId, name, nickname || null, accountNumber, new Date().toISOString());
+  return getBiller(ownerId, id);
+}
+
+/**
+ * Remove a biller, cancelling its scheduled payments
+ * The biller row is kept so payment history still shows who was paid.
+ * @param {string} ownerId - Okta user ID
+ * @param {string} billerId - Biller ID
+ * @returns {boolean} Whether the biller was found
+ */
+export function deleteBiller(ownerId, billerId) {
+  const database = db();
+  return database.transaction(() => {
+    if (!getBiller(ownerId, billerId)) return false;
+    database.prepare(`
+      UPDATE bill_payments SET status = ?, next_pay_on = NULL, retry_at = NULL
+      WHERE biller_id = ? AND owner_id = ? AND status = ?
+    `).run(PAYMENT_STATUS.CANCELLED, billerId, ownerId, PAYMENT_STATUS.SCHEDULED);
+    database.prepare('UPDATE billers SET deleted_at = ? WHERE id = ?').run(new Date().toISOString(), billerId);
+    return true;
+  })();
+}
+
+/**
+ * Work out the payment date after `date`
+ * @param {object} payment - Payment row fields (frequency, interval_days, anchor_day)
+ * @param {string} date - Current payment date (YYYY-MM-DD)
+ * @returns {string|null} Next payment date, or null for one-off payments
+ */
+function nextPaymentDate({ frequency, interval_days: intervalDays, anchor_day: anchorDay }, date) {
+  if (frequency === 'once') return null;
+  if (frequency === 'custom') {
+    const [year, month, day] = date.split('-').map(Number);
+    return today(new Date(Date.UTC(year, month - 1, day + intervalDays)));
+  }
+  return nextRunDate(date, frequency, anchorDay);
+}
+
+/**
+ * Schedule a one-off or recurring payment
+ * @param {string} ownerId - Okta user ID
+ * @param {object} payment - Validated payment details
+ * @param {string} payment.payOn - First payment date (YYYY-MM-DD, today or later)
+ * @param {number} [payment.intervalDays] - Days between payments for "custom" frequency
+ * @param {string} [payment.endOn] - Last possible payment date (YYYY-MM-DD)
+ * @returns {object} Created payment
+ */
+export function createPayment(ownerId, { billerId, fromAccountId, amountCents, memo, frequency, intervalDays, payOn, endOn }) {
+  const id = `bpm_${crypto.randomBytes(6).toString('hex')}`;
+  db().prepare(`
+    INSERT INTO bill_payments (
+      id, owner_id, biller_id, from_account_id, amount_cents, memo, frequency,
+      interval_days, anchor_day, next_pay_on, end_on, status, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, ownerId, billerId, fromAccountId, amountCents, memo || null, frequency,
+    frequency === 'custom' ? intervalDays : null, Number(payOn.slice(8, 10)), payOn,
+    frequency === 'once' ? null : endOn || null, PAYMENT_STATUS.SCHEDULED, new Date().toISOString());
+  return getPayment(ownerId, id);
+}
+
+const PAYMENT_QUERY = `
+  SELECT p.*, b.name AS biller_name, b.nickname AS biller_nickname
+  FROM bill_payments p JOIN billers b ON b.id = p.biller_id
+`;
+
+/**
+ * Get one of a user's payments
+ * @param {string} ownerId - Okta user ID
+ * @param {string} paymentId - Payment ID
+ * @returns {object|undefined} Payment, or undefined if the user doesn't own it
+ */
+export function getPayment(ownerId, paymentId) {
+  const row = db().prepare(`${PAYMENT_QUERY} WHERE p.id = ? AND p.owner_id = ?`).get(paymentId, ownerId);
+  return row ? toPayment(row) : undefined;
+}
+
+/**
+ * List a user's upcoming (scheduled) payments, soonest first
+ * @param {string} ownerId - Okta user ID
+ * @returns {object[]} Payments
+ */
+export function listUpcomingPayments(ownerId) {
+  return db().prepare(`${PAYMENT_QUERY} WHERE p.owner_id = ? AND p.status = ? ORDER BY p.next_pay_on`)
+    .all(ownerId, PAYMENT_STATUS.SCHEDULED).map(toPayment);
+}
+
+/**
+ * List a user's payment history, newest first
+ * @param {string} ownerId - Okta user ID
+ * @param {object} [options]
+ * @param {number} [options.limit=20] - Maximum number of rows
+ * @returns {object[]} Paid, failed, retrying and skipped payments
+ */
+export function listPaymentHistory(ownerId, { limit = 20 } = {}) {
+  return db().prepare(`
+    SELECT h.*, b.name AS biller_name, b.nickname AS biller_nickname
+    FROM bill_payment_history h
+    JOIN bill_payments p ON p.id = h.payment_id
+    JOIN billers b ON b.id = p.biller_id
+    WHERE h.owner_id = ?
+    ORDER BY h.created_at DESC LIMIT ?
+  `).all(ownerId, limit).map(toHistory);
+}
+
+/**
+ * Record an attempt (or skip) in the payment history
+ */
+function recordHistory(row, { status, attempt = null, reason = null, ledgerEntryId = null, ref = generateRef() }) {
+  db().prepare(`
+    INSERT INTO bill_payment_history (
+      ref, payment_id, owner_id, due_on, amount_cents, status, attempt, reason, ledger_entry_id, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(ref, row.id, row.owner_id, row.next_pay_on, row.amount_cents, status, attempt, reason,
+    ledgerEntryId, new Date().toISOString());
+}
+
+/**
+ * Move a payment on to its next date, finishing it when there are no more
+ * @param {object} row - bill_payments row
+ * @param {string} [finalStatus] - Status for a one-off or ended payment
+ */
+function advancePayment(row, finalStatus = PAYMENT_STATUS.FINISHED) {
+  // Payments missed while the app was down are not made up
+  let next = nextPaymentDate(row, row.next_pay_on);
+  while (next && next <= today()) {
+    next = nextPaymentDate(row, next);
+  }
+  const done = !next || (row.end_on && next > row.end_on);
+  db().prepare(`
+    UPDATE bill_payments SET next_pay_on = ?, status = ?, attempts = 0, retry_at = NULL WHERE id = ?
+  `).run(done ? null : next, done ? finalStatus : PAYMENT_STATUS.SCHEDULED, row.id);
+}
+
+/**
+ * Skip the next payment of a recurring payment
+ * @param {string} ownerId - Okta user ID
+ * @param {string} paymentId - Payment ID
+ * @returns {boolean} Whether a payment was skipped (one-off payments can only be cancelled)
+ */
+export function skipNextPayment(ownerId, paymentId) {
+  const database = db();
+  return database.transaction(() => {
+    const row = database.prepare('SELECT * FROM bill_payments WHERE id = ? AND owner_id = ? AND status = ?')
+      .get(paymentId, ownerId, PAYMENT_STATUS.SCHEDULED);
+    if (!row || row.frequency === 'once') return false;
+
+    recordHistory(row, { status: HISTORY_STATUS.SKIPPED, reason: 'Skipped by customer' });
+    advancePayment(row);
+    return true;
+  })();
+}
+
+/**
+ * Cancel a scheduled payment (all of its remaining payments)
+ * @param {string} ownerId - Okta user ID
+ * @param {string} paymentId - Payment ID
+ * @returns {boolean} Whether a scheduled payment was cancelled
+ */
+export function cancelPayment(ownerId, paymentId) {
+  return db().prepare(`
+    UPDATE bill_payments SET status = ?, next_pay_on = NULL, retry_at = NULL
+    WHERE id = ? AND owner_id = ? AND status = ?
+  `).run(PAYMENT_STATUS.CANCELLED, paymentId, ownerId, PAYMENT_STATUS.SCHEDULED).changes === 1;
+}
+
+/**
+ * Make one payment attempt and update the schedule
+ *
+ * The row is read again inside an immediate transaction before paying, so a
+ * payment another instance has already attempted, or one the customer has
+ * since skipped or cancelled, is left alone.
+ *
+ * @param {object} row - Due bill_payments row (joined with its biller)
+ * @param {Date} now - When the scheduler is running
+ * @returns {string|null} History status of the attempt, or null if it was skipped
+ */
+function attemptPayment(row, now) {
+  const database = db();
+  const attempt = row.attempts + 1;
+  const ref = generateRef();
+
+  return database.transaction(() => {
+    const current = database.prepare('SELECT status, next_pay_on, attempts, retry_at FROM bill_payments WHERE id = ?').get(row.id);
+    if (current?.status !== PAYMENT_STATUS.SCHEDULED || current.next_pay_on !== row.next_pay_on ||
+        current.attempts !== row.attempts || current.retry_at !== row.retry_at) {
+      return null;
+    }
+
+    try {
+      const entryId = postBillPayment(row.owner_id, {
+        accountId: row.from_account_id,
+        amountCents: row.amount_cents,
+        description: `Bill Payment - ${row.biller_name}`,
+        reference: ref
+      });
+      recordHistory(row, { status: HISTORY_STATUS.PAID, attempt, ledgerEntryId: entryId, ref });
+      advancePayment(row);
+      return HISTORY_STATUS.PAID;
+    } catch (error) {
+      if (error.code !== 'INSUFFICIENT_FUNDS' && error.code !== 'ACCOUNT_NOT_FOUND') throw error;
+
+      // Only a lack of funds is worth retrying
+      if (error.code === 'INSUFFICIENT_FUNDS' && attempt < BILLPAY_MAX_ATTEMPTS) {
+        const retryAt = new Date(now.getTime() + RETRY_INTERVAL).toISOString();
+        recordHistory(row, { status: HISTORY_STATUS.RETRYING, attempt, reason: error.message, ref });
+        database.prepare('UPDATE bill_payments SET attempts = ?, retry_at = ? WHERE id = ?').run(attempt, retryAt, row.id);
+        return HISTORY_STATUS.RETRYING;
+      }
+
+      recordHistory(row, { status: HISTORY_STATUS.FAILED, attempt, reason: error.message, ref });
+      advancePayment(row, PAYMENT_STATUS.FAILED);
+      return HISTORY_STATUS.FAILED;
+    }
+  }).immediate();
+}
+
+/**
+ * Pay every bill payment that is due (or due for a retry)
+ * Called by the background scheduler.
+ * @param {Date} [now]
+ * @returns {{ paid: number, retrying: number, failed: number }} Counts for logging
+ */
+export function runDueBillPayments(now = new Date()) {
+  const due = db().prepare(`
+    ${PAYMENT_QUERY}
+    WHERE p.status = ? AND p.next_pay_on <= ? AND (p.retry_at IS NULL OR p.retry_at <= ?)
+    ORDER BY p.next_pay_on
+  `).all(PAYMENT_STATUS.SCHEDULED, today(now), now.toISOString());
+
+  const result = { paid: 0, retrying: 0, failed: 0 };
+  for (const row of due) {
+    const status = attemptPayment(row, now);
+    if (status) result[status]++;
+  }
+  return result;
+}
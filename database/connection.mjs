@@ -0,0 +1,43 @@
+import Database from 'better-sqlite3';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../services/logger.mjs';
+
+// Load from .okta.env for local development
+dotenv.config({ path: '.okta.env' });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// SQLite database file (override with DATABASE_PATH, e.g. a mounted disk on Render)
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'securebank.db');
+
+const log = createLogger('database');
+
+let db = null;
+
+/**
+ * Get the shared SQLite connection, opening it on first use
+ * @returns {import('better-sqlite3').Database} Database connection
+ */
+export function getDatabase() {
+  if (!db) {
+    db = new Database(dbPath);
+    // WAL lets readers proceed while a write is in progress
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    log.info('SQLite database opened', { path: dbPath });
+  }
+  return db;
+}
+
+/**
+ * Close the shared connection (used on shutdown)
+ */
+export function closeDatabase() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
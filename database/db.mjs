@@ -1,40 +1,40 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getDatabase } from './connection.mjs';
+import { migrate, schemaVersion } from './migrations.mjs';
+import { createLogger } from '../services/logger.mjs';
+import { CURRENCIES, DATE_FORMATS } from '../services/formatters.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// JSON file path for preferences storage
-const dbPath = path.join(__dirname, 'preferences.json');
+const log = createLogger('preferences');
 
-/**
- * Load preferences from JSON file
- * @returns {object} Preferences data
- */
-function loadData() {
-  try {
-    if (fs.existsSync(dbPath)) {
-      const data = fs.readFileSync(dbPath, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.error('Error loading preferences:', error.message);
-  }
-  return { users: {} };
-}
+// Where preferences were kept before they moved to SQLite (imported once, then no longer used)
+const LEGACY_JSON_PATH = process.env.PREFERENCES_JSON_PATH || path.join(__dirname, 'preferences.json');
+
+const MIGRATION_SCOPE = 'preferences';
+
+// On/off preferences, stored as 0 or 1
+const FLAG_FIELDS = [
+  'email_notifications', 'sms_notifications', 'push_notifications',
+  'transaction_alerts', 'marketing_emails'
+];
 
 /**
- * Save preferences to JSON file
- * @param {object} data - Data to save
+ * Values accepted for each choice preference
+ * Anything else is refused rather than stored, because views and exports read them back.
  */
-function saveData(data) {
-  try {
-    fs.writeFileSync(dbPath, JSON.stringify(data, null, 2), 'utf8');
-  } catch (error) {
-    console.error('Error saving preferences:', error.message);
-  }
-}
+export const PREFERENCE_CHOICES = {
+  theme: ['light', 'dark'],
+  language: ['en', 'es', 'fr'],
+  currency_display: CURRENCIES,
+  date_format: DATE_FORMATS
+};
+
+// Preferences a user can change
+const ALLOWED_FIELDS = [...FLAG_FIELDS, ...Object.keys(PREFERENCE_CHOICES)];
 
 /**
  * Get default preferences
@@ -56,66 +56,171 @@ function getDefaultPreferences() {
   };
 }
 
+/**
+ * Copy users from the old preferences.json into the table
+ * Existing rows win; the JSON file is left in place. Unsupported choices
+ * (see PREFERENCE_CHOICES) are replaced with the defaults.
+ * @param {import('better-sqlite3').Database} database - Database connection
+ * @throws {Error} code LEGACY_IMPORT_FAILED if the file can't be read or parsed
+ */
+function importLegacyJson(database) {
+  if (!fs.existsSync(LEGACY_JSON_PATH)) {
+    return;
+  }
+
+  let users;
+  try {
+    users = JSON.parse(fs.readFileSync(LEGACY_JSON_PATH, 'utf8')).users || {};
+  } catch (error) {
+    // The migration isn't recorded, so the import runs again once the file is repaired (or removed)
+    log.error('Could not read preferences.json - repair or remove it to finish migrating', { path: LEGACY_JSON_PATH, error });
+    throw Object.assign(new Error(`Could not import ${LEGACY_JSON_PATH}: ${error.message}`), { code: 'LEGACY_IMPORT_FAILED' });
+  }
+
+  const insert = database.prepare(`
+    INSERT INTO user_preferences (
+      okta_user_id, email, email_notifications, sms_notifications, push_notifications,
+      transaction_alerts, marketing_emails, theme, language, currency_display, date_format,
+      created_at, updated_at
+    ) VALUES (
+      @okta_user_id, @email, @email_notifications, @sms_notifications, @push_notifications,
+      @transaction_alerts, @marketing_emails, @theme, @language, @currency_display, @date_format,
+      @created_at, @updated_at
+    )
+    ON CONFLICT (okta_user_id) DO NOTHING
+  `);
+
+  let imported = 0;
+  for (const [oktaUserId, prefs] of Object.entries(users)) {
+    const row = { ...getDefaultPreferences(), email: null, ...prefs, okta_user_id: oktaUserId };
+    for (const field of FLAG_FIELDS) {
+      row[field] = row[field] ? 1 : 0;
+    }
+    for (const [field, choices] of Object.entries(PREFERENCE_CHOICES)) {
+      if (!choices.includes(row[field])) row[field] = getDefaultPreferences()[field];
+    }
+    imported += insert.run(row).changes;
+  }
+  log.info('Imported preferences from preferences.json - the file is no longer used and can be deleted', {
+    path: LEGACY_JSON_PATH,
+    users: imported
+  });
+}
+
+/**
+ * Preferences schema, oldest first (see database/migrations.mjs)
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create user_preferences',
+    up: `
+      CREATE TABLE IF NOT EXISTS user_preferences (
+        okta_user_id TEXT PRIMARY KEY,
+        email TEXT,
+        email_notifications INTEGER NOT NULL DEFAULT 1,
+        sms_notifications INTEGER NOT NULL DEFAULT 0,
+        push_notifications INTEGER NOT NULL DEFAULT 1,
+        transaction_alerts INTEGER NOT NULL DEFAULT 1,
+        marketing_emails INTEGER NOT NULL DEFAULT 0,
+        theme TEXT NOT NULL DEFAULT 'light',
+        language TEXT NOT NULL DEFAULT 'en',
+        currency_display TEXT NOT NULL DEFAULT 'USD',
+        date_format TEXT NOT NULL DEFAULT 'MM/DD/YYYY',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    description: 'Import preferences.json',
+    up: importLegacyJson
+  }
+];
+
+let initialized = false;
+
+/**
+ * Bring the preferences schema up to date on first use
+ * @returns {import('better-sqlite3').Database} Database connection
+ */
+function db() {
+  const database = getDatabase();
+  if (initialized) return database;
+
+  migrate(database, MIGRATION_SCOPE, MIGRATIONS);
+
+  initialized = true;
+  return database;
+}
+
 /**
  * Get user preferences by Okta user ID
  * @param {string} oktaUserId - Okta user ID
  * @returns {object|undefined} User preferences or undefined
  */
 export function getUserPreferences(oktaUserId) {
-  const data = loadData();
-  return data.users[oktaUserId];
+  return db().prepare('SELECT * FROM user_preferences WHERE okta_user_id = ?').get(oktaUserId);
 }
 
 /**
  * Create user preferences record
+ * Leaves an existing record as it is.
  * @param {string} oktaUserId - Okta user ID
  * @param {string} email - User email
  * @returns {object} Created preferences
  */
 export function createUserPreferences(oktaUserId, email) {
-  const data = loadData();
-
-  if (!data.users[oktaUserId]) {
-    data.users[oktaUserId] = {
-      okta_user_id: oktaUserId,
-      email: email,
-      ...getDefaultPreferences()
-    };
-    saveData(data);
-  }
+  const database = db();
+  const defaults = getDefaultPreferences();
+
+  database.prepare(`
+    INSERT INTO user_preferences (okta_user_id, email, created_at, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (okta_user_id) DO NOTHING
+  `).run(oktaUserId, email ?? null, defaults.created_at, defaults.updated_at);
 
-  return data.users[oktaUserId];
+  return getUserPreferences(oktaUserId);
 }
 
 /**
  * Update user preferences
+ * All changes are applied together or not at all.
  * @param {string} oktaUserId - Okta user ID
  * @param {object} preferences - Preferences to update
  * @returns {object|null} Updated preferences
+ * @throws {Error} code INVALID_PREFERENCE if a choice isn't in PREFERENCE_CHOICES
  */
 export function updateUserPreferences(oktaUserId, preferences) {
-  const allowedFields = [
-    'email_notifications', 'sms_notifications', 'push_notifications',
-    'transaction_alerts', 'marketing_emails', 'theme', 'language',
-    'currency_display', 'date_format'
-  ];
-
-  const data = loadData();
+  const database = db();
+  const changes = Object.entries(preferences).filter(([key]) => ALLOWED_FIELDS.includes(key));
 
-  if (!data.users[oktaUserId]) {
-    return null;
+  const invalid = changes.find(([key, value]) => PREFERENCE_CHOICES[key] && !PREFERENCE_CHOICES[key].includes(value));
+  if (invalid) {
+    throw Object.assign(new Error(`Invalid value for preference ${invalid[0]}`), { code: 'INVALID_PREFERENCE', field: invalid[0] });
   }
 
-  for (const [key, value] of Object.entries(preferences)) {
-    if (allowedFields.includes(key)) {
-      data.users[oktaUserId][key] = value;
+  return database.transaction(() => {
+    if (!getUserPreferences(oktaUserId)) {
+      return null;
     }
-  }
 
-  data.users[oktaUserId].updated_at = new Date().toISOString();
-  saveData(data);
+    // Column names come from ALLOWED_FIELDS, never from the request
+    const assignments = [...changes.map(([key]) => `${key} = ?`), 'updated_at = ?'].join(', ');
+    database.prepare(`UPDATE user_preferences SET ${assignments} WHERE okta_user_id = ?`)
+      .run(...changes.map(([, value]) => value), new Date().toISOString(), oktaUserId);
+
+    return getUserPreferences(oktaUserId);
+  }).immediate();
+}
 
-  return data.users[oktaUserId];
+/**
+ * Check that the preferences table can be read, for the readiness probe
+ * @returns {{ users: number, schemaVersion: number }}
+ */
+export function checkPreferencesStore() {
+  const { count } = db().prepare('SELECT COUNT(*) AS count FROM user_preferences').get();
+  return { users: count, schemaVersion: schemaVersion(getDatabase(), MIGRATION_SCOPE) };
 }
 
 export default { getUserPreferences, createUserPreferences, updateUserPreferences };
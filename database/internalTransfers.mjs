@@ -0,0 +1,379 @@
+import crypto from 'crypto';
+import { getDatabase } from './connection.mjs';
+import { migrate } from './migrations.mjs';
+import { getAccount, postInternalTransfer } from './ledger.mjs';
+
+/**
+ * Transfers between a customer's own accounts, and recurring transfer schedules
+ *
+ * Transfers post to the ledger immediately. A per-day limit caps the total a
+ * customer can move between their own accounts in one (UTC) day, counting
+ * one-off and scheduled transfers alike. Recurring schedules are executed by
+ * the background scheduler (services/scheduler.mjs); a run that fails (e.g.
+ * insufficient funds) is recorded as a failed transfer and the schedule moves
+ * on to its next date.
+ */
+
+// Most a customer can transfer between their own accounts per day, in dollars (default $25,000)
+export const TRANSFER_DAILY_LIMIT_CENTS = Math.round(Number(process.env.TRANSFER_DAILY_LIMIT ?? 25000) * 100);
+
+export const TRANSFER_STATUS = {
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+export const SCHEDULE_STATUS = {
+  ACTIVE: 'active',
+  FINISHED: 'finished',
+  CANCELLED: 'cancelled'
+};
+
+export const TRANSFER_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+const MIGRATION_SCOPE = 'internal_transfers';
+
+/**
+ * Transfer schema, oldest first (see database/migrations.mjs)
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create internal_transfers and transfer_schedules',
+    up: `
+      CREATE TABLE IF NOT EXISTS internal_transfers (
+        ref TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL,
+        from_account_id TEXT NOT NULL,
+        to_account_id TEXT NOT NULL,
+        amount_cents INTEGER NOT NULL,
+        memo TEXT,
+        status TEXT NOT NULL,
+        failure_reason TEXT,
+        ledger_entry_id INTEGER,
+        schedule_id TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_internal_transfers_owner ON internal_transfers (owner_id, created_at);
+
+      CREATE TABLE IF NOT EXISTS transfer_schedules (
+        id TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL,
+        from_account_id TEXT NOT NULL,
+        to_account_id TEXT NOT NULL,
+        amount_cents INTEGER NOT NULL,
+        memo TEXT,
+        frequency TEXT NOT NULL,
+        anchor_day INTEGER NOT NULL,
+        next_run_on TEXT NOT NULL,
+        end_on TEXT,
+        status TEXT NOT NULL,
+        last_run_at TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_transfer_schedules_due ON transfer_schedules (status, next_run_on);
+    `
+  }
+];
+
+let initialized = false;
+
+/**
+ * Bring the transfer schema up to date on first use
+ * @returns {import('better-sqlite3').Database} Database connection
+ */
+function db() {
+  const database = getDatabase();
+  if (initialized) return database;
+
+  migrate(database, MIGRATION_SCOPE, MIGRATIONS);
+
+  initialized = true;
+  return database;
+}
+
+/**
+ * Generate a transfer reference number, e.g. "TR-MF3K2A1B-9Q4Z1C"
+ * @returns {string} Reference number
+ */
+function generateRef() {
+  return 'TR-' + Date.now().toString(36).toUpperCase() + '-' + crypto.randomBytes(3).toString('hex').toUpperCase();
+}
+
+/**
+ * Today's date (UTC) as YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function today(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Work out the run after `date` for a schedule
+ * Monthly schedules keep their original day of the month, clamped to short months.
+ * @param {string} date - Current run date (YYYY-MM-DD)
+ * @param {string} frequency - One of TRANSFER_FREQUENCIES
+ * @param {number} anchorDay - Day of the month the schedule started on
+ * @returns {string} Next run date (YYYY-MM-DD)
+ */
+export function nextRunDate(date, frequency, anchorDay) {
+  const [year, month, day] = date.split('-').map(Number);
+  if (frequency === 'monthly') {
+    const daysInNextMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return today(new Date(Date.UTC(year, month, Math.min(anchorDay, daysInNextMonth))));
+  }
+  return today(new Date(Date.UTC(year, month - 1, day + (frequency === 'weekly' ? 7 : 14))));
+}
+
+function toTransfer(row) {
+  return {
+    ref: row.ref,
+    ownerId: row.owner_id,
+    fromAccountId: row.from_account_id,
+    toAccountId: row.to_account_id,
+    amountCents: row.amount_cents,
+    memo: row.memo,
+    status: row.status,
+    failureReason: row.failure_reason,
+    scheduleId: row.schedule_id,
+    createdAt: row.created_at
+  };
+}
+
+function toSchedule(row) {
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    fromAccountId: row.from_account_id,
+    toAccountId: row.to_account_id,
+    amountCents: row.amount_cents,
+    memo: row.memo,
+    frequency: row.frequency,
+    nextRunOn: row.next_run_on,
+    endOn: row.end_on,
+    status: row.status,
+    lastRunAt: row.last_run_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Total a user has transferred between their own accounts on a given day
+ * @param {string} ownerId - Okta user ID
+ * @param {Date} [now] - Any time on the day in question
+ * @returns {number} Amount in cents
+ */
+export function getDailyTransferTotal(ownerId, now = new Date()) {
+  const start = `${today(now)}T00:00:00.000Z`;
+  const end = new Date(new Date(start).getTime() + 24 * 60 * 60 * 1000).toISOString();
+  const row = db().prepare(`
+    SELECT COALESCE(SUM(amount_cents), 0) AS total FROM internal_transfers
+    WHERE owner_id = ? AND status = ? AND created_at >= ? AND created_at < ?
+  `).get(ownerId, TRANSFER_STATUS.COMPLETED, start, end);
+  return row.total;
+}
+
+/**
+ * Transfer money between two of a user's accounts right away
+ *
+ * The daily limit check, the ledger posting and the transfer record are
+ * written in one transaction.
+ *
+ * @param {string} ownerId - Okta user ID
+ * @param {object} details - Validated transfer details
+ * @param {string} [details.scheduleId] - Schedule this run belongs to
+ * @param {Date} [now] - When the transfer is made; picks the day the limit applies to
+ * @returns {object} Completed transfer
+ * @throws {Error} With code DAILY_LIMIT_EXCEEDED, INSUFFICIENT_FUNDS or ACCOUNT_NOT_FOUND
+ */
+export function executeTransfer(ownerId, { fromAccountId, toAccountId, amountCents, memo, scheduleId = null }, now = new Date()) {
+  const database = db();
+  const ref = generateRef();
+
+  database.transaction(() => {
+    if (getDailyTransferTotal(ownerId, now) + amountCents > TRANSFER_DAILY_LIMIT_CENTS) {
+      throw Object.assign(new Error('Daily transfer limit exceeded'), { code: 'DAILY_LIMIT_EXCEEDED' });
+    }
+
+    const from = getAccount(ownerId, fromAccountId);
+    const to = getAccount(ownerId, toAccountId);
+    const entryId = postInternalTransfer(ownerId, {
+      fromAccountId,
+      toAccountId,
+      amountCents,
+      description: `Transfer from ${from?.name} to ${to?.name}${memo ? ` - ${memo}` : ''}`,
+      reference: ref
+    });
+
+    database.prepare(`
+      INSERT INTO internal_transfers (
+        ref, owner_id, from_account_id, to_account_id, amount_cents, memo, status,
+        ledger_entry_id, schedule_id, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(ref, ownerId, fromAccountId, toAccountId, amountCents, memo || null,
+      TRANSFER_STATUS.COMPLETED, entryId, scheduleId, now.toISOString());
+  })();
+
+  return getInternalTransfer(ownerId, ref);
+}
+
+/**
+ * Get one of a user's internal transfers
+ * @param {string} ownerId - Okta user ID
+ * @param {string} ref - Reference number
+ * @returns {object|undefined} Transfer, or undefined if the user doesn't own it
+ */
+export function getInternalTransfer(ownerId, ref) {
+  const row = db().prepare('SELECT * FROM internal_transfers WHERE ref = ? AND owner_id = ?').get(ref, ownerId);
+  return row ? toTransfer(row) : undefined;
+}
+
+/**
+ * List a user's internal transfers, newest first
+ * @param {string} ownerId - Okta user ID
+ * @param {object} [options]
+ * @param {number} [options.limit=10] - Maximum number of transfers
+ * @returns {object[]} Transfers, including failed scheduled runs
+ */
+export function listInternalTransfers(ownerId, { limit = 10 } = {}) {
+  return db().prepare(`
+    SELECT * FROM internal_transfers WHERE owner_id = ?
+    ORDER BY created_at DESC LIMIT ?
+  `).all(ownerId, limit).map(toTransfer);
+}
+
+/**
+ * Set up a recurring transfer
+ * @param {string} ownerId - Okta user ID
+ * @param {object} schedule - Validated schedule details
+ * @param {string} schedule.startDate - First run (YYYY-MM-DD, today or later)
+ * @param {string} [schedule.endDate] - Last possible run (YYYY-MM-DD)
+ * @returns {object} Created schedule
+ */
+export function createSchedule(ownerId, { fromAccountId, toAccountId, amountCents, memo, frequency, startDate, endDate }) {
+  const id = `sch_${crypto.randomBytes(6).toString('hex')}`;
+  db().prepare(`
+    INSERT INTO transfer_schedules (
+      id, owner_id, from_account_id, to_account_id, amount_cents, memo, frequency,
+      anchor_day, next_run_on, end_on, status, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, ownerId, fromAccountId, toAccountId, amountCents, memo || null, frequency,
+    Number(startDate.slice(8, 10)), startDate, endDate || null, SCHEDULE_STATUS.ACTIVE, new Date().toISOString());
+  return getSchedule(ownerId, id);
+}
+
+/**
+ * Get one of a user's transfer schedules
+ * @param {string} ownerId - Okta user ID
+ * @param {string} id - Schedule ID
+ * @returns {object|undefined} Schedule, or undefined if the user doesn't own it
+ */
+export function getSchedule(ownerId, id) {
+  const row = db().prepare('SELECT * FROM transfer_schedules WHERE id = ? AND owner_id = ?').get(id, ownerId);
+  return row ? toSchedule(row) : undefined;
+}
+
+/**
+ * List a user's active transfer schedules, soonest first
+ * @param {string} ownerId - Okta user ID
+ * @returns {object[]} Schedules
+ */
+export function listSchedules(ownerId) {
+  return db().prepare(`
+    SELECT * FROM transfer_schedules WHERE owner_id = ? AND status = ?
+    ORDER BY next_run_on
+  `).all(ownerId, SCHEDULE_STATUS.ACTIVE).map(toSchedule);
+}
+
+/**
+ * Cancel a recurring transfer
+ * @param {string} ownerId - Okta user ID
+ * @param {string} id - Schedule ID
+ * @returns {boolean} Whether an active schedule was cancelled
+ */
+export function cancelSchedule(ownerId, id) {
+  return db().prepare(`
+    UPDATE transfer_schedules SET status = ? WHERE id = ? AND owner_id = ? AND status = ?
+  `).run(SCHEDULE_STATUS.CANCELLED, id, ownerId, SCHEDULE_STATUS.ACTIVE).changes === 1;
+}
+
+/**
+ * Make one scheduled run and move the schedule to its next date
+ *
+ * The posting (or the failed-run record) and the schedule update are written
+ * in one transaction, so a crash can't leave a posted run whose schedule still
+ * says it is due. A schedule another instance has already run is skipped.
+ *
+ * @param {object} row - Due transfer_schedules row
+ * @param {Date} now - When the scheduler is running
+ * @returns {string|null} TRANSFER_STATUS of the run, or null if it was skipped
+ */
+function runSchedule(row, now) {
+  const database = db();
+  const schedule = toSchedule(row);
+  const day = today(now);
+  const details = {
+    fromAccountId: schedule.fromAccountId,
+    toAccountId: schedule.toAccountId,
+    amountCents: schedule.amountCents,
+    memo: schedule.memo,
+    scheduleId: schedule.id
+  };
+
+  return database.transaction(() => {
+    const current = database.prepare('SELECT next_run_on, status FROM transfer_schedules WHERE id = ?').get(schedule.id);
+    if (current?.status !== SCHEDULE_STATUS.ACTIVE || current.next_run_on !== schedule.nextRunOn) {
+      return null;
+    }
+
+    let status = TRANSFER_STATUS.COMPLETED;
+    try {
+      executeTransfer(schedule.ownerId, details, now);
+    } catch (error) {
+      if (!['DAILY_LIMIT_EXCEEDED', 'INSUFFICIENT_FUNDS', 'ACCOUNT_NOT_FOUND'].includes(error.code)) throw error;
+      database.prepare(`
+        INSERT INTO internal_transfers (
+          ref, owner_id, from_account_id, to_account_id, amount_cents, memo, status,
+          failure_reason, schedule_id, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(generateRef(), schedule.ownerId, details.fromAccountId, details.toAccountId, details.amountCents,
+        details.memo, TRANSFER_STATUS.FAILED, error.message, schedule.id, now.toISOString());
+      status = TRANSFER_STATUS.FAILED;
+    }
+
+    let next = nextRunDate(schedule.nextRunOn, schedule.frequency, row.anchor_day);
+    while (next <= day) {
+      next = nextRunDate(next, schedule.frequency, row.anchor_day);
+    }
+    const finished = schedule.endOn && next > schedule.endOn;
+    database.prepare(`
+      UPDATE transfer_schedules SET next_run_on = ?, status = ?, last_run_at = ? WHERE id = ?
+    `).run(next, finished ? SCHEDULE_STATUS.FINISHED : SCHEDULE_STATUS.ACTIVE, now.toISOString(), schedule.id);
+
+    return status;
+  }).immediate();
+}
+
+/**
+ * Run every recurring transfer that is due
+ *
+ * Each due schedule runs once, then moves to its next date after today -
+ * runs missed while the app was down are not made up. Failed runs are
+ * recorded as failed transfers.
+ *
+ * @param {Date} [now]
+ * @returns {{ executed: number, failed: number }} Counts for logging
+ */
+export function runDueSchedules(now = new Date()) {
+  const due = db().prepare(`
+    SELECT * FROM transfer_schedules WHERE status = ? AND next_run_on <= ?
+  `).all(SCHEDULE_STATUS.ACTIVE, today(now));
+
+  const result = { executed: 0, failed: 0 };
+  for (const row of due) {
+    const status = runSchedule(row, now);
+    if (status === TRANSFER_STATUS.COMPLETED) result.executed++;
+    if (status === TRANSFER_STATUS.FAILED) result.failed++;
+  }
+  return result;
+}
@@ -0,0 +1,620 @@
+import crypto from 'crypto';
+import { getDatabase } from './connection.mjs';
+import { migrate } from './migrations.mjs';
+
+/**
+ * Double-entry account ledger
+ *
+ * Every money movement is a journal entry with two or more postings whose
+ * amounts (integer cents) sum to zero. Customer accounts hold positive
+ * balances for money the customer has; the credit card account goes
+ * negative for money owed. Money entering or leaving the bank is posted
+ * against internal bank accounts. The journal is append-only - corrections
+ * are made with new, reversing entries.
+ */
+
+// Internal bank accounts (counterparties for money entering or leaving a customer's accounts)
+export const BANK_OWNER = 'bank';
+export const BANK_ACCOUNTS = {
+  equity: 'bank-equity',
+  external: 'bank-external'
+};
+
+// Customer account types opened for every user, in display order
+const CUSTOMER_ACCOUNT_TYPES = [
+  { type: 'checking', name: 'Checking Account' },
+  { type: 'savings', name: 'Savings Account' },
+  { type: 'credit', name: 'Credit Card' }
+];
+
+// Account types money can be sent from (wires, internal transfers, bill payments)
+const FUNDING_ACCOUNT_TYPES = ['checking', 'savings'];
+
+const MIGRATION_SCOPE = 'ledger';
+
+/**
+ * Ledger schema, oldest first (see database/migrations.mjs)
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create ledger_accounts, journal_entries and postings',
+    up: `
+      CREATE TABLE IF NOT EXISTS ledger_accounts (
+        id TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        name TEXT NOT NULL,
+        number TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        UNIQUE (owner_id, type)
+      );
+
+      CREATE TABLE IF NOT EXISTS journal_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        description TEXT NOT NULL,
+        reference TEXT,
+        posted_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS postings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entry_id INTEGER NOT NULL REFERENCES journal_entries (id),
+        account_id TEXT NOT NULL REFERENCES ledger_accounts (id),
+        amount_cents INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_postings_account ON postings (account_id, entry_id);
+
+      CREATE TRIGGER IF NOT EXISTS journal_entries_no_update BEFORE UPDATE ON journal_entries
+        BEGIN SELECT RAISE(ABORT, 'journal is append-only'); END;
+      CREATE TRIGGER IF NOT EXISTS journal_entries_no_delete BEFORE DELETE ON journal_entries
+        BEGIN SELECT RAISE(ABORT, 'journal is append-only'); END;
+      CREATE TRIGGER IF NOT EXISTS postings_no_update BEFORE UPDATE ON postings
+        BEGIN SELECT RAISE(ABORT, 'journal is append-only'); END;
+      CREATE TRIGGER IF NOT EXISTS postings_no_delete BEFORE DELETE ON postings
+        BEGIN SELECT RAISE(ABORT, 'journal is append-only'); END;
+    `
+  },
+  {
+    version: 2,
+    description: 'Add the internal bank accounts',
+    up: (database) => {
+      const insertAccount = database.prepare(`
+        INSERT OR IGNORE INTO ledger_accounts (id, owner_id, type, name, number, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      const now = new Date().toISOString();
+      insertAccount.run(BANK_ACCOUNTS.equity, BANK_OWNER, 'equity', 'Opening Balance Equity', '0000000000', now);
+      insertAccount.run(BANK_ACCOUNTS.external, BANK_OWNER, 'external', 'External Clearing', '0000000001', now);
+    }
+  }
+];
+
+let initialized = false;
+
+/**
+ * Bring the ledger schema up to date on first use
+ * @returns {import('better-sqlite3').Database} Database connection
+ */
+function db() {
+  const database = getDatabase();
+  if (initialized) return database;
+
+  migrate(database, MIGRATION_SCOPE, MIGRATIONS);
+
+  initialized = true;
+  return database;
+}
+
+/**
+ * Convert a user-entered amount ("1234.5") to integer cents
+ * @param {string|number} value - Decimal amount
+ * @returns {number|null} Amount in cents, or null if the value is not a valid amount
+ */
+export function toCents(value) {
+  const match = /^(\d+)(?:\.(\d{1,2}))?$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+  return Number(match[1]) * 100 + Number((match[2] || '').padEnd(2, '0'));
+}
+
+/**
+ * Format integer cents for display, e.g. -124567 → "-$1,245.67"
+ * @param {number} cents - Amount in cents
+ * @returns {string} Formatted amount
+ */
+export function formatCents(cents) {
+  const sign = cents < 0 ? '-' : '';
+  const abs = Math.abs(cents);
+  const dollars = Math.floor(abs / 100).toLocaleString('en-US');
+  return `${sign}$${dollars}.${String(abs % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Mask an account number for display, e.g. "****4582"
+ * @param {string} number - Full account number
+ * @returns {string} Masked account number
+ */
+function maskNumber(number) {
+  return `****${number.slice(-4)}`;
+}
+
+/**
+ * Shape an account row for routes and views
+ * @param {object} row - ledger_accounts row with balance_cents
+ * @returns {object} Account
+ */
+function toAccount(row) {
+  const maskedNumber = maskNumber(row.number);
+  return {
+    id: row.id,
+    type: row.type,
+    name: row.name,
+    number: row.number,
+    maskedNumber,
+    label: `${row.name} (${maskedNumber})`,
+    balanceCents: row.balance_cents,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Post a balanced journal entry
+ * @param {object} entry
+ * @param {string} entry.type - Entry type (opening, deposit, purchase, transfer, wire, ...)
+ * @param {string} entry.description - Description shown in transaction history
+ * @param {string} [entry.reference] - External reference (e.g. wire reference number)
+ * @param {string} [entry.postedAt] - ISO timestamp, defaults to now
+ * @param {Array<{accountId: string, amountCents: number}>} entry.postings - Postings summing to zero
+ * @returns {number} Journal entry ID
+ */
+export function postEntry({ type, description, reference = null, postedAt, postings }) {
+  if (!Array.isArray(postings) || postings.length < 2) {
+    throw new Error('A journal entry needs at least two postings');
+  }
+  if (!postings.every(p => Number.isInteger(p.amountCents) && p.amountCents !== 0)) {
+    throw new Error('Posting amounts must be non-zero integer cents');
+  }
+  if (postings.reduce((sum, p) => sum + p.amountCents, 0) !== 0) {
+    throw new Error('Journal entry postings must sum to zero');
+  }
+
+  const database = db();
+  const insertEntry = database.prepare(`
+    INSERT INTO journal_entries (type, description, reference, posted_at) VALUES (?, ?, ?, ?)
+  `);
+  const insertPosting = database.prepare(`
+    INSERT INTO postings (entry_id, account_id, amount_cents) VALUES (?, ?, ?)
+  `);
+
+  return database.transaction(() => {
+    const { lastInsertRowid } = insertEntry.run(type, description, reference, postedAt || new Date().toISOString());
+    for (const posting of postings) {
+      insertPosting.run(lastInsertRowid, posting.accountId, posting.amountCents);
+    }
+    return Number(lastInsertRowid);
+  })();
+}
+
+/**
+ * Get the current balance of an account
+ * @param {string} accountId - Ledger account ID
+ * @returns {number} Balance in cents
+ */
+export function getBalance(accountId) {
+  const row = db().prepare('SELECT COALESCE(SUM(amount_cents), 0) AS balance FROM postings WHERE account_id = ?').get(accountId);
+  return row.balance;
+}
+
+/**
+ * Open the demo history for a new customer so the dashboard has activity
+ * @param {object} accounts - Map of account type → account ID
+ * @param {Date} openedAt - When the accounts were opened
+ */
+function seedDemoActivity(accounts, openedAt) {
+  const daysAgo = (days) => new Date(openedAt.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  postEntry({
+    type: 'opening', description: 'Opening Balance', postedAt: daysAgo(30),
+    postings: [{ accountId: accounts.checking, amountCents: 899974 }, { accountId: BANK_ACCOUNTS.equity, amountCents: -899974 }]
+  });
+  postEntry({
+    type: 'opening', description: 'Opening Balance', postedAt: daysAgo(30),
+    postings: [{ accountId: accounts.savings, amountCents: 4573000 }, { accountId: BANK_ACCOUNTS.equity, amountCents: -4573000 }]
+  });
+  postEntry({
+    type: 'opening', description: 'Opening Balance', postedAt: daysAgo(30),
+    postings: [{ accountId: accounts.credit, amountCents: -124567 }, { accountId: BANK_ACCOUNTS.equity, amountCents: 124567 }]
+  });
+
+  postEntry({
+    type: 'transfer', description: 'Transfer from Savings', postedAt: daysAgo(5),
+    postings: [{ accountId: accounts.savings, amountCents: -50000 }, { accountId: accounts.checking, amountCents: 50000 }]
+  });
+
+  const checkingActivity = [
+    { days: 4, type: 'purchase', description: 'Gas Station', amountCents: -4500 },
+    { days: 3, type: 'purchase', description: 'Grocery Store', amountCents: -15643 },
+    { days: 2, type: 'purchase', description: 'Amazon.com', amountCents: -8999 },
+    { days: 1, type: 'deposit', description: 'Direct Deposit - Payroll', amountCents: 325000 }
+  ];
+  for (const item of checkingActivity) {
+    postEntry({
+      type: item.type, description: item.description, postedAt: daysAgo(item.days),
+      postings: [
+        { accountId: accounts.checking, amountCents: item.amountCents },
+        { accountId: BANK_ACCOUNTS.external, amountCents: -item.amountCents }
+      ]
+    });
+  }
+}
+
+/**
+ * Ensure a user has their checking, savings and credit card accounts
+ * New customers are opened with demo balances and recent activity.
+ * @param {string} ownerId - Okta user ID
+ * @returns {object[]} The user's accounts
+ */
+export function ensureUserAccounts(ownerId) {
+  if (!ownerId) return [];
+
+  const database = db();
+  const existing = database.prepare('SELECT COUNT(*) AS count FROM ledger_accounts WHERE owner_id = ?').get(ownerId);
+
+  if (existing.count === 0) {
+    const insertAccount = database.prepare(`
+      INSERT OR IGNORE INTO ledger_accounts (id, owner_id, type, name, number, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    database.transaction(() => {
+      const openedAt = new Date();
+      const accounts = {};
+      for (const { type, name } of CUSTOMER_ACCOUNT_TYPES) {
+        const id = `acc_${crypto.randomBytes(6).toString('hex')}`;
+        const number = String(crypto.randomInt(1e9, 1e10));
+        insertAccount.run(id, ownerId, type, name, number, openedAt.toISOString());
+        accounts[type] = id;
+      }
+      seedDemoActivity(accounts, openedAt);
+    })();
+  }
+
+  return getAccounts(ownerId);
+}
+
+/**
+ * Get a user's accounts with their balances
+ * @param {string} ownerId - Okta user ID
+ * @returns {object[]} Accounts in display order
+ */
+export function getAccounts(ownerId) {
+  const rows = db().prepare(`
+    SELECT a.*, COALESCE(SUM(p.amount_cents), 0) AS balance_cents
+    FROM ledger_accounts a
+    LEFT JOIN postings p ON p.account_id = a.id
+    WHERE a.owner_id = ?
+    GROUP BY a.id
+    ORDER BY CASE a.type WHEN 'checking' THEN 0 WHEN 'savings' THEN 1 WHEN 'credit' THEN 2 ELSE 3 END
+  `).all(ownerId);
+  return rows.map(toAccount);
+}
+
+/**
+ * Get one of a user's accounts
+ * @param {string} ownerId - Okta user ID
+ * @param {string} accountId - Ledger account ID
+ * @returns {object|undefined} Account, or undefined if the user doesn't own it
+ */
+export function getAccount(ownerId, accountId) {
+  return getAccounts(ownerId).find(a => a.id === accountId);
+}
+
+/**
+ * Get the accounts a user can send money from (checking and savings, not the credit card)
+ * This is the account list for the wire transfer and internal transfer forms.
+ * @param {string} ownerId - Okta user ID
+ * @returns {object[]} Funding accounts in display order
+ */
+export function getFundingAccounts(ownerId) {
+  return ensureUserAccounts(ownerId).filter(a => FUNDING_ACCOUNT_TYPES.includes(a.type));
+}
+
+/**
+ * Get recent activity across a user's accounts, newest first
+ * @param {string} ownerId - Okta user ID
+ * @param {object} [options]
+ * @param {number} [options.limit=5] - Maximum number of rows
+ * @returns {object[]} Activity rows with the account's running balance after each posting
+ */
+export function getRecentActivity(ownerId, { limit = 5 } = {}) {
+  const rows = db().prepare(`
+    SELECT * FROM (
+      SELECT
+        e.id AS entry_id, e.type, e.description, e.reference, e.posted_at,
+        p.id AS posting_id, p.amount_cents,
+        a.id AS account_id, a.name AS account_name,
+        SUM(p.amount_cents) OVER (
+          PARTITION BY p.account_id ORDER BY e.posted_at, e.id, p.id
+        ) AS balance_cents
+      FROM postings p
+      JOIN journal_entries e ON e.id = p.entry_id
+      JOIN ledger_accounts a ON a.id = p.account_id
+      WHERE a.owner_id = ?
+    )
+    ORDER BY posted_at DESC, entry_id DESC, posting_id DESC
+    LIMIT ?
+  `).all(ownerId, limit);
+
+  return rows.map(row => ({
+    entryId: row.entry_id,
+    type: row.type,
+    description: row.description,
+    reference: row.reference,
+    postedAt: row.posted_at,
+    accountId: row.account_id,
+    accountName: row.account_name,
+    amountCents: row.amount_cents,
+    balanceCents: row.balance_cents
+  }));
+}
+
+/**
+ * Debit a customer account for money leaving the bank (wires, bill payments)
+ * The balance check and the posting happen in one transaction so two
+ * concurrent payments can't overdraw the account.
+ * @param {string} type - Journal entry type
+ * @param {string} ownerId - Okta user ID
+ * @param {object} payment - Account, amount, description and reference
+ * @returns {number} Journal entry ID
+ */
+function postOutgoingPayment(type, ownerId, { accountId, amountCents, description, reference }) {
+  const database = db();
+  return database.transaction(() => {
+    const account = getAccount(ownerId, accountId);
+    if (!account) {
+      throw Object.assign(new Error('Account not found'), { code: 'ACCOUNT_NOT_FOUND' });
+    }
+    if (amountCents > account.balanceCents) {
+      throw Object.assign(new Error('Insufficient funds'), { code: 'INSUFFICIENT_FUNDS' });
+    }
+    return postEntry({
+      type,
+      description,
+      reference,
+      postings: [
+        { accountId, amountCents: -amountCents },
+        { accountId: BANK_ACCOUNTS.external, amountCents }
+      ]
+    });
+  })();
+}
+
+/**
+ * Debit a customer account for an outgoing wire
+ * @param {string} ownerId - Okta user ID
+ * @param {object} wire
+ * @param {string} wire.accountId - Source account ID
+ * @param {number} wire.amountCents - Amount in cents
+ * @param {string} wire.description - Description shown in transaction history
+ * @param {string} wire.reference - Wire reference number
+ * @returns {number} Journal entry ID
+ */
+export function postWireTransfer(ownerId, wire) {
+  return postOutgoingPayment('wire', ownerId, wire);
+}
+
+/**
+ * Debit a customer account for a bill payment
+ * @param {string} ownerId - Okta user ID
+ * @param {object} payment
+ * @param {string} payment.accountId - Source account ID
+ * @param {number} payment.amountCents - Amount in cents
+ * @param {string} payment.description - Description shown in transaction history
+ * @param {string} payment.reference - Payment reference number
+ * @returns {number} Journal entry ID
+ */
+export function postBillPayment(ownerId, payment) {
+  return postOutgoingPayment('payment', ownerId, payment);
+}
+
+/**
+ * Move money between two of a customer's own accounts
+ * Like wires, the balance check and the posting run in one transaction.
+ * @param {string} ownerId - Okta user ID
+ * @param {object} transfer
+ * @param {string} transfer.fromAccountId - Source account ID (checking or savings)
+ * @param {string} transfer.toAccountId - Destination account ID
+ * @param {number} transfer.amountCents - Amount in cents
+ * @param {string} transfer.description - Description shown in transaction history
+ * @param {string} transfer.reference - Transfer reference number
+ * @returns {number} Journal entry ID
+ */
+export function postInternalTransfer(ownerId, { fromAccountId, toAccountId, amountCents, description, reference }) {
+  const database = db();
+  return database.transaction(() => {
+    const from = getAccount(ownerId, fromAccountId);
+    const to = getAccount(ownerId, toAccountId);
+    if (!from || !to || from.id === to.id || !FUNDING_ACCOUNT_TYPES.includes(from.type)) {
+      throw Object.assign(new Error('Account not found'), { code: 'ACCOUNT_NOT_FOUND' });
+    }
+    if (amountCents > from.balanceCents) {
+      throw Object.assign(new Error('Insufficient funds'), { code: 'INSUFFICIENT_FUNDS' });
+    }
+    return postEntry({
+      type: 'transfer',
+      description,
+      reference,
+      postings: [
+        { accountId: from.id, amountCents: -amountCents },
+        { accountId: to.id, amountCents }
+      ]
+    });
+  })();
+}
+
+/**
+ * Post an entry that exactly reverses an earlier one
+ * @param {number} entryId - Journal entry to reverse
+ * @param {object} reversal
+ * @param {string} reversal.description - Description shown in transaction history
+ * @param {string} [reversal.reference] - External reference
+ * @returns {number} Reversing journal entry ID
+ */
+export function reverseEntry(entryId, { description, reference = null }) {
+  const postings = db().prepare('SELECT account_id, amount_cents FROM postings WHERE entry_id = ?').all(entryId);
+  if (postings.length === 0) {
+    throw new Error(`Journal entry ${entryId} not found`);
+  }
+  return postEntry({
+    type: 'reversal',
+    description,
+    reference,
+    postings: postings.map(p => ({ accountId: p.account_id, amountCents: -p.amount_cents }))
+  });
+}
+
+// Journal entry types customers can filter history by
+export const ENTRY_TYPES = ['deposit', 'purchase', 'transfer', 'wire', 'payment', 'reversal', 'opening'];
+
+/**
+ * Search an account's transaction history, newest first
+ *
+ * Running balances are computed over the account's full history before
+ * filters are applied, so each row shows the true balance after it posted.
+ *
+ * @param {string} accountId - Ledger account ID (caller checks ownership)
+ * @param {object} [filters]
+ * @param {string} [filters.from] - Earliest posting date (YYYY-MM-DD)
+ * @param {string} [filters.to] - Latest posting date, inclusive (YYYY-MM-DD)
+ * @param {number} [filters.minCents] - Smallest absolute amount in cents
+ * @param {number} [filters.maxCents] - Largest absolute amount in cents
+ * @param {string} [filters.type] - Journal entry type
+ * @param {string} [filters.q] - Text to find in the description or reference
+ * @param {number} [filters.page=1] - Page number (1-based)
+ * @param {number} [filters.pageSize=25] - Rows per page
+ * @returns {{ transactions: object[], total: number, page: number, pageSize: number, totalPages: number }}
+ */
+export function searchTransactions(accountId, { from, to, minCents, maxCents, type, q, page = 1, pageSize = 25 } = {}) {
+  const conditions = [];
+  const params = { accountId };
+
+  if (from) {
+    conditions.push('posted_at >= @from');
+    params.from = new Date(`${from}T00:00:00.000Z`).toISOString();
+  }
+  if (to) {
+    conditions.push('posted_at < @to');
+    params.to = new Date(new Date(`${to}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000).toISOString();
+  }
+  if (Number.isInteger(minCents)) {
+    conditions.push('ABS(amount_cents) >= @minCents');
+    params.minCents = minCents;
+  }
+  if (Number.isInteger(maxCents)) {
+    conditions.push('ABS(amount_cents) <= @maxCents');
+    params.maxCents = maxCents;
+  }
+  if (type) {
+    conditions.push('type = @type');
+    params.type = type;
+  }
+  if (q) {
+    conditions.push(`(description LIKE @q ESCAPE '\\' OR reference LIKE @q ESCAPE '\\')`);
+    params.q = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+  }
+
+  const history = `
+    SELECT
+      e.id AS entry_id, e.type, e.description, e.reference, e.posted_at,
+      p.id AS posting_id, p.amount_cents,
+      SUM(p.amount_cents) OVER (ORDER BY e.posted_at, e.id, p.id) AS balance_cents
+    FROM postings p
+    JOIN journal_entries e ON e.id = p.entry_id
+    WHERE p.account_id = @accountId
+  `;
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const database = db();
+  const { total } = database.prepare(`SELECT COUNT(*) AS total FROM (${history}) ${where}`).get(params);
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const currentPage = Math.min(Math.max(1, page), totalPages);
+
+  const rows = database.prepare(`
+    SELECT * FROM (${history}) ${where}
+    ORDER BY posted_at DESC, entry_id DESC, posting_id DESC
+    LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit: pageSize, offset: (currentPage - 1) * pageSize });
+
+  return {
+    transactions: rows.map(row => ({
+      entryId: row.entry_id,
+      type: row.type,
+      description: row.description,
+      reference: row.reference,
+      postedAt: row.posted_at,
+      amountCents: row.amount_cents,
+      balanceCents: row.balance_cents
+    })),
+    total,
+    page: currentPage,
+    pageSize,
+    totalPages
+  };
+}
+
+/**
+ * Get an account's activity for a statement period, oldest first
+ * @param {string} accountId - Ledger account ID (caller checks ownership)
+ * @param {object} period
+ * @param {string} period.start - Start of the period (ISO timestamp, inclusive)
+ * @param {string} period.end - End of the period (ISO timestamp, exclusive)
+ * @returns {{ openingCents: number, closingCents: number, transactions: object[] }}
+ */
+export function getPeriodActivity(accountId, { start, end }) {
+  const database = db();
+  const { opening } = database.prepare(`
+    SELECT COALESCE(SUM(p.amount_cents), 0) AS opening
+    FROM postings p JOIN journal_entries e ON e.id = p.entry_id
+    WHERE p.account_id = ? AND e.posted_at < ?
+  `).get(accountId, start);
+
+  const rows = database.prepare(`
+    SELECT e.id AS entry_id, e.type, e.description, e.reference, e.posted_at,
+           p.id AS posting_id, p.amount_cents
+    FROM postings p JOIN journal_entries e ON e.id = p.entry_id
+    WHERE p.account_id = ? AND e.posted_at >= ? AND e.posted_at < ?
+    ORDER BY e.posted_at, e.id, p.id
+  `).all(accountId, start, end);
+
+  let balance = opening;
+  const transactions = rows.map(row => {
+    balance += row.amount_cents;
+    return {
+      entryId: row.entry_id,
+      postingId: row.posting_id,
+      type: row.type,
+      description: row.description,
+      reference: row.reference,
+      postedAt: row.posted_at,
+      amountCents: row.amount_cents,
+      balanceCents: balance
+    };
+  });
+
+  return { openingCents: opening, closingCents: balance, transactions };
+}
+
+/**
+ * When an account's first posting was made
+ * @param {string} accountId - Ledger account ID
+ * @returns {string|null} ISO timestamp, or null if the account has no postings
+ */
+export function getFirstPostedAt(accountId) {
+  const row = db().prepare(`
+    SELECT MIN(e.posted_at) AS first
+    FROM postings p JOIN journal_entries e ON e.id = p.entry_id
+    WHERE p.account_id = ?
+  `).get(accountId);
+  return row.first;
+}
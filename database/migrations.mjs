@@ -0,0 +1,86 @@
+import { createLogger } from '../services/logger.mjs';
+
+/**
+ * Versioned schema migrations
+ *
+ * Every module that owns tables keeps an ordered list of migrations under its
+ * own scope (e.g. 'preferences', 'ledger', 'sessions') and runs them from its
+ * db() (or store constructor) on first use. Applied versions are recorded in
+ * schema_migrations, so every migration runs exactly once per database.
+ * A migration and its record are committed in one transaction: if it throws,
+ * nothing it did is kept and it runs again next time.
+ *
+ * Tables that predate versioned migrations are created by their scope's
+ * version 1 with IF NOT EXISTS, so a database that already has them simply
+ * records version 1.
+ *
+ * Never edit a migration that has shipped; add a new version instead.
+ */
+
+const log = createLogger('migrations');
+
+/**
+ * @typedef {object} Migration
+ * @property {number} version - Positive, increasing within the scope
+ * @property {string} description - Shown in the logs and recorded with the version
+ * @property {string|function(import('better-sqlite3').Database): void} up - SQL to run, or a function given the connection
+ */
+
+/**
+ * Apply a scope's pending migrations in version order
+ * @param {import('better-sqlite3').Database} database - Database connection
+ * @param {string} scope - Migration scope (usually the module's name)
+ * @param {Migration[]} migrations
+ * @returns {number} The scope's schema version after migrating
+ */
+export function migrate(database, scope, migrations) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      scope TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      description TEXT NOT NULL,
+      applied_at TEXT NOT NULL,
+      PRIMARY KEY (scope, version)
+    );
+  `);
+
+  const applied = database.prepare('SELECT MAX(version) AS version FROM schema_migrations WHERE scope = ?');
+  const record = database.prepare(`
+    INSERT INTO schema_migrations (scope, version, description, applied_at) VALUES (?, ?, ?, ?)
+  `);
+
+  const pending = [...migrations].sort((a, b) => a.version - b.version);
+  for (const migration of pending) {
+    // IMMEDIATE: another process migrating the same database waits instead of applying it twice
+    const ran = database.transaction(() => {
+      if ((applied.get(scope).version ?? 0) >= migration.version) {
+        return false;
+      }
+      if (typeof migration.up === 'function') {
+        migration.up(database);
+      } else {
+        database.exec(migration.up);
+      }
+      record.run(scope, migration.version, migration.description, new Date().toISOString());
+      return true;
+    }).immediate();
+
+    if (ran) {
+      log.info('Applied schema migration', { scope, version: migration.version, description: migration.description });
+    }
+  }
+
+  return applied.get(scope).version ?? 0;
+}
+
+/**
+ * The scope's current schema version
+ * @param {import('better-sqlite3').Database} database - Database connection
+ * @param {string} scope - Migration scope
+ * @returns {number} 0 if no migration has been applied
+ */
+export function schemaVersion(database, scope) {
+  const table = database.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+  if (!table) return 0;
+  return database.prepare('SELECT MAX(version) AS version FROM schema_migrations WHERE scope = ?').get(scope).version ?? 0;
+}
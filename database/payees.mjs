@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import { getDatabase } from './connection.mjs';
+import { migrate } from './migrations.mjs';
+
+/**
+ * Read a non-negative number setting from the environment
+ * Unlike `Number(value) || fallback`, 0 is kept; an empty, non-numeric or
+ * negative value falls back to the default.
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default
+ * @returns {number}
+ */
+function envNumber(name, fallback) {
+  const value = process.env[name]?.trim();
+  return value && Number.isFinite(Number(value)) && Number(value) >= 0 ? Number(value) : fallback;
+}
+
+// How long a new or changed payee stays in cool-off (default 24 hours)
+export const PAYEE_COOLOFF_HOURS = envNumber('PAYEE_COOLOFF_HOURS', 24);
+
+// Largest wire allowed to a payee in cool-off, in dollars (default $1,000; 0 blocks wires entirely)
+export const PAYEE_COOLOFF_LIMIT_CENTS = Math.round(envNumber('PAYEE_COOLOFF_LIMIT', 1000) * 100);
+
+const MIGRATION_SCOPE = 'payees';
+
+/**
+ * Payees schema, oldest first (see database/migrations.mjs)
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create payees',
+    up: `
+      CREATE TABLE IF NOT EXISTS payees (
+        id TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL,
+        nickname TEXT,
+        recipient_name TEXT NOT NULL,
+        recipient_bank TEXT NOT NULL,
+        routing_number TEXT NOT NULL,
+        account_number TEXT NOT NULL,
+        cooloff_until TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_payees_owner ON payees (owner_id);
+    `
+  }
+];
+
+let initialized = false;
+
+/**
+ * Bring the payees schema up to date on first use
+ * @returns {import('better-sqlite3').Database} Database connection
+ */
+function db() {
+  const database = getDatabase();
+  if (initialized) return database;
+
+  migrate(database, MIGRATION_SCOPE, MIGRATIONS);
+
+  initialized = true;
+  return database;
+}
+
+/**
+ * When a payee added or changed now leaves cool-off
+ * @returns {string} ISO timestamp
+ */
+function cooloffEnd() {
+  return new Date(Date.now() + PAYEE_COOLOFF_HOURS * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Shape a payees row for routes and views
+ * @param {object} row - payees row
+ * @returns {object} Payee
+ */
+function toPayee(row) {
+  return {
+    id: row.id,
+    nickname: row.nickname,
+    recipientName: row.recipient_name,
+    recipientBank: row.recipient_bank,
+    routingNumber: row.routing_number,
+    accountNumber: row.account_number,
+    maskedAccountNumber: `****${row.account_number.slice(-4)}`,
+    displayName: row.nickname || row.recipient_name,
+    cooloffUntil: row.cooloff_until,
+    inCooloff: row.cooloff_until > new Date().toISOString(),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Validate payee form input
+ * @param {object} input - Form fields
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validatePayee({ recipientName, recipientBank, routingNumber, accountNumber }) {
+  const errors = [];
+
+  if (!recipientName || !recipientName.trim()) {
+    errors.push('Recipient name is required.');
+  }
+
+  if (!recipientBank || !recipientBank.trim()) {
+    errors.push('Recipient bank name is required.');
+  }
+
+  if (!routingNumber || !/^\d{9}$/.test(routingNumber.trim())) {
+    errors.push('Routing number must be exactly 9 digits.');
+  }
+
+  if (!accountNumber || !/^\d{4,17}$/.test(accountNumber.trim())) {
+    errors.push('Account number must be 4 to 17 digits.');
+  }
+
+  return errors;
+}
+
+/**
+ * List a user's saved payees
+ * @param {string} ownerId - Okta user ID
+ * @returns {object[]} Payees sorted by name
+ */
+export function listPayees(ownerId) {
+  return db().prepare(`
+    SELECT * FROM payees WHERE owner_id = ?
+    ORDER BY COALESCE(nickname, recipient_name) COLLATE NOCASE
+  `).all(ownerId).map(toPayee);
+}
+
+/**
+ * Get one of a user's payees
+ * @param {string} ownerId - Okta user ID
+ * @param {string} payeeId - Payee ID
+ * @returns {object|undefined} Payee, or undefined if the user doesn't own it
+ */
+export function getPayee(ownerId, payeeId) {
+  const row = db().prepare('SELECT * FROM payees WHERE id = ? AND owner_id = ?').get(payeeId, ownerId);
+  return row ? toPayee(row) : undefined;
+}
+
+/**
+ * Save a new payee (starts in cool-off)
+ * @param {string} ownerId - Okta user ID
+ * @param {object} payee - Validated payee fields
+ * @returns {object} Created payee
+ */
+export function createPayee(ownerId, { nickname, recipientName, recipientBank, routingNumber, accountNumber }) {
+  const id = `pay_${crypto.randomBytes(6).toString('hex')}`;
+  const now = new Date().toISOString();
+  db().prepare(`
+    INSERT INTO payees (
+      id, owner_id, nickname, recipient_name, recipient_bank, routing_number,
+      account_number, cooloff_until, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, ownerId, nickname || null, recipientName, recipientBank, routingNumber,
+    accountNumber, cooloffEnd(), now, now);
+  return getPayee(ownerId, id);
+}
+
+/**
+ * Update a payee
+ * Changing where money goes (bank, routing or account number) restarts the cool-off.
+ * @param {string} ownerId - Okta user ID
+ * @param {string} payeeId - Payee ID
+ * @param {object} payee - Validated payee fields
+ * @returns {object|null} Updated payee, or null if not found
+ */
+export function updatePayee(ownerId, payeeId, { nickname, recipientName, recipientBank, routingNumber, accountNumber }) {
+  const existing = getPayee(ownerId, payeeId);
+  if (!existing) return null;
+
+  const destinationChanged = existing.recipientBank !== recipientBank ||
+    existing.routingNumber !== routingNumber ||
+    existing.accountNumber !== accountNumber;
+
+  db().prepare(`
+    UPDATE payees
+    SET nickname = ?, recipient_name = ?, recipient_bank = ?, routing_number = ?,
+        account_number = ?, cooloff_until = ?, updated_at = ?
+    WHERE id = ? AND owner_id = ?
+  `).run(nickname || null, recipientName, recipientBank, routingNumber, accountNumber,
+    destinationChanged ? cooloffEnd() : existing.cooloffUntil, new Date().toISOString(),
+    payeeId, ownerId);
+
+  return getPayee(ownerId, payeeId);
+}
+
+/**
+ * Delete a payee
+ * @param {string} ownerId - Okta user ID
+ * @param {string} payeeId - Payee ID
+ * @returns {boolean} Whether a payee was deleted
+ */
+export function deletePayee(ownerId, payeeId) {
+  return db().prepare('DELETE FROM payees WHERE id = ? AND owner_id = ?').run(payeeId, ownerId).changes === 1;
+}
@@ -0,0 +1,75 @@
+import { getDatabase } from './connection.mjs';
+import { migrate } from './migrations.mjs';
+
+/**
+ * Replay cache for signed one-time tokens
+ *
+ * Remembers the `jti` of every accepted token until the token expires, so a
+ * captured request can't be sent again while its token is still valid. Kept
+ * in SQLite so a restart doesn't reopen the window. Expired entries are
+ * pruned by the background scheduler.
+ */
+
+const MIGRATION_SCOPE = 'replay_cache';
+
+/**
+ * Replay cache schema, oldest first (see database/migrations.mjs)
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create token_replay_cache',
+    up: `
+      CREATE TABLE IF NOT EXISTS token_replay_cache (
+        namespace TEXT NOT NULL,
+        jti TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        PRIMARY KEY (namespace, jti)
+      );
+      CREATE INDEX IF NOT EXISTS idx_token_replay_cache_expires ON token_replay_cache (expires_at);
+    `
+  }
+];
+
+let initialized = false;
+
+/**
+ * Bring the replay cache schema up to date on first use
+ * @returns {import('better-sqlite3').Database} Database connection
+ */
+function db() {
+  const database = getDatabase();
+  if (initialized) return database;
+
+  migrate(database, MIGRATION_SCOPE, MIGRATIONS);
+
+  initialized = true;
+  return database;
+}
+
+/**
+ * Record a token ID as used
+ * @param {string} namespace - Which kind of token (e.g. 'gtr'), so IDs from different issuers/uses don't collide
+ * @param {string} jti - Token ID
+ * @param {number} expiresAt - When the token expires (ms since epoch); the entry is kept until then
+ * @returns {boolean} true the first time the ID is seen, false for a replay
+ */
+export function recordTokenId(namespace, jti, expiresAt) {
+  const database = db();
+  return database.transaction(() => {
+    // An expired entry doesn't block the ID (the token itself would be rejected as expired)
+    database.prepare('DELETE FROM token_replay_cache WHERE namespace = ? AND jti = ? AND expires_at <= ?')
+      .run(namespace, jti, Date.now());
+    const result = database.prepare('INSERT OR IGNORE INTO token_replay_cache (namespace, jti, expires_at) VALUES (?, ?, ?)')
+      .run(namespace, jti, expiresAt);
+    return result.changes === 1;
+  })();
+}
+
+/**
+ * Remove entries whose tokens have expired
+ * @returns {number} Number of entries removed
+ */
+export function pruneTokenIds() {
+  return db().prepare('DELETE FROM token_replay_cache WHERE expires_at <= ?').run(Date.now()).changes;
+}
@@ -0,0 +1,117 @@
+import { getDatabase } from './connection.mjs';
+import { migrate } from './migrations.mjs';
+
+/**
+ * Per-customer security history: sign-ins, MFA step-ups, session revocations,
+ * blocked cross-site (CSRF) requests and lockouts
+ *
+ * Sessions disappear when they end, so the customer's "recent sign-ins" list
+ * on the Security Settings page is read from here instead.
+ */
+
+export const SECURITY_EVENTS = {
+  SIGN_IN: 'sign_in',
+  MFA_STEP_UP: 'mfa_step_up',
+  SESSION_REVOKED: 'session_revoked',
+  OTHER_SESSIONS_REVOKED: 'other_sessions_revoked',
+  CSRF_REJECTED: 'csrf_rejected',
+  WIRE_LOCKOUT: 'wire_lockout'
+};
+
+// Events kept per customer
+const HISTORY_LIMIT = 100;
+
+const MIGRATION_SCOPE = 'security_events';
+
+/**
+ * Security events schema, oldest first (see database/migrations.mjs)
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create security_events',
+    up: `
+      CREATE TABLE IF NOT EXISTS security_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        owner_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        ip TEXT,
+        user_agent TEXT,
+        location TEXT,
+        detail TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_security_events_owner ON security_events (owner_id, id);
+    `
+  }
+];
+
+let initialized = false;
+
+/**
+ * Bring the security events schema up to date on first use
+ * @returns {import('better-sqlite3').Database} Database connection
+ */
+function db() {
+  const database = getDatabase();
+  if (initialized) return database;
+
+  migrate(database, MIGRATION_SCOPE, MIGRATIONS);
+
+  initialized = true;
+  return database;
+}
+
+function rowToEvent(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    location: row.location,
+    detail: row.detail,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Record a security event for a customer
+ * Older events beyond the per-customer limit are dropped.
+ * @param {string} ownerId - Okta user ID
+ * @param {string} type - One of SECURITY_EVENTS
+ * @param {object} [context]
+ * @param {string} [context.ip]
+ * @param {string} [context.userAgent]
+ * @param {string} [context.location]
+ * @param {string} [context.detail] - Free-text detail (e.g. number of sessions ended)
+ */
+export function recordSecurityEvent(ownerId, type, { ip = null, userAgent = null, location = null, detail = null } = {}) {
+  const database = db();
+  database.transaction(() => {
+    database.prepare(`
+      INSERT INTO security_events (owner_id, type, ip, user_agent, location, detail, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(ownerId, type, ip, userAgent, location, detail, new Date().toISOString());
+
+    database.prepare(`
+      DELETE FROM security_events WHERE owner_id = ? AND id NOT IN (
+        SELECT id FROM security_events WHERE owner_id = ? ORDER BY id DESC LIMIT ?
+      )
+    `).run(ownerId, ownerId, HISTORY_LIMIT);
+  })();
+}
+
+/**
+ * A customer's recent security events, newest first
+ * @param {string} ownerId - Okta user ID
+ * @param {object} [options]
+ * @param {string[]} [options.types] - Only these event types
+ * @param {number} [options.limit] - Most events to return (default 20)
+ * @returns {object[]}
+ */
+export function listSecurityEvents(ownerId, { types, limit = 20 } = {}) {
+  const typeFilter = types && types.length ? `AND type IN (${types.map(() => '?').join(', ')})` : '';
+  return db().prepare(`
+    SELECT * FROM security_events WHERE owner_id = ? ${typeFilter} ORDER BY id DESC LIMIT ?
+  `).all(ownerId, ...(types || []), limit).map(rowToEvent);
+}
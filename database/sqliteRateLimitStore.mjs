@@ -0,0 +1,90 @@
+import { getDatabase } from './connection.mjs';
+import { migrate } from './migrations.mjs';
+
+const MIGRATION_SCOPE = 'rate_limits';
+
+/**
+ * Rate limit tables, oldest first (see database/migrations.mjs)
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create rate_limit_hits and rate_limit_locks',
+    up: `
+      CREATE TABLE IF NOT EXISTS rate_limit_hits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key TEXT NOT NULL,
+        expires INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_key ON rate_limit_hits (key, expires);
+      CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_expires ON rate_limit_hits (expires);
+
+      CREATE TABLE IF NOT EXISTS rate_limit_locks (
+        key TEXT PRIMARY KEY,
+        until INTEGER NOT NULL
+      );
+    `
+  }
+];
+
+/**
+ * Rate limit counters backed by SQLite
+ *
+ * Every instance using the same database file shares the counters, and they
+ * survive restarts. Each allowed hit is one row that expires when it leaves
+ * its sliding window; expired rows are ignored on read and removed by prune().
+ */
+export class SqliteRateLimitStore {
+  constructor() {
+    this.db = getDatabase();
+    migrate(this.db, MIGRATION_SCOPE, MIGRATIONS);
+
+    this.statements = {
+      window: this.db.prepare('SELECT COUNT(*) AS count, MIN(expires) AS oldest FROM rate_limit_hits WHERE key = ? AND expires > ?'),
+      hit: this.db.prepare('INSERT INTO rate_limit_hits (key, expires) VALUES (?, ?)'),
+      reset: this.db.prepare('DELETE FROM rate_limit_hits WHERE key = ?'),
+      lock: this.db.prepare(`
+        INSERT INTO rate_limit_locks (key, until) VALUES (?, ?)
+        ON CONFLICT (key) DO UPDATE SET until = excluded.until
+      `),
+      lockedUntil: this.db.prepare('SELECT until FROM rate_limit_locks WHERE key = ? AND until > ?'),
+      pruneHits: this.db.prepare('DELETE FROM rate_limit_hits WHERE expires <= ?'),
+      pruneLocks: this.db.prepare('DELETE FROM rate_limit_locks WHERE until <= ?')
+    };
+
+    // Check and record in one transaction so concurrent instances can't both take the last slot
+    this.consumeTransaction = this.db.transaction((key, max, windowMs, now) => {
+      const { count, oldest } = this.statements.window.get(key, now);
+      if (count >= max) {
+        return { allowed: false, count, resetAt: oldest };
+      }
+      this.statements.hit.run(key, now + windowMs);
+      return { allowed: true, count: count + 1, resetAt: oldest ?? now + windowMs };
+    });
+  }
+
+  consume(key, { max, windowMs }) {
+    return this.consumeTransaction.immediate(key, max, windowMs, Date.now());
+  }
+
+  reset(key) {
+    this.statements.reset.run(key);
+  }
+
+  lock(key, until) {
+    this.statements.lock.run(key, until);
+  }
+
+  lockedUntil(key) {
+    return this.statements.lockedUntil.get(key, Date.now())?.until ?? null;
+  }
+
+  /**
+   * Remove expired hits and lockouts
+   * @returns {number} Number of rows removed
+   */
+  prune() {
+    const now = Date.now();
+    return this.statements.pruneHits.run(now).changes + this.statements.pruneLocks.run(now).changes;
+  }
+}
@@ -0,0 +1,212 @@
+import session from 'express-session';
+import { getDatabase } from './connection.mjs';
+import { migrate } from './migrations.mjs';
+
+const MIGRATION_SCOPE = 'sessions';
+
+/**
+ * Session tables, oldest first (see database/migrations.mjs)
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create sessions and user_session_index',
+    up: `
+      CREATE TABLE IF NOT EXISTS sessions (
+        sid TEXT PRIMARY KEY,
+        sess TEXT NOT NULL,
+        expires INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions (expires);
+
+      CREATE TABLE IF NOT EXISTS user_session_index (
+        user_key TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        expires INTEGER NOT NULL,
+        PRIMARY KEY (user_key, session_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_user_session_index_sid ON user_session_index (session_id);
+    `
+  }
+];
+
+/**
+ * express-session store backed by SQLite
+ *
+ * Sessions survive restarts and deploys. Each row keeps the serialized
+ * session and its expiry; expired rows are ignored on read and removed
+ * by prune().
+ */
+export class SqliteSessionStore extends session.Store {
+  /**
+   * @param {object} options
+   * @param {number} options.ttl - Fallback lifetime (ms) for sessions without a cookie expiry
+   */
+  constructor({ ttl }) {
+    super();
+    this.ttl = ttl;
+    this.db = getDatabase();
+    migrate(this.db, MIGRATION_SCOPE, MIGRATIONS);
+
+    this.statements = {
+      get: this.db.prepare('SELECT sess, expires FROM sessions WHERE sid = ?'),
+      set: this.db.prepare(`
+        INSERT INTO sessions (sid, sess, expires) VALUES (?, ?, ?)
+        ON CONFLICT (sid) DO UPDATE SET sess = excluded.sess, expires = excluded.expires
+      `),
+      touch: this.db.prepare('UPDATE sessions SET expires = ? WHERE sid = ?'),
+      destroy: this.db.prepare('DELETE FROM sessions WHERE sid = ?'),
+      destroyIndex: this.db.prepare('DELETE FROM user_session_index WHERE session_id = ?'),
+      all: this.db.prepare('SELECT sid, sess FROM sessions WHERE expires > ?'),
+      length: this.db.prepare('SELECT COUNT(*) AS count FROM sessions WHERE expires > ?'),
+      clear: this.db.prepare('DELETE FROM sessions'),
+      prune: this.db.prepare('DELETE FROM sessions WHERE expires <= ?')
+    };
+  }
+
+  /**
+   * Work out when a session should expire
+   * @param {object} sess - Session data
+   * @returns {number} Expiry as epoch milliseconds
+   */
+  getExpiry(sess) {
+    if (sess && sess.cookie && sess.cookie.expires) {
+      return new Date(sess.cookie.expires).getTime();
+    }
+    return Date.now() + this.ttl;
+  }
+
+  get(sid, callback) {
+    try {
+      const row = this.statements.get.get(sid);
+      if (!row) return callback(null, null);
+
+      if (row.expires <= Date.now()) {
+        this.statements.destroy.run(sid);
+        return callback(null, null);
+      }
+      callback(null, JSON.parse(row.sess));
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  set(sid, sess, callback) {
+    try {
+      this.statements.set.run(sid, JSON.stringify(sess), this.getExpiry(sess));
+      callback && callback(null);
+    } catch (err) {
+      callback && callback(err);
+    }
+  }
+
+  touch(sid, sess, callback) {
+    try {
+      this.statements.touch.run(this.getExpiry(sess), sid);
+      callback && callback(null);
+    } catch (err) {
+      callback && callback(err);
+    }
+  }
+
+  destroy(sid, callback) {
+    try {
+      this.db.transaction(() => {
+        this.statements.destroy.run(sid);
+        this.statements.destroyIndex.run(sid);
+      })();
+      callback && callback(null);
+    } catch (err) {
+      callback && callback(err);
+    }
+  }
+
+  all(callback) {
+    try {
+      const sessions = {};
+      for (const row of this.statements.all.all(Date.now())) {
+        sessions[row.sid] = JSON.parse(row.sess);
+      }
+      callback(null, sessions);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  length(callback) {
+    try {
+      callback(null, this.statements.length.get(Date.now()).count);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  clear(callback) {
+    try {
+      this.statements.clear.run();
+      callback && callback(null);
+    } catch (err) {
+      callback && callback(err);
+    }
+  }
+
+  /**
+   * Remove expired sessions
+   * @returns {number} Number of sessions removed
+   */
+  prune() {
+    return this.statements.prune.run(Date.now()).changes;
+  }
+}
+
+/**
+ * Persistent user → session ID index backed by SQLite
+ *
+ * Lets Universal Logout find a user's sessions directly after a restart
+ * instead of scanning every stored session.
+ */
+export class SqliteSessionIndex {
+  constructor() {
+    this.db = getDatabase();
+    migrate(this.db, MIGRATION_SCOPE, MIGRATIONS);
+
+    this.statements = {
+      add: this.db.prepare(`
+        INSERT INTO user_session_index (user_key, session_id, expires) VALUES (?, ?, ?)
+        ON CONFLICT (user_key, session_id) DO UPDATE SET expires = excluded.expires
+      `),
+      remove: this.db.prepare('DELETE FROM user_session_index WHERE user_key = ? AND session_id = ?'),
+      removeKey: this.db.prepare('DELETE FROM user_session_index WHERE user_key = ?'),
+      removeSession: this.db.prepare('DELETE FROM user_session_index WHERE session_id = ?'),
+      sessionIds: this.db.prepare('SELECT session_id FROM user_session_index WHERE user_key = ? AND expires > ?'),
+      prune: this.db.prepare(`
+        DELETE FROM user_session_index
+        WHERE expires <= ? OR session_id NOT IN (SELECT sid FROM sessions)
+      `)
+    };
+  }
+
+  add(key, sessionId, expires) {
+    this.statements.add.run(key, sessionId, expires);
+  }
+
+  remove(key, sessionId) {
+    this.statements.remove.run(key, sessionId);
+  }
+
+  removeKey(key) {
+    this.statements.removeKey.run(key);
+  }
+
+  removeSession(sessionId) {
+    this.statements.removeSession.run(sessionId);
+  }
+
+  sessionIds(key) {
+    return this.statements.sessionIds.all(key, Date.now()).map(row => row.session_id);
+  }
+
+  prune() {
+    return this.statements.prune.run(Date.now()).changes;
+  }
+}
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import { getDatabase } from './connection.mjs';
+import { migrate } from './migrations.mjs';
+
+/**
+ * Per-session leases for OIDC token refreshes
+ *
+ * Refresh tokens rotate: each one may be used once, and the IdP revokes the
+ * whole token family if a used one is presented again. Any worker sharing the
+ * database can refresh a session's tokens, so a refresh first takes the
+ * session's lease here and only one runs at a time. A lease expires on its
+ * own, so a worker that dies mid-refresh blocks the session only briefly.
+ */
+
+const MIGRATION_SCOPE = 'token_refresh_leases';
+
+/**
+ * Refresh lease schema, oldest first (see database/migrations.mjs)
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create token_refresh_leases',
+    up: `
+      CREATE TABLE IF NOT EXISTS token_refresh_leases (
+        sid TEXT PRIMARY KEY,
+        holder TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+    `
+  }
+];
+
+let initialized = false;
+
+/**
+ * Bring the refresh lease schema up to date on first use
+ * @returns {import('better-sqlite3').Database} Database connection
+ */
+function db() {
+  const database = getDatabase();
+  if (initialized) return database;
+
+  migrate(database, MIGRATION_SCOPE, MIGRATIONS);
+
+  initialized = true;
+  return database;
+}
+
+/**
+ * Take a session's refresh lease unless someone else holds it
+ * @param {string} sid - Session ID
+ * @param {number} ttlMs - How long the lease lasts if it isn't released
+ * @returns {string|null} Lease holder ID to release it with, or null if it is taken
+ */
+export function acquireRefreshLease(sid, ttlMs) {
+  const holder = crypto.randomUUID();
+  const now = Date.now();
+  const result = db().prepare(`
+    INSERT INTO token_refresh_leases (sid, holder, expires_at) VALUES (?, ?, ?)
+    ON CONFLICT (sid) DO UPDATE SET holder = excluded.holder, expires_at = excluded.expires_at
+    WHERE token_refresh_leases.expires_at <= ?
+  `).run(sid, holder, now + ttlMs, now);
+  return result.changes === 1 ? holder : null;
+}
+
+/**
+ * Give up a refresh lease
+ * @param {string} sid - Session ID
+ * @param {string} holder - From acquireRefreshLease()
+ */
+export function releaseRefreshLease(sid, holder) {
+  db().prepare('DELETE FROM token_refresh_leases WHERE sid = ? AND holder = ?').run(sid, holder);
+}
@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import { getDatabase } from './connection.mjs';
+import { migrate } from './migrations.mjs';
+import { postWireTransfer, reverseEntry } from './ledger.mjs';
+
+/**
+ * Wire transfer records and their status lifecycle
+ *
+ *   draft → reviewed → submitted → completed
+ *                 ↘        ↘ cancelled (within the cancellation window)
+ *                  cancelled   rejected (e.g. insufficient funds at submission)
+ *
+ * A transfer is reviewed when the customer is shown the review page, which
+ * carries a one-time idempotency token. Confirming consumes the token, so a
+ * refresh or double-click can't submit the same transfer twice. The source
+ * account is debited at submission; cancelling inside the window posts a
+ * reversing ledger entry. Once the window has passed the transfer completes.
+ */
+
+// How long a submitted wire can still be cancelled (default 30 minutes)
+const CANCEL_WINDOW = (Number(process.env.WIRE_CANCEL_WINDOW_MINUTES) || 30) * 60 * 1000;
+
+export const WIRE_STATUS = {
+  DRAFT: 'draft',
+  REVIEWED: 'reviewed',
+  SUBMITTED: 'submitted',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  REJECTED: 'rejected'
+};
+
+const MIGRATION_SCOPE = 'wire_transfers';
+
+/**
+ * Wire transfer schema, oldest first (see database/migrations.mjs)
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create wire_transfers',
+    up: `
+      CREATE TABLE IF NOT EXISTS wire_transfers (
+        ref TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL,
+        from_account_id TEXT NOT NULL,
+        recipient_name TEXT NOT NULL,
+        recipient_bank TEXT NOT NULL,
+        routing_number TEXT NOT NULL,
+        account_number TEXT NOT NULL,
+        amount_cents INTEGER NOT NULL,
+        memo TEXT,
+        status TEXT NOT NULL,
+        idempotency_token_hash TEXT,
+        ledger_entry_id INTEGER,
+        reversal_entry_id INTEGER,
+        rejection_reason TEXT,
+        created_at TEXT NOT NULL,
+        reviewed_at TEXT,
+        submitted_at TEXT,
+        cancellable_until TEXT,
+        completed_at TEXT,
+        cancelled_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_wire_transfers_owner ON wire_transfers (owner_id, created_at);
+    `
+  }
+];
+
+let initialized = false;
+
+/**
+ * Bring the wire transfer schema up to date on first use
+ * @returns {import('better-sqlite3').Database} Database connection
+ */
+function db() {
+  const database = getDatabase();
+  if (initialized) return database;
+
+  migrate(database, MIGRATION_SCOPE, MIGRATIONS);
+
+  initialized = true;
+  return database;
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a wire reference number, e.g. "WT-MF3K2A1B-9Q4Z"
+ * @returns {string} Reference number
+ */
+function generateRef() {
+  return 'WT-' + Date.now().toString(36).toUpperCase() + '-' + crypto.randomBytes(3).toString('hex').toUpperCase();
+}
+
+/**
+ * Shape a wire_transfers row for routes and views
+ * @param {object} row - wire_transfers row
+ * @returns {object} Transfer
+ */
+function toTransfer(row) {
+  const now = new Date().toISOString();
+  return {
+    ref: row.ref,
+    ownerId: row.owner_id,
+    fromAccountId: row.from_account_id,
+    recipientName: row.recipient_name,
+    recipientBank: row.recipient_bank,
+    routingNumber: row.routing_number,
+    accountNumber: row.account_number,
+    amountCents: row.amount_cents,
+    memo: row.memo,
+    status: row.status,
+    rejectionReason: row.rejection_reason,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at,
+    submittedAt: row.submitted_at,
+    cancellableUntil: row.cancellable_until,
+    completedAt: row.completed_at,
+    cancelledAt: row.cancelled_at,
+    cancellable: [WIRE_STATUS.DRAFT, WIRE_STATUS.REVIEWED].includes(row.status) ||
+      (row.status === WIRE_STATUS.SUBMITTED && row.cancellable_until > now)
+  };
+}
+
+/**
+ * Complete submitted transfers whose cancellation window has passed
+ * @returns {number} Number of transfers completed
+ */
+export function settleDueTransfers() {
+  const now = new Date().toISOString();
+  return db().prepare(`
+    UPDATE wire_transfers SET status = ?, completed_at = ?
+    WHERE status = ? AND cancellable_until <= ?
+  `).run(WIRE_STATUS.COMPLETED, now, WIRE_STATUS.SUBMITTED, now).changes;
+}
+
+/**
+ * Save a new draft transfer
+ * @param {string} ownerId - Okta user ID
+ * @param {object} details - Validated transfer details
+ * @returns {object} Draft transfer
+ */
+export function createDraftTransfer(ownerId, { fromAccountId, recipientName, recipientBank, routingNumber, accountNumber, amountCents, memo }) {
+  const ref = generateRef();
+  db().prepare(`
+    INSERT INTO wire_transfers (
+      ref, owner_id, from_account_id, recipient_name, recipient_bank, routing_number,
+      account_number, amount_cents, memo, status, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(ref, ownerId, fromAccountId, recipientName, recipientBank, routingNumber,
+    accountNumber, amountCents, memo || null, WIRE_STATUS.DRAFT, new Date().toISOString());
+  return getTransfer(ownerId, ref);
+}
+
+/**
+ * Mark a transfer as reviewed and issue a fresh one-time confirmation token
+ * Issuing a new token invalidates any earlier one for the same transfer.
+ * @param {string} ownerId - Okta user ID
+ * @param {string} ref - Reference number
+ * @returns {string|null} Idempotency token, or null if the transfer can't be reviewed
+ */
+export function issueReviewToken(ownerId, ref) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const result = db().prepare(`
+    UPDATE wire_transfers SET status = ?, idempotency_token_hash = ?, reviewed_at = ?
+    WHERE ref = ? AND owner_id = ? AND status IN (?, ?)
+  `).run(WIRE_STATUS.REVIEWED, hashToken(token), new Date().toISOString(),
+    ref, ownerId, WIRE_STATUS.DRAFT, WIRE_STATUS.REVIEWED);
+  return result.changes === 1 ? token : null;
+}
+
+/**
+ * Submit a reviewed transfer, consuming its one-time token
+ *
+ * The token is cleared in the same statement that moves the transfer to
+ * submitted, so only one request can win. The ledger debit runs in the same
+ * transaction; if it fails for lack of funds the transfer is rejected.
+ *
+ * @param {string} ownerId - Okta user ID
+ * @param {string} ref - Reference number
+ * @param {string} token - Idempotency token from the review page
+ * @returns {{ transfer: object, submitted: boolean }} The transfer, and whether this call submitted it
+ */
+export function submitTransfer(ownerId, ref, token) {
+  const database = db();
+  const now = new Date();
+
+  const submitted = database.transaction(() => {
+    const claimed = database.prepare(`
+      UPDATE wire_transfers
+      SET status = ?, idempotency_token_hash = NULL, submitted_at = ?, cancellable_until = ?
+      WHERE ref = ? AND owner_id = ? AND status = ? AND idempotency_token_hash = ?
+    `).run(WIRE_STATUS.SUBMITTED, now.toISOString(), new Date(now.getTime() + CANCEL_WINDOW).toISOString(),
+      ref, ownerId, WIRE_STATUS.REVIEWED, hashToken(String(token || '')));
+
+    if (claimed.changes !== 1) return false;
+
+    const transfer = getTransfer(ownerId, ref);
+    try {
+      const entryId = postWireTransfer(ownerId, {
+        accountId: transfer.fromAccountId,
+        amountCents: transfer.amountCents,
+        description: `Wire Transfer to ${transfer.recipientName}`,
+        reference: ref
+      });
+      database.prepare('UPDATE wire_transfers SET ledger_entry_id = ? WHERE ref = ?').run(entryId, ref);
+    } catch (error) {
+      if (error.code !== 'INSUFFICIENT_FUNDS' && error.code !== 'ACCOUNT_NOT_FOUND') throw error;
+      database.prepare(`
+        UPDATE wire_transfers SET status = ?, rejection_reason = ?, cancellable_until = NULL WHERE ref = ?
+      `).run(WIRE_STATUS.REJECTED, error.message, ref);
+    }
+    return true;
+  })();
+
+  return { transfer: getTransfer(ownerId, ref), submitted };
+}
+
+/**
+ * Cancel a transfer that hasn't been submitted, or is still inside its cancellation window
+ * Submitted transfers are refunded with a reversing ledger entry.
+ * @param {string} ownerId - Okta user ID
+ * @param {string} ref - Reference number
+ * @returns {object|null} The cancelled transfer, or null if it can no longer be cancelled
+ */
+export function cancelTransfer(ownerId, ref) {
+  const database = db();
+
+  return database.transaction(() => {
+    const transfer = getTransfer(ownerId, ref);
+    if (!transfer || !transfer.cancellable) return null;
+
+    let reversalEntryId = null;
+    if (transfer.status === WIRE_STATUS.SUBMITTED) {
+      const { ledger_entry_id: entryId } = database.prepare('SELECT ledger_entry_id FROM wire_transfers WHERE ref = ?').get(ref);
+      reversalEntryId = reverseEntry(entryId, {
+        description: `Wire Transfer Cancelled - ${transfer.recipientName}`,
+        reference: ref
+      });
+    }
+
+    database.prepare(`
+      UPDATE wire_transfers
+      SET status = ?, idempotency_token_hash = NULL, reversal_entry_id = ?, cancelled_at = ?
+      WHERE ref = ?
+    `).run(WIRE_STATUS.CANCELLED, reversalEntryId, new Date().toISOString(), ref);
+
+    return getTransfer(ownerId, ref);
+  })();
+}
+
+/**
+ * Get one of a user's transfers
+ * @param {string} ownerId - Okta user ID
+ * @param {string} ref - Reference number
+ * @returns {object|undefined} Transfer, or undefined if the user doesn't own it
+ */
+export function getTransfer(ownerId, ref) {
+  settleDueTransfers();
+  const row = db().prepare('SELECT * FROM wire_transfers WHERE ref = ? AND owner_id = ?').get(ref, ownerId);
+  return row ? toTransfer(row) : undefined;
+}
+
+/**
+ * List a user's transfers, newest first
+ * @param {string} ownerId - Okta user ID
+ * @param {object} [options]
+ * @param {number} [options.limit=10] - Maximum number of transfers
+ * @returns {object[]} Transfers (drafts are omitted)
+ */
+export function listTransfers(ownerId, { limit = 10 } = {}) {
+  settleDueTransfers();
+  return db().prepare(`
+    SELECT * FROM wire_transfers
+    WHERE owner_id = ? AND status != ?
+    ORDER BY created_at DESC
+    LIMIT ?
+  `).all(ownerId, WIRE_STATUS.DRAFT, limit).map(toTransfer);
+}
@@ -0,0 +1,226 @@
+import jwt from 'jsonwebtoken';
+import { getSigningKey } from './universalLogout.mjs';
+import { destroySessionsByIdpSession, destroyUserSessionsBySubject } from './sessionStore.mjs';
+import { recordTokenId } from './database/replayCache.mjs';
+import { createLogger } from './services/logger.mjs';
+
+/**
+ * OpenID Connect Back-Channel and Front-Channel Logout
+ * https://openid.net/specs/openid-connect-backchannel-1_0.html
+ * https://openid.net/specs/openid-connect-frontchannel-1_0.html
+ *
+ * Back-channel: when a user's Okta session ends, Okta POSTs a signed logout
+ * token straight to the app (no browser involved). The token names the Okta
+ * session (`sid`) and/or the user (`sub`); the app ends the matching sessions.
+ *
+ * Front-channel: the IdP (or a portal) loads the app's logout page in a hidden
+ * iframe, passing `iss` and `sid` in the query string.
+ *
+ * The IdP session ID comes from the `sid` claim of the ID token and is
+ * recorded at login (req.session.idp and the session index).
+ */
+
+const log = createLogger('oidc-logout');
+
+const BACKCHANNEL_LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+// Allowed clock skew when checking iat/exp, in seconds
+const CLOCK_TOLERANCE = 30;
+
+/**
+ * Validate an OIDC logout token
+ *
+ * Expected JWT format:
+ * Header: { "typ": "logout+jwt", "alg": "RS256", "kid" }
+ * Payload: { "iss", "aud", "iat", "exp", "jti", "events", "sid" and/or "sub" }
+ *
+ * The `jti` is recorded in the replay cache (database/replayCache.mjs) until
+ * the token expires, so a captured logout token can't be sent again. It is
+ * recorded last, so a token rejected for another reason doesn't use it up.
+ *
+ * @param {string} token - The logout token
+ * @param {string} expectedIssuer - The expected issuer (Okta org URL)
+ * @param {string} expectedAudience - The expected audience (OIDC client ID)
+ * @returns {Promise<object>} Decoded token payload
+ */
+async function validateBackchannelLogoutToken(token, expectedIssuer, expectedAudience) {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Invalid token format');
+  }
+
+  // Explicit typing keeps other JWTs (e.g. ID tokens) from being replayed as logout tokens
+  if (decoded.header.typ && !['logout+jwt', 'JWT'].includes(decoded.header.typ)) {
+    throw new Error(`Unexpected token type: ${decoded.header.typ}`);
+  }
+
+  const signingKey = await getSigningKey(decoded.header);
+
+  const payload = await new Promise((resolve, reject) => {
+    jwt.verify(token, signingKey, {
+      algorithms: ['RS256', 'RS384', 'RS512'],
+      issuer: expectedIssuer,
+      audience: expectedAudience,
+      clockTolerance: CLOCK_TOLERANCE
+    }, (err, verified) => err ? reject(err) : resolve(verified));
+  });
+
+  if (!payload.iat) {
+    throw new Error('Logout token has no iat claim');
+  }
+  if (!payload.exp) {
+    throw new Error('Logout token has no exp claim');
+  }
+  if (!payload.jti || typeof payload.jti !== 'string') {
+    throw new Error('Logout token has no jti claim');
+  }
+
+  const event = payload.events && payload.events[BACKCHANNEL_LOGOUT_EVENT];
+  if (!event || typeof event !== 'object') {
+    throw new Error(`Logout token events claim must contain ${BACKCHANNEL_LOGOUT_EVENT}`);
+  }
+
+  if (!payload.sid && !payload.sub) {
+    throw new Error('Logout token must contain a sid or sub claim');
+  }
+
+  // A nonce means this is an ID token, not a logout token
+  if (payload.nonce !== undefined) {
+    throw new Error('Logout token must not contain a nonce claim');
+  }
+
+  if (!recordTokenId('backchannel_logout', payload.jti, (payload.exp + CLOCK_TOLERANCE) * 1000)) {
+    throw new Error('Logout token has already been used');
+  }
+
+  return payload;
+}
+
+/**
+ * Back-Channel Logout endpoint
+ *
+ * Request format:
+ * POST /api/backchannel-logout
+ * Content-Type: application/x-www-form-urlencoded
+ *
+ * logout_token={JWT signed by Okta}
+ *
+ * With a `sid` only that Okta session's sessions are ended (restricted to
+ * `sub` as well when both are present); with only `sub` every session of
+ * the user is ended.
+ *
+ * Response codes per the specification:
+ * - 200: Logout succeeded (also when no session matched)
+ * - 400: Missing or invalid logout token, or logout failed
+ *
+ * @param {string} orgUrl - The Okta organization URL (logout token issuer)
+ * @param {string} clientId - The OIDC client ID (logout token audience)
+ */
+export function backchannelLogout(orgUrl, clientId) {
+  const expectedIssuer = orgUrl.endsWith('/') ? orgUrl.slice(0, -1) : orgUrl;
+
+  return async (req, res) => {
+    // Responses must not be cached
+    res.set('Cache-Control', 'no-store');
+
+    const token = req.body && req.body.logout_token;
+    if (!token || typeof token !== 'string') {
+      log.warn('Back-channel logout: missing logout_token');
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'logout_token is required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = await validateBackchannelLogoutToken(token, expectedIssuer, clientId);
+    } catch (err) {
+      log.warn('Back-channel logout: token validation failed', { error: err.message });
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: `Invalid logout token: ${err.message}`
+      });
+    }
+
+    try {
+      const destroyedCount = payload.sid
+        ? await destroySessionsByIdpSession(payload.sid, { issuer: payload.iss, subject: payload.sub })
+        : await destroyUserSessionsBySubject(payload.sub);
+
+      log.info('Back-channel logout', { idpSessionId: payload.sid, subject: payload.sid ? undefined : payload.sub, sessions: destroyedCount });
+      return res.sendStatus(200);
+    } catch (error) {
+      log.error('Error during back-channel logout', error);
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Unable to end sessions'
+      });
+    }
+  };
+}
+
+/**
+ * Logout-related client metadata, as registered with the IdP
+ * (OIDC Dynamic Client Registration names)
+ * @param {string} baseUrl - The app's base URL
+ * @returns {object}
+ */
+export function logoutMetadata(baseUrl) {
+  return {
+    frontchannel_logout_uri: `${baseUrl}/frontchannel-logout`,
+    frontchannel_logout_session_required: true,
+    backchannel_logout_uri: `${baseUrl}/api/backchannel-logout`,
+    backchannel_logout_session_required: true
+  };
+}
+
+/**
+ * Front-Channel Logout endpoint
+ *
+ * Request format:
+ * GET /frontchannel-logout?iss={issuer}&sid={IdP session ID}
+ *
+ * The iframe is usually cross-site, so the browser won't send the app's
+ * (SameSite=Lax) session cookie. The sessions to end are therefore looked up
+ * in the session store by the `iss` and `sid` recorded at login, not taken
+ * from the request's own session.
+ *
+ * The response is never cached and may only be framed by the IdP and any
+ * other origins passed in `frameAncestors` (e.g. a portal).
+ *
+ * @param {string} orgUrl - The Okta organization URL (expected issuer)
+ * @param {object} [options]
+ * @param {string[]} [options.frameAncestors] - Extra origins allowed to embed the page
+ */
+export function frontchannelLogout(orgUrl, { frameAncestors = [] } = {}) {
+  const expectedIssuer = orgUrl.endsWith('/') ? orgUrl.slice(0, -1) : orgUrl;
+  const ancestors = ["'self'", new URL(expectedIssuer).origin, ...frameAncestors].join(' ');
+
+  return async (req, res) => {
+    res.set({
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Pragma': 'no-cache',
+      'Expires': '0',
+      'Content-Security-Policy': `frame-ancestors ${ancestors}`
+    });
+
+    const { iss, sid } = req.query;
+    const normalizedIss = typeof iss === 'string' && iss.endsWith('/') ? iss.slice(0, -1) : iss;
+
+    if (typeof sid !== 'string' || !sid || normalizedIss !== expectedIssuer) {
+      log.warn('Front-channel logout: missing sid or unexpected issuer');
+      return res.status(400).render('frontchannel-logout', { loggedOut: false });
+    }
+
+    try {
+      const destroyedCount = await destroySessionsByIdpSession(sid, { issuer: normalizedIss });
+      log.info('Front-channel logout', { idpSessionId: sid, sessions: destroyedCount });
+      res.render('frontchannel-logout', { loggedOut: true });
+    } catch (error) {
+      log.error('Error during front-channel logout', error);
+      res.status(500).render('frontchannel-logout', { loggedOut: false });
+    }
+  };
+}
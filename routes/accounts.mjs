@@ -0,0 +1,101 @@
+import express from 'express';
+import createError from 'http-errors';
+import { ensureUserAccounts, searchTransactions, toCents, ENTRY_TYPES } from '../database/ledger.mjs';
+
+const router = express.Router();
+
+// Rows per page on the transaction history page
+const PAGE_SIZE = 25;
+
+function ensureLoggedIn(req, res, next) {
+  if (req.isAuthenticated()) {
+    return next();
+  }
+  res.redirect('/login');
+}
+
+/**
+ * Load the requested account, making sure it belongs to the signed-in user
+ */
+function loadAccount(req, res, next) {
+  const account = ensureUserAccounts(req.user.id).find(a => a.id === req.params.accountId);
+  if (!account) {
+    return next(createError(404, 'Account not found'));
+  }
+  req.account = account;
+  next();
+}
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+/**
+ * Read history filters from the query string, ignoring values that don't parse
+ * @returns {{ filters: object, query: object }} Filters for the ledger, and the cleaned values for the form
+ */
+function parseFilters(query) {
+  const cleaned = {
+    from: isDate(query.from) ? query.from : '',
+    to: isDate(query.to) ? query.to : '',
+    min: toCents(query.min) !== null ? query.min.trim() : '',
+    max: toCents(query.max) !== null ? query.max.trim() : '',
+    type: ENTRY_TYPES.includes(query.type) ? query.type : '',
+    q: typeof query.q === 'string' ? query.q.trim().slice(0, 100) : ''
+  };
+
+  return {
+    query: cleaned,
+    filters: {
+      from: cleaned.from || undefined,
+      to: cleaned.to || undefined,
+      minCents: cleaned.min ? toCents(cleaned.min) : undefined,
+      maxCents: cleaned.max ? toCents(cleaned.max) : undefined,
+      type: cleaned.type || undefined,
+      q: cleaned.q || undefined,
+      page: Math.max(1, parseInt(query.page, 10) || 1),
+      pageSize: PAGE_SIZE
+    }
+  };
+}
+
+// GET /accounts/:accountId - Account overview with recent activity
+router.get('/:accountId', ensureLoggedIn, loadAccount, (req, res) => {
+  const { transactions, total } = searchTransactions(req.account.id, { pageSize: 10 });
+
+  res.render('account', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    account: { ...req.account, openedOn: req.format.date(req.account.createdAt) },
+    transactions: transactions.map(tx => ({ ...tx, date: req.format.date(tx.postedAt) })),
+    total
+  });
+});
+
+// GET /accounts/:accountId/transactions - Searchable, paginated transaction history
+router.get('/:accountId/transactions', ensureLoggedIn, loadAccount, (req, res) => {
+  const { query, filters } = parseFilters(req.query);
+  const result = searchTransactions(req.account.id, filters);
+
+  // Query string for pagination links, keeping the active filters
+  const filterParams = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== ''));
+  const pageUrl = (page) => {
+    const params = new URLSearchParams(filterParams);
+    params.set('page', page);
+    return `/accounts/${req.account.id}/transactions?${params}`;
+  };
+
+  res.render('account-transactions', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    account: req.account,
+    transactions: result.transactions.map(tx => ({ ...tx, date: req.format.date(tx.postedAt) })),
+    total: result.total,
+    page: result.page,
+    totalPages: result.totalPages,
+    prevUrl: result.page > 1 ? pageUrl(result.page - 1) : null,
+    nextUrl: result.page < result.totalPages ? pageUrl(result.page + 1) : null,
+    filters: query,
+    entryTypes: ENTRY_TYPES
+  });
+});
+
+export default router;
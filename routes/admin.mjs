@@ -0,0 +1,111 @@
+import express from 'express';
+import createError from 'http-errors';
+import { listSessions, terminateSession, destroyUserSessions } from '../sessionStore.mjs';
+import { createLogger } from '../services/logger.mjs';
+
+const router = express.Router();
+const log = createLogger('admin');
+
+// Okta group whose members may use the admin console (sent in the ID token `groups` claim)
+export const ADMIN_GROUP = process.env.ADMIN_GROUP || 'SecureBank Admins';
+
+/**
+ * Whether the signed-in user is in the admin group
+ * The groups are read from the ID token at sign-in (req.session.groups).
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+export function isAdmin(req) {
+  return Boolean(req.isAuthenticated() && Array.isArray(req.session.groups) && req.session.groups.includes(ADMIN_GROUP));
+}
+
+function ensureLoggedIn(req, res, next) {
+  if (req.isAuthenticated()) {
+    return next();
+  }
+  res.redirect('/login');
+}
+
+/**
+ * Middleware to ensure the user is in the admin group
+ */
+function ensureAdmin(req, res, next) {
+  if (isAdmin(req)) {
+    return next();
+  }
+  log.warn('Admin console access denied', { userId: req.user.id });
+  next(createError(403, `The admin console is limited to members of the "${ADMIN_GROUP}" group`));
+}
+
+// GET /admin - Active sessions (?q= searches by user name, email or ID)
+router.get('/', ensureLoggedIn, ensureAdmin, async (req, res) => {
+  const search = (req.query.q || '').trim();
+  const sessions = await listSessions({ search });
+
+  res.render('admin', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    search,
+    // Sessions are identified by their key; session IDs stay on the server
+    sessions: sessions.map(({ sid, ...s }) => ({
+      ...s,
+      current: sid === req.sessionID,
+      shortId: s.key.slice(0, 8),
+      loginAt: req.format.dateTime(s.loginAt),
+      lastActivityAt: req.format.dateTime(s.lastActivityAt),
+      mfaVerifiedAt: req.format.dateTime(s.mfaVerifiedAt)
+    })),
+    adminGroup: ADMIN_GROUP,
+    success: req.query.success,
+    count: req.query.count,
+    error: req.query.error
+  });
+});
+
+// Keep the search when returning to the session list
+const backToList = (req, params) => {
+  const query = new URLSearchParams(params);
+  if (req.body.q) query.set('q', req.body.q);
+  return `/admin?${query}`;
+};
+
+// POST /admin/sessions/terminate - End one session (identified by its session key)
+router.post('/sessions/terminate', ensureLoggedIn, ensureAdmin, async (req, res) => {
+  const key = req.body.session;
+  const match = key && (await listSessions()).find(s => s.key === key);
+
+  if (!match) {
+    return res.redirect(backToList(req, { error: 'session_not_found' }));
+  }
+  if (match.sid === req.sessionID) {
+    return res.redirect(backToList(req, { error: 'own_session' }));
+  }
+
+  if (!(await terminateSession(match.sid))) {
+    return res.redirect(backToList(req, { error: 'session_not_found' }));
+  }
+
+  log.info('Admin terminated session', { adminId: req.user.id, userId: match.userId, session: key });
+  res.redirect(backToList(req, { success: 'session_terminated' }));
+});
+
+// POST /admin/users/terminate - End all of a user's sessions
+router.post('/users/terminate', ensureLoggedIn, ensureAdmin, async (req, res) => {
+  const email = (req.body.email || '').trim();
+
+  if (!email) {
+    return res.redirect(backToList(req, { error: 'no_email' }));
+  }
+
+  const count = await destroyUserSessions(email);
+  log.info('Admin terminated user sessions', { adminId: req.user.id, email, sessions: count });
+
+  // The admin's own session may have been among them - don't let this request save it again
+  const ownSession = await new Promise(resolve => req.sessionStore.get(req.sessionID, (err, data) => resolve(!err && data)));
+  if (!ownSession) {
+    return req.session.destroy(() => res.redirect('/'));
+  }
+  res.redirect(backToList(req, { success: 'user_terminated', count }));
+});
+
+export default router;
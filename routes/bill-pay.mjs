@@ -0,0 +1,221 @@
+import express from 'express';
+import { ensureUserAccounts, getFundingAccounts, toCents } from '../database/ledger.mjs';
+import {
+  listBillers, createBiller, deleteBiller, validateBiller,
+  createPayment, listUpcomingPayments, listPaymentHistory, skipNextPayment, cancelPayment,
+  PAYMENT_FREQUENCIES, BILLPAY_MAX_ATTEMPTS
+} from '../database/billPay.mjs';
+import { today } from '../database/internalTransfers.mjs';
+import { requireStepUp } from '../services/stepUpPolicy.mjs';
+import { createLogger } from '../services/logger.mjs';
+
+const router = express.Router();
+const log = createLogger('bill-pay');
+
+const FREQUENCY_LABELS = {
+  once: 'One time',
+  weekly: 'Every week',
+  monthly: 'Every month',
+  custom: 'Every ... days'
+};
+
+function ensureLoggedIn(req, res, next) {
+  if (req.isAuthenticated()) {
+    return next();
+  }
+  res.redirect('/login');
+}
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+/**
+ * Describe how often a payment repeats
+ */
+function describeFrequency(payment) {
+  return payment.frequency === 'custom' ? `Every ${payment.intervalDays} days` : FREQUENCY_LABELS[payment.frequency];
+}
+
+/**
+ * Validate the payment form
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validatePaymentForm(body, { billers, accounts }) {
+  const { billerId, fromAccount, amount, frequency, intervalDays, payOn, endOn } = body;
+  const errors = [];
+
+  if (!billerId || !billers.find(b => b.id === billerId)) {
+    errors.push('Please select a biller.');
+  }
+
+  if (!fromAccount || !accounts.find(a => a.id === fromAccount)) {
+    errors.push('Please select a valid account to pay from.');
+  }
+
+  if (!toCents(amount)) {
+    errors.push('Please enter a valid amount greater than $0.00.');
+  }
+
+  if (!isDate(payOn) || payOn < today()) {
+    errors.push('Please choose a payment date of today or later.');
+  }
+
+  if (!PAYMENT_FREQUENCIES.includes(frequency)) {
+    errors.push('Please choose how often to make this payment.');
+  } else if (frequency !== 'once') {
+    if (frequency === 'custom') {
+      const days = Number(intervalDays);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        errors.push('Custom payments must repeat every 1 to 365 days.');
+      }
+    }
+    if (endOn && (!isDate(endOn) || endOn < payOn)) {
+      errors.push('The end date must be on or after the first payment date.');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Render the payment form
+ */
+function renderPaymentForm(req, res, { formData, error = null }) {
+  res.render('bill-payment-form', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    billers: listBillers(req.user.id),
+    accounts: getFundingAccounts(req.user.id),
+    frequencies: FREQUENCY_LABELS,
+    today: today(),
+    formData,
+    error
+  });
+}
+
+// GET /bill-pay - Billers, upcoming payments and payment history
+router.get('/', ensureLoggedIn, (req, res) => {
+  const accounts = ensureUserAccounts(req.user.id);
+  const accountLabel = (id) => accounts.find(a => a.id === id)?.label || 'Closed account';
+
+  res.render('bill-pay', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    billers: listBillers(req.user.id),
+    upcoming: listUpcomingPayments(req.user.id).map(p => ({
+      ...p,
+      amount: req.format.money(p.amountCents),
+      from: accountLabel(p.fromAccountId),
+      schedule: describeFrequency(p),
+      nextPayOn: req.format.date(p.nextPayOn),
+      endOn: req.format.date(p.endOn),
+      retryAt: req.format.dateTime(p.retryAt)
+    })),
+    history: listPaymentHistory(req.user.id).map(h => ({
+      ...h,
+      amount: req.format.money(h.amountCents),
+      dueOn: req.format.date(h.dueOn),
+      createdAt: req.format.dateTime(h.createdAt)
+    })),
+    maxAttempts: BILLPAY_MAX_ATTEMPTS,
+    success: req.query.success,
+    error: req.query.error
+  });
+});
+
+// GET /bill-pay/billers/new - Add biller form
+router.get('/billers/new', ensureLoggedIn, requireStepUp('biller.add'), (req, res) => {
+  res.render('biller-form', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    formData: {},
+    error: null
+  });
+});
+
+// POST /bill-pay/billers - Add a biller
+router.post('/billers', ensureLoggedIn, requireStepUp('biller.add'), (req, res) => {
+  const fields = {
+    name: (req.body.name || '').trim(),
+    nickname: req.body.nickname ? req.body.nickname.trim() : null,
+    accountNumber: (req.body.accountNumber || '').trim()
+  };
+  const errors = validateBiller(fields);
+
+  if (errors.length > 0) {
+    return res.render('biller-form', {
+      authenticated: req.isAuthenticated(),
+      user: req.user,
+      formData: req.body,
+      error: errors.join(' ')
+    });
+  }
+
+  const biller = createBiller(req.user.id, fields);
+  log.info('Biller added', { userId: req.user.id, billerId: biller.id });
+  res.redirect(`/bill-pay/payments/new?biller=${biller.id}`);
+});
+
+// POST /bill-pay/billers/:id/delete - Remove a biller and cancel its payments
+router.post('/billers/:id/delete', ensureLoggedIn, requireStepUp('biller.remove'), (req, res) => {
+  if (!deleteBiller(req.user.id, req.params.id)) {
+    return res.redirect('/bill-pay?error=biller_not_found');
+  }
+  log.info('Biller removed', { userId: req.user.id, billerId: req.params.id });
+  res.redirect('/bill-pay?success=biller_removed');
+});
+
+// GET /bill-pay/payments/new - Schedule a payment (?biller=<id> preselects a biller)
+router.get('/payments/new', ensureLoggedIn, (req, res) => {
+  if (listBillers(req.user.id).length === 0) {
+    return res.redirect('/bill-pay/billers/new');
+  }
+  renderPaymentForm(req, res, {
+    formData: { billerId: req.query.biller, frequency: 'once', payOn: today() }
+  });
+});
+
+// POST /bill-pay/payments - Schedule a one-off or recurring payment
+router.post('/payments', ensureLoggedIn, (req, res) => {
+  const errors = validatePaymentForm(req.body, {
+    billers: listBillers(req.user.id),
+    accounts: getFundingAccounts(req.user.id)
+  });
+
+  if (errors.length > 0) {
+    return renderPaymentForm(req, res, { formData: req.body, error: errors.join(' ') });
+  }
+
+  const payment = createPayment(req.user.id, {
+    billerId: req.body.billerId,
+    fromAccountId: req.body.fromAccount,
+    amountCents: toCents(req.body.amount),
+    memo: req.body.memo ? req.body.memo.trim().slice(0, 100) : null,
+    frequency: req.body.frequency,
+    intervalDays: Number(req.body.intervalDays),
+    payOn: req.body.payOn,
+    endOn: req.body.endOn || null
+  });
+
+  log.info('Bill payment scheduled', { userId: req.user.id, paymentId: payment.id, frequency: payment.frequency, nextPayOn: payment.nextPayOn });
+  res.redirect('/bill-pay?success=scheduled');
+});
+
+// POST /bill-pay/payments/:id/skip - Skip the next payment of a recurring payment
+router.post('/payments/:id/skip', ensureLoggedIn, (req, res) => {
+  if (!skipNextPayment(req.user.id, req.params.id)) {
+    return res.redirect('/bill-pay?error=payment_not_found');
+  }
+  log.info('Bill payment skipped', { userId: req.user.id, paymentId: req.params.id });
+  res.redirect('/bill-pay?success=skipped');
+});
+
+// POST /bill-pay/payments/:id/cancel - Cancel a scheduled payment
+router.post('/payments/:id/cancel', ensureLoggedIn, (req, res) => {
+  if (!cancelPayment(req.user.id, req.params.id)) {
+    return res.redirect('/bill-pay?error=payment_not_found');
+  }
+  log.info('Bill payment cancelled', { userId: req.user.id, paymentId: req.params.id });
+  res.redirect('/bill-pay?success=cancelled');
+});
+
+export default router;
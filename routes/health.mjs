@@ -0,0 +1,124 @@
+import express from 'express';
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { getDiscoveryStatus, getDiscoveryMetadata } from '../services/oidcDiscovery.mjs';
+import { checkSessionStore } from '../sessionStore.mjs';
+import { checkPreferencesStore } from '../database/db.mjs';
+import { isOktaApiAvailable } from '../services/oktaService.mjs';
+import { renderMetrics } from '../services/metrics.mjs';
+import { createLogger } from '../services/logger.mjs';
+
+// Load from .okta.env for local development
+dotenv.config({ path: '.okta.env' });
+
+const router = express.Router();
+const log = createLogger('health');
+
+// Longest a single readiness check may take
+const CHECK_TIMEOUT = 3000;
+
+// JWKS reachability is cached so frequent probes don't call Okta every time
+const JWKS_CHECK_TTL = 30 * 1000;
+
+// Optional bearer token required to scrape /metrics
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms).unref())
+]);
+
+let jwksCheck = { checkedAt: 0, result: null };
+
+/**
+ * Fetch the org's JWKS (used to verify GTR and logout tokens)
+ */
+async function checkJwks() {
+  if (jwksCheck.result && Date.now() - jwksCheck.checkedAt < JWKS_CHECK_TTL) {
+    return jwksCheck.result;
+  }
+  const orgUrl = (process.env.ORG_URL || '').replace(/\/$/, '');
+  const jwksUri = getDiscoveryMetadata()?.jwks_uri || `${orgUrl}/oauth2/v1/keys`;
+  const { data } = await axios.get(jwksUri, { timeout: CHECK_TIMEOUT });
+  if (!Array.isArray(data?.keys) || data.keys.length === 0) {
+    throw new Error('JWKS has no keys');
+  }
+  jwksCheck = { checkedAt: Date.now(), result: { keys: data.keys.length } };
+  return jwksCheck.result;
+}
+
+/**
+ * Readiness checks
+ * A check returns details on success and throws on failure. `critical: false`
+ * checks report a warning instead of failing readiness.
+ */
+const CHECKS = [
+  {
+    name: 'oidc_discovery',
+    run: () => {
+      const status = getDiscoveryStatus();
+      if (!status.ready) {
+        throw new Error(status.lastError || 'discovery has not completed yet');
+      }
+      return { issuer: status.issuer, failures: status.failures };
+    }
+  },
+  { name: 'jwks', run: checkJwks },
+  { name: 'session_store', run: checkSessionStore },
+  { name: 'preferences_db', run: () => checkPreferencesStore() },
+  {
+    name: 'okta_management_api',
+    // Only profile updates need it, so the app can serve without it
+    critical: false,
+    run: () => {
+      if (!isOktaApiAvailable()) {
+        throw new Error('OKTA_API_TOKEN or ORG_URL not set - profile updates to Okta are disabled');
+      }
+      return { configured: true };
+    }
+  }
+];
+
+async function runCheck({ name, run, critical = true }) {
+  const started = Date.now();
+  try {
+    const details = await withTimeout(Promise.resolve().then(run), CHECK_TIMEOUT);
+    return { name, status: 'pass', durationMs: Date.now() - started, ...details };
+  } catch (error) {
+    return { name, status: critical ? 'fail' : 'warn', durationMs: Date.now() - started, error: error.message };
+  }
+}
+
+// GET /healthz - Liveness: the process is up and serving requests
+router.get('/healthz', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()), timestamp: new Date().toISOString() });
+});
+
+// GET /readyz - Readiness: dependencies needed to serve customers are available
+router.get('/readyz', async (req, res) => {
+  const results = await Promise.all(CHECKS.map(runCheck));
+  const failed = results.filter(check => check.status === 'fail');
+  if (failed.length) {
+    log.warn('Readiness check failed', { checks: failed.map(({ name, error }) => ({ name, error })) });
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.status(failed.length ? 503 : 200).json({
+    status: failed.length ? 'unavailable' : 'ready',
+    checks: Object.fromEntries(results.map(({ name, ...result }) => [name, result])),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// GET /metrics - Prometheus metrics (Bearer METRICS_TOKEN when set)
+router.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.status(401).type('text/plain').send('Unauthorized\n');
+  }
+  res.set('Cache-Control', 'no-store');
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+export default router;
@@ -1,9 +1,20 @@
 import express from 'express';
+import { ensureUserAccounts, getRecentActivity } from '../database/ledger.mjs';
 const router = express.Router();
 
 /* GET home page. */
 router.get('/', function(req, res, next) {
-  res.render('index', { authenticated: req.isAuthenticated(), user: req.user });
+  if (!req.isAuthenticated()) {
+    return res.render('index', { authenticated: false, user: req.user });
+  }
+
+  const accounts = ensureUserAccounts(req.user.id);
+  const transactions = getRecentActivity(req.user.id, { limit: 5 }).map(tx => ({
+    ...tx,
+    date: req.format.date(tx.postedAt)
+  }));
+
+  res.render('index', { authenticated: true, user: req.user, accounts, transactions });
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,142 @@
+import express from 'express';
+import createError from 'http-errors';
+import {
+  listPayees, getPayee, createPayee, updatePayee, deletePayee, validatePayee,
+  PAYEE_COOLOFF_HOURS, PAYEE_COOLOFF_LIMIT_CENTS
+} from '../database/payees.mjs';
+import { requireStepUp } from '../services/stepUpPolicy.mjs';
+import { createLogger } from '../services/logger.mjs';
+
+const router = express.Router();
+const log = createLogger('payees');
+
+function ensureLoggedIn(req, res, next) {
+  if (req.isAuthenticated()) {
+    return next();
+  }
+  res.redirect('/login');
+}
+
+/**
+ * Pick the payee fields out of a submitted form
+ */
+function payeeFromForm(body) {
+  return {
+    nickname: body.nickname ? body.nickname.trim() : null,
+    recipientName: (body.recipientName || '').trim(),
+    recipientBank: (body.recipientBank || '').trim(),
+    routingNumber: (body.routingNumber || '').trim(),
+    accountNumber: (body.accountNumber || '').trim()
+  };
+}
+
+/**
+ * Describe the cool-off policy for the views
+ * @param {object} format - The user's formatters (req.format)
+ */
+function cooloffPolicy(format) {
+  return {
+    hours: PAYEE_COOLOFF_HOURS,
+    limit: PAYEE_COOLOFF_LIMIT_CENTS > 0 ? format.money(PAYEE_COOLOFF_LIMIT_CENTS) : null
+  };
+}
+
+// GET /payees - List saved payees
+router.get('/', ensureLoggedIn, (req, res) => {
+  const payees = listPayees(req.user.id).map(p => ({ ...p, cooloffUntil: req.format.dateTime(p.cooloffUntil) }));
+  res.render('payees', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    payees,
+    cooloff: cooloffPolicy(req.format),
+    success: req.query.success,
+    error: req.query.error
+  });
+});
+
+// GET /payees/new - Add payee form
+router.get('/new', ensureLoggedIn, requireStepUp('payee.change'), (req, res) => {
+  res.render('payee-form', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    payee: null,
+    formData: {},
+    cooloff: cooloffPolicy(req.format),
+    error: null
+  });
+});
+
+// POST /payees - Add a payee
+router.post('/', ensureLoggedIn, requireStepUp('payee.change'), (req, res) => {
+  const fields = payeeFromForm(req.body);
+  const errors = validatePayee(fields);
+
+  if (errors.length > 0) {
+    return res.render('payee-form', {
+      authenticated: req.isAuthenticated(),
+      user: req.user,
+      payee: null,
+      formData: req.body,
+      cooloff: cooloffPolicy(req.format),
+      error: errors.join(' ')
+    });
+  }
+
+  const payee = createPayee(req.user.id, fields);
+  log.info('Payee added', { userId: req.user.id, payeeId: payee.id });
+  res.redirect('/payees?success=added');
+});
+
+// GET /payees/:id/edit - Edit payee form
+router.get('/:id/edit', ensureLoggedIn, requireStepUp('payee.change'), (req, res, next) => {
+  const payee = getPayee(req.user.id, req.params.id);
+  if (!payee) {
+    return next(createError(404, 'Payee not found'));
+  }
+
+  res.render('payee-form', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    payee,
+    formData: payee,
+    cooloff: cooloffPolicy(req.format),
+    error: null
+  });
+});
+
+// POST /payees/:id - Update a payee
+router.post('/:id', ensureLoggedIn, requireStepUp('payee.change'), (req, res, next) => {
+  const payee = getPayee(req.user.id, req.params.id);
+  if (!payee) {
+    return next(createError(404, 'Payee not found'));
+  }
+
+  const fields = payeeFromForm(req.body);
+  const errors = validatePayee(fields);
+
+  if (errors.length > 0) {
+    return res.render('payee-form', {
+      authenticated: req.isAuthenticated(),
+      user: req.user,
+      payee,
+      formData: req.body,
+      cooloff: cooloffPolicy(req.format),
+      error: errors.join(' ')
+    });
+  }
+
+  updatePayee(req.user.id, payee.id, fields);
+  log.info('Payee updated', { userId: req.user.id, payeeId: payee.id });
+  res.redirect('/payees?success=updated');
+});
+
+// POST /payees/:id/delete - Delete a payee
+router.post('/:id/delete', ensureLoggedIn, (req, res) => {
+  if (!deletePayee(req.user.id, req.params.id)) {
+    return res.redirect('/payees?error=not_found');
+  }
+  log.info('Payee deleted', { userId: req.user.id, payeeId: req.params.id });
+  res.redirect('/payees?success=deleted');
+});
+
+export default router;
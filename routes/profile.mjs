@@ -1,11 +1,16 @@
 import express from 'express';
 import { getOktaUserProfile, updateOktaUserProfile, isOktaApiAvailable } from '../services/oktaService.mjs';
-import { getUserPreferences, createUserPreferences, updateUserPreferences } from '../database/db.mjs';
+import { getUserPreferences, createUserPreferences, updateUserPreferences, PREFERENCE_CHOICES } from '../database/db.mjs';
+import { ensureUserAccounts } from '../database/ledger.mjs';
+import { findUserSessionsBySubject, terminateSession, sessionKey } from '../sessionStore.mjs';
+import { getSessionTokens, revokeTokens } from '../services/tokenVault.mjs';
+import { describeDevice } from '../services/deviceInfo.mjs';
+import { recordSecurityEvent, listSecurityEvents, SECURITY_EVENTS } from '../database/securityEvents.mjs';
+import { requireStepUp, stepUpStatus } from '../services/stepUpPolicy.mjs';
+import { createLogger } from '../services/logger.mjs';
 
 const router = express.Router();
-
-// MFA verification timeout (5 minutes)
-const MFA_TIMEOUT = 5 * 60 * 1000;
+const log = createLogger('profile');
 
 /**
  * Middleware to ensure user is logged in
@@ -17,26 +22,6 @@ function ensureLoggedIn(req, res, next) {
   res.redirect('/login');
 }
 
-/**
- * Middleware to ensure user has completed MFA step-up authentication
- * Required for sensitive operations like profile editing
- */
-function ensureMfaVerified(req, res, next) {
-  const mfaVerified = req.session.mfaVerified;
-  const mfaVerifiedAt = req.session.mfaVerifiedAt;
-  const now = Date.now();
-
-  if (mfaVerified && mfaVerifiedAt && (now - mfaVerifiedAt) < MFA_TIMEOUT) {
-    // User has recently completed MFA
-    return next();
-  }
-
-  // Require MFA step-up authentication
-  console.log('MFA step-up required for profile edit');
-  req.session.mfaReturnUrl = '/profile/edit';
-  res.redirect('/stepup-mfa');
-}
-
 /**
  * Helper to extract user email from passport user object
  */
@@ -64,19 +49,32 @@ router.get('/', ensureLoggedIn, async (req, res) => {
     // Get local preferences
     const preferences = userId ? getUserPreferences(userId) || {} : {};
 
+    // Account balances for the summary sidebar
+    const accounts = ensureUserAccounts(userId);
+    const totalCents = accounts.reduce((sum, account) => sum + account.balanceCents, 0);
+
     res.render('profile', {
       authenticated: req.isAuthenticated(),
       user: req.user,
       preferences,
+      accounts,
+      totalCents,
+      security: {
+        signedInAt: req.format.dateTime(req.session.loginAt),
+        mfaVerified: stepUpStatus(req).verified
+      },
       success: req.query.success,
       error: req.query.error
     });
   } catch (error) {
-    console.error('Profile page error:', error);
+    log.error('Profile page error', error);
     res.render('profile', {
       authenticated: req.isAuthenticated(),
       user: req.user,
       preferences: {},
+      accounts: [],
+      totalCents: 0,
+      security: {},
       error: 'Unable to load preferences'
     });
   }
@@ -85,7 +83,7 @@ router.get('/', ensureLoggedIn, async (req, res) => {
 /**
  * GET /profile/edit - Display edit form (requires recent re-authentication)
  */
-router.get('/edit', ensureLoggedIn, ensureMfaVerified, async (req, res) => {
+router.get('/edit', ensureLoggedIn, requireStepUp('profile.edit'), async (req, res) => {
   try {
     const userId = req.user.id;
     const email = getUserEmail(req.user);
@@ -96,7 +94,7 @@ router.get('/edit', ensureLoggedIn, ensureMfaVerified, async (req, res) => {
       try {
         oktaProfile = await getOktaUserProfile(userId);
       } catch (e) {
-        console.error('Could not fetch Okta profile:', e.message);
+        log.warn('Could not fetch Okta profile', { userId, error: e.message });
       }
     }
 
@@ -117,7 +115,7 @@ router.get('/edit', ensureLoggedIn, ensureMfaVerified, async (req, res) => {
       error: req.query.error
     });
   } catch (error) {
-    console.error('Profile edit page error:', error);
+    log.error('Profile edit page error', error);
     res.redirect('/profile?error=load_failed');
   }
 });
@@ -125,15 +123,14 @@ router.get('/edit', ensureLoggedIn, ensureMfaVerified, async (req, res) => {
 /**
  * POST /profile/okta - Update Okta profile (requires recent re-authentication)
  */
-router.post('/okta', ensureLoggedIn, ensureMfaVerified, async (req, res) => {
+router.post('/okta', ensureLoggedIn, requireStepUp('profile.edit'), async (req, res) => {
   try {
     // Try multiple ways to get the Okta user ID
     const userId = req.user.id ||
                    (req.user._json && req.user._json.sub) ||
                    req.user.sub;
 
-    console.log('Attempting Okta profile update for user:', userId);
-    console.log('User object keys:', Object.keys(req.user));
+    log.info('Attempting Okta profile update', { userId });
 
     const { firstName, lastName, mobilePhone } = req.body;
 
@@ -148,12 +145,12 @@ router.post('/okta', ensureLoggedIn, ensureMfaVerified, async (req, res) => {
     }
 
     if (!isOktaApiAvailable()) {
-      console.log('Okta API not available');
+      log.warn('Okta API not available');
       return res.redirect('/profile/edit?error=okta_not_configured');
     }
 
     if (!userId) {
-      console.log('No user ID found in session');
+      log.warn('No user ID found in session');
       return res.redirect('/profile/edit?error=no_user_id');
     }
 
@@ -167,8 +164,7 @@ router.post('/okta', ensureLoggedIn, ensureMfaVerified, async (req, res) => {
 
     res.redirect('/profile?success=okta_updated');
   } catch (error) {
-    console.error('Okta update error:', error.message);
-    console.error('Full error:', error);
+    log.error('Okta update error', error);
     res.redirect('/profile/edit?error=okta_update_failed');
   }
 });
@@ -176,7 +172,7 @@ router.post('/okta', ensureLoggedIn, ensureMfaVerified, async (req, res) => {
 /**
  * POST /profile/preferences - Update local preferences (requires recent re-authentication)
  */
-router.post('/preferences', ensureLoggedIn, ensureMfaVerified, async (req, res) => {
+router.post('/preferences', ensureLoggedIn, requireStepUp('profile.edit'), async (req, res) => {
   try {
     const userId = req.user.id;
 
@@ -191,19 +187,128 @@ router.post('/preferences', ensureLoggedIn, ensureMfaVerified, async (req, res)
       push_notifications: req.body.push_notifications === 'on' ? 1 : 0,
       transaction_alerts: req.body.transaction_alerts === 'on' ? 1 : 0,
       marketing_emails: req.body.marketing_emails === 'on' ? 1 : 0,
-      theme: req.body.theme || 'light',
-      language: req.body.language || 'en',
-      currency_display: req.body.currency_display || 'USD',
-      date_format: req.body.date_format || 'MM/DD/YYYY'
+      theme: req.body.theme,
+      language: req.body.language,
+      currency_display: req.body.currency_display,
+      date_format: req.body.date_format
     };
 
+    // Choices must be one of the offered options; nothing is saved otherwise
+    const invalid = Object.keys(PREFERENCE_CHOICES).filter(field => !PREFERENCE_CHOICES[field].includes(preferences[field]));
+    if (invalid.length > 0) {
+      log.warn('Rejected invalid preferences', { userId, fields: invalid });
+      return res.redirect('/profile/edit?error=invalid_preferences');
+    }
+
     updateUserPreferences(userId, preferences);
 
     res.redirect('/profile?success=preferences_updated');
   } catch (error) {
-    console.error('Preferences update error:', error);
+    log.error('Preferences update error', error);
     res.redirect('/profile/edit?error=preferences_update_failed');
   }
 });
 
+// Security Settings
+const SIGN_IN_EVENTS = [SECURITY_EVENTS.SIGN_IN];
+const STEP_UP_EVENTS = [SECURITY_EVENTS.MFA_STEP_UP];
+
+/**
+ * End one of the user's sessions, revoking its tokens at Okta first
+ * @returns {Promise<boolean>} Whether the session was ended
+ */
+async function revokeSession(sid, sessionData) {
+  const revocation = await revokeTokens([getSessionTokens(sessionData)]);
+  if (revocation.failed > 0) {
+    log.warn('Unable to revoke all tokens for session', { sid, failed: revocation.failed });
+  }
+  return terminateSession(sid);
+}
+
+const eventContext = (req) => ({
+  ip: req.session.ip || req.ip,
+  userAgent: req.session.userAgent || req.get('user-agent'),
+  location: req.session.location
+});
+
+/**
+ * GET /profile/security - Active sessions, recent sign-ins and MFA step-ups
+ */
+router.get('/security', ensureLoggedIn, async (req, res) => {
+  const sessions = await findUserSessionsBySubject(req.user.id);
+  const describeEvent = (event) => ({
+    ...event,
+    device: describeDevice(event.userAgent),
+    createdAt: req.format.dateTime(event.createdAt)
+  });
+
+  res.render('profile-security', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    sessions: [...sessions]
+      // The store may not have this request's activity yet
+      .map(([sid, data]) => [sid, sid === req.sessionID ? req.session : data])
+      .map(([sid, data]) => ({
+        key: sessionKey(sid),
+        current: sid === req.sessionID,
+        device: describeDevice(data.userAgent),
+        location: data.location,
+        ip: data.ip,
+        signedInAt: data.loginAt,
+        lastSeenAt: data.lastActivityAt || data.loginAt
+      }))
+      .sort((a, b) => (b.current - a.current) || ((b.lastSeenAt || 0) - (a.lastSeenAt || 0)))
+      .map(session => ({
+        ...session,
+        signedInAt: req.format.dateTime(session.signedInAt),
+        lastSeenAt: req.format.dateTime(session.lastSeenAt)
+      })),
+    signIns: listSecurityEvents(req.user.id, { types: SIGN_IN_EVENTS, limit: 10 }).map(describeEvent),
+    stepUps: listSecurityEvents(req.user.id, { types: STEP_UP_EVENTS, limit: 10 }).map(describeEvent),
+    mfaVerifiedUntil: req.format.dateTime(stepUpStatus(req).expiresAt),
+    success: req.query.success,
+    count: req.query.count,
+    error: req.query.error
+  });
+});
+
+/**
+ * POST /profile/security/sessions/:key/revoke - Sign out one of the user's other sessions (requires recent re-authentication)
+ */
+router.post('/security/sessions/:key/revoke', ensureLoggedIn, requireStepUp('security.sessions'), async (req, res) => {
+  const sessions = await findUserSessionsBySubject(req.user.id);
+  const match = [...sessions].find(([sid]) => sessionKey(sid) === req.params.key);
+
+  if (!match) {
+    return res.redirect('/profile/security?error=session_not_found');
+  }
+  if (match[0] === req.sessionID) {
+    return res.redirect('/profile/security?error=current_session');
+  }
+
+  if (!(await revokeSession(...match))) {
+    return res.redirect('/profile/security?error=revoke_failed');
+  }
+
+  recordSecurityEvent(req.user.id, SECURITY_EVENTS.SESSION_REVOKED, { ...eventContext(req), detail: describeDevice(match[1].userAgent) });
+  log.info('User signed out a session', { userId: req.user.id, sid: match[0] });
+  res.redirect('/profile/security?success=session_revoked');
+});
+
+/**
+ * POST /profile/security/sessions/revoke-others - Sign out everywhere else (requires recent re-authentication)
+ */
+router.post('/security/sessions/revoke-others', ensureLoggedIn, requireStepUp('security.sessions'), async (req, res) => {
+  const sessions = await findUserSessionsBySubject(req.user.id);
+
+  let count = 0;
+  for (const [sid, sessionData] of sessions) {
+    if (sid !== req.sessionID && await revokeSession(sid, sessionData)) count++;
+  }
+
+  recordSecurityEvent(req.user.id, SECURITY_EVENTS.OTHER_SESSIONS_REVOKED, { ...eventContext(req), detail: `${count} session(s)` });
+  log.info('User signed out other sessions', { userId: req.user.id, sessions: count });
+  res.redirect(`/profile/security?success=others_revoked&count=${count}`);
+});
+
 export default router;
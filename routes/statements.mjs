@@ -0,0 +1,82 @@
+import express from 'express';
+import createError from 'http-errors';
+import { ensureUserAccounts } from '../database/ledger.mjs';
+import { getUserPreferences, createUserPreferences } from '../database/db.mjs';
+import {
+  STATEMENT_FORMATS, parsePeriod, listStatementPeriods, buildStatement,
+  statementFileName, renderCsv, renderOfx, renderPdf
+} from '../services/statementService.mjs';
+import { createLogger } from '../services/logger.mjs';
+
+const router = express.Router();
+const log = createLogger('statements');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ofx: 'application/x-ofx',
+  qfx: 'application/vnd.intu.qfx',
+  pdf: 'application/pdf'
+};
+
+function ensureLoggedIn(req, res, next) {
+  if (req.isAuthenticated()) {
+    return next();
+  }
+  res.redirect('/login');
+}
+
+// GET /statements - Available statements for each account
+router.get('/', ensureLoggedIn, (req, res) => {
+  const accounts = ensureUserAccounts(req.user.id).map(account => ({
+    ...account,
+    periods: listStatementPeriods(account)
+  }));
+
+  res.render('statements', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    accounts,
+    formats: STATEMENT_FORMATS
+  });
+});
+
+// GET /statements/:accountId/:period.:format - Download one month's statement
+router.get('/:accountId/:period.:format', ensureLoggedIn, async (req, res, next) => {
+  const { accountId, format } = req.params;
+  const account = ensureUserAccounts(req.user.id).find(a => a.id === accountId);
+  const period = parsePeriod(req.params.period);
+
+  if (!account || !period || !STATEMENT_FORMATS.includes(format)) {
+    return next(createError(404, 'Statement not found'));
+  }
+
+  const preferences = getUserPreferences(req.user.id) || createUserPreferences(req.user.id, req.user.email);
+  const statement = buildStatement(account, {
+    ...period,
+    inProgress: period.key === new Date().toISOString().slice(0, 7)
+  });
+
+  let body;
+  switch (format) {
+    case 'csv':
+      body = renderCsv(statement, preferences);
+      break;
+    case 'ofx':
+    case 'qfx':
+      body = renderOfx(statement, { qfx: format === 'qfx' });
+      break;
+    case 'pdf':
+      body = await renderPdf(statement, preferences);
+      break;
+  }
+
+  log.info('Statement downloaded', { userId: req.user.id, period: period.key, format, account: account.maskedNumber });
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${statementFileName(statement, format)}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.send(body);
+});
+
+export default router;
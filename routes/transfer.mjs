@@ -0,0 +1,215 @@
+import express from 'express';
+import createError from 'http-errors';
+import { ensureUserAccounts, getFundingAccounts, toCents } from '../database/ledger.mjs';
+import {
+  executeTransfer, getInternalTransfer, listInternalTransfers, getDailyTransferTotal,
+  createSchedule, listSchedules, cancelSchedule, today,
+  TRANSFER_DAILY_LIMIT_CENTS, TRANSFER_FREQUENCIES
+} from '../database/internalTransfers.mjs';
+import { createLogger } from '../services/logger.mjs';
+
+const router = express.Router();
+const log = createLogger('transfer');
+
+const FREQUENCY_LABELS = {
+  once: 'One time, now',
+  weekly: 'Every week',
+  biweekly: 'Every 2 weeks',
+  monthly: 'Every month'
+};
+
+function ensureLoggedIn(req, res, next) {
+  if (req.isAuthenticated()) {
+    return next();
+  }
+  res.redirect('/login');
+}
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+/**
+ * Label for an account ID, from the user's account list
+ */
+function accountLabel(accounts, accountId) {
+  const account = accounts.find(a => a.id === accountId);
+  return account ? account.label : 'Closed account';
+}
+
+/**
+ * Validate the transfer form
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateTransferForm(body, { fundingAccounts, accounts, remainingCents, format }) {
+  const { fromAccount, toAccount, amount, frequency, startDate, endDate } = body;
+  const errors = [];
+
+  const source = fundingAccounts.find(a => a.id === fromAccount);
+  if (!source) {
+    errors.push('Please select a valid source account.');
+  }
+
+  if (!toAccount || !accounts.find(a => a.id === toAccount)) {
+    errors.push('Please select a valid destination account.');
+  } else if (toAccount === fromAccount) {
+    errors.push('The source and destination accounts must be different.');
+  }
+
+  const amountCents = toCents(amount);
+  if (!amountCents) {
+    errors.push('Please enter a valid amount greater than $0.00.');
+  }
+
+  if (!Object.keys(FREQUENCY_LABELS).includes(frequency)) {
+    errors.push('Please choose how often to make this transfer.');
+  } else if (frequency === 'once') {
+    if (source && amountCents > source.balanceCents) {
+      errors.push(`Insufficient funds. Available balance: ${format.money(source.balanceCents)}`);
+    }
+    if (amountCents > remainingCents) {
+      errors.push(`This transfer exceeds your daily transfer limit. You can transfer up to ${format.money(remainingCents)} more today.`);
+    }
+  } else {
+    if (!isDate(startDate) || startDate < today()) {
+      errors.push('Please choose a start date of today or later.');
+    }
+    if (endDate && (!isDate(endDate) || endDate < startDate)) {
+      errors.push('The end date must be on or after the start date.');
+    }
+    if (amountCents > TRANSFER_DAILY_LIMIT_CENTS) {
+      errors.push(`Recurring transfers can't exceed the daily transfer limit of ${format.money(TRANSFER_DAILY_LIMIT_CENTS)}.`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Render the transfer form with its sidebar (limits, schedules, recent transfers)
+ */
+function renderTransferForm(req, res, { formData = {}, error = null } = {}) {
+  const accounts = ensureUserAccounts(req.user.id);
+  const usedCents = getDailyTransferTotal(req.user.id);
+
+  res.render('transfer', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    fundingAccounts: getFundingAccounts(req.user.id),
+    accounts,
+    frequencies: FREQUENCY_LABELS,
+    limits: {
+      daily: req.format.money(TRANSFER_DAILY_LIMIT_CENTS),
+      used: req.format.money(usedCents),
+      remaining: req.format.money(Math.max(0, TRANSFER_DAILY_LIMIT_CENTS - usedCents))
+    },
+    schedules: listSchedules(req.user.id).map(s => ({
+      ...s,
+      from: accountLabel(accounts, s.fromAccountId),
+      to: accountLabel(accounts, s.toAccountId),
+      amount: req.format.money(s.amountCents),
+      frequency: FREQUENCY_LABELS[s.frequency],
+      nextRunOn: req.format.date(s.nextRunOn),
+      endOn: req.format.date(s.endOn)
+    })),
+    recentTransfers: listInternalTransfers(req.user.id, { limit: 5 }).map(t => ({
+      ...t,
+      amount: req.format.money(t.amountCents),
+      to: accountLabel(accounts, t.toAccountId)
+    })),
+    today: today(),
+    success: req.query.success,
+    error: error || (req.query.error === 'schedule_not_found' ? 'That scheduled transfer could not be found.' : null),
+    formData
+  });
+}
+
+// GET /transfer - Transfer between your own accounts
+router.get('/', ensureLoggedIn, (req, res) => {
+  renderTransferForm(req, res, {
+    formData: { fromAccount: req.query.from, toAccount: req.query.to, frequency: 'once', startDate: today() }
+  });
+});
+
+// POST /transfer - Transfer now, or set up a recurring transfer
+router.post('/', ensureLoggedIn, (req, res) => {
+  const remainingCents = TRANSFER_DAILY_LIMIT_CENTS - getDailyTransferTotal(req.user.id);
+  const errors = validateTransferForm(req.body, {
+    fundingAccounts: getFundingAccounts(req.user.id),
+    accounts: ensureUserAccounts(req.user.id),
+    remainingCents,
+    format: req.format
+  });
+
+  if (errors.length > 0) {
+    return renderTransferForm(req, res, { formData: req.body, error: errors.join(' ') });
+  }
+
+  const details = {
+    fromAccountId: req.body.fromAccount,
+    toAccountId: req.body.toAccount,
+    amountCents: toCents(req.body.amount),
+    memo: req.body.memo ? req.body.memo.trim().slice(0, 100) : null
+  };
+
+  if (req.body.frequency !== 'once') {
+    const schedule = createSchedule(req.user.id, {
+      ...details,
+      frequency: req.body.frequency,
+      startDate: req.body.startDate,
+      endDate: req.body.endDate || null
+    });
+    log.info('Recurring transfer scheduled', { userId: req.user.id, scheduleId: schedule.id, frequency: schedule.frequency });
+    return res.redirect('/transfer?success=scheduled');
+  }
+
+  let transfer;
+  try {
+    transfer = executeTransfer(req.user.id, details);
+  } catch (error) {
+    if (!['DAILY_LIMIT_EXCEEDED', 'INSUFFICIENT_FUNDS', 'ACCOUNT_NOT_FOUND'].includes(error.code)) throw error;
+    // Balance or limit changed between validation and posting (e.g. a concurrent transfer)
+    return renderTransferForm(req, res, { formData: req.body, error: `Transfer failed: ${error.message}.` });
+  }
+
+  log.info('Internal transfer completed', { userId: req.user.id, ref: transfer.ref });
+  // Redirect so a refresh shows the receipt instead of transferring again
+  res.redirect(`/transfer/${transfer.ref}`);
+});
+
+// POST /transfer/schedules/:id/cancel - Cancel a recurring transfer
+router.post('/schedules/:id/cancel', ensureLoggedIn, (req, res) => {
+  if (!cancelSchedule(req.user.id, req.params.id)) {
+    return res.redirect('/transfer?error=schedule_not_found');
+  }
+  log.info('Recurring transfer cancelled', { userId: req.user.id, scheduleId: req.params.id });
+  res.redirect('/transfer?success=schedule_cancelled');
+});
+
+// GET /transfer/:ref - Transfer receipt
+router.get('/:ref', ensureLoggedIn, (req, res, next) => {
+  const transfer = getInternalTransfer(req.user.id, req.params.ref);
+  if (!transfer) {
+    return next(createError(404, 'Transfer not found'));
+  }
+
+  const accounts = ensureUserAccounts(req.user.id);
+  const from = accounts.find(a => a.id === transfer.fromAccountId);
+  const to = accounts.find(a => a.id === transfer.toAccountId);
+
+  res.render('transfer-receipt', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    transfer: {
+      ...transfer,
+      from: accountLabel(accounts, transfer.fromAccountId),
+      to: accountLabel(accounts, transfer.toAccountId),
+      fromBalance: from ? req.format.money(from.balanceCents) : null,
+      toBalance: to ? req.format.money(to.balanceCents) : null,
+      amount: req.format.money(transfer.amountCents),
+      memo: transfer.memo || 'N/A',
+      createdAt: req.format.dateTime(transfer.createdAt),
+      recurring: Boolean(transfer.scheduleId)
+    }
+  });
+});
+
+export default router;
@@ -1,8 +1,24 @@
 import express from 'express';
+import createError from 'http-errors';
+import { getFundingAccounts, getBalance, toCents } from '../database/ledger.mjs';
+import {
+  createDraftTransfer, issueReviewToken, submitTransfer, cancelTransfer,
+  getTransfer, listTransfers, WIRE_STATUS
+} from '../database/wireTransfers.mjs';
+import {
+  hashTransaction, buildAuthorizationDetails, requestTransactionStepUp,
+  hasTransactionAuthorization, consumeTransactionAuthorization
+} from '../services/transactionAuthorization.mjs';
+import { listPayees, PAYEE_COOLOFF_LIMIT_CENTS } from '../database/payees.mjs';
+import { requireStepUp } from '../services/stepUpPolicy.mjs';
+import { trackOutcome } from '../services/metrics.mjs';
+import { createLogger } from '../services/logger.mjs';
+import { rateLimit, lockout } from '../services/rateLimit.mjs';
 const router = express.Router();
+const log = createLogger('wire-transfer');
 
-// MFA verification timeout (5 minutes)
-const MFA_TIMEOUT = 5 * 60 * 1000;
+// Repeated validation failures lock the user out of new wires for a while
+const wireLockout = lockout('wire');
 
 function ensureLoggedIn(req, res, next) {
   if (req.isAuthenticated()) {
@@ -12,48 +28,22 @@ function ensureLoggedIn(req, res, next) {
 }
 
 /**
- * Middleware to ensure user has completed MFA step-up authentication
- * Required for sensitive operations like wire transfers
+ * Recently reviewed or submitted transfers for the form sidebar
+ * @param {object} format - The user's formatters (req.format)
  */
-function ensureMfaVerified(req, res, next) {
-  const mfaVerified = req.session.mfaVerified;
-  const mfaVerifiedAt = req.session.mfaVerifiedAt;
-  const now = Date.now();
-
-  if (mfaVerified && mfaVerifiedAt && (now - mfaVerifiedAt) < MFA_TIMEOUT) {
-    return next();
-  }
-
-  console.log('MFA step-up required for wire transfer');
-  req.session.mfaReturnUrl = '/wire-transfer';
-  res.redirect('/stepup-mfa');
+function getRecentTransfers(userId, format) {
+  return listTransfers(userId, { limit: 5 }).map(t => ({ ...t, amount: format.money(t.amountCents) }));
 }
 
-// Source accounts (hardcoded to match dashboard display)
-const SOURCE_ACCOUNTS = [
-  { id: 'checking', label: 'Checking Account (****4582)', balance: 12458.32 },
-  { id: 'savings', label: 'Savings Account (****7891)', balance: 45230.00 }
-];
-
-// GET /wire-transfer - Show the wire transfer form
-router.get('/', ensureLoggedIn, ensureMfaVerified, (req, res) => {
-  res.render('wire-transfer', {
-    authenticated: req.isAuthenticated(),
-    user: req.user,
-    accounts: SOURCE_ACCOUNTS,
-    error: req.query.error || null,
-    formData: {}
-  });
-});
-
-// POST /wire-transfer - Validate and process the wire transfer
-router.post('/', ensureLoggedIn, (req, res) => {
-  const { fromAccount, recipientName, recipientBank, routingNumber, accountNumber, amount, memo } = req.body;
-
-  // Validation
+/**
+ * Validate the wire transfer form
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateTransferForm(body, accounts, format) {
+  const { fromAccount, recipientName, recipientBank, routingNumber, accountNumber, amount } = body;
   const errors = [];
 
-  if (!fromAccount || !SOURCE_ACCOUNTS.find(a => a.id === fromAccount)) {
+  if (!fromAccount || !accounts.find(a => a.id === fromAccount)) {
     errors.push('Please select a valid source account.');
   }
 
@@ -73,48 +63,214 @@ router.post('/', ensureLoggedIn, (req, res) => {
     errors.push('Account number is required.');
   }
 
-  const parsedAmount = parseFloat(amount);
-  if (!amount || isNaN(parsedAmount) || parsedAmount <= 0) {
+  const amountCents = toCents(amount);
+  if (!amountCents) {
     errors.push('Please enter a valid amount greater than $0.00.');
   }
 
-  const sourceAccount = SOURCE_ACCOUNTS.find(a => a.id === fromAccount);
-  if (sourceAccount && parsedAmount > sourceAccount.balance) {
-    errors.push(`Insufficient funds. Available balance: $${sourceAccount.balance.toFixed(2)}`);
+  const sourceAccount = accounts.find(a => a.id === fromAccount);
+  if (sourceAccount && amountCents > sourceAccount.balanceCents) {
+    errors.push(`Insufficient funds. Available balance: ${format.money(sourceAccount.balanceCents)}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Shape a stored transfer for the review and detail views
+ * Amounts and timestamps are formatted with the user's currency and date preferences.
+ * @param {object} format - The user's formatters (req.format)
+ */
+function toTransferView(transfer, accounts, format) {
+  const sourceAccount = accounts.find(a => a.id === transfer.fromAccountId);
+  return {
+    ...transfer,
+    fromAccount: sourceAccount ? sourceAccount.label : 'Closed account',
+    amount: format.money(transfer.amountCents),
+    remainingBalance: sourceAccount ? format.money(getBalance(sourceAccount.id)) : null,
+    memo: transfer.memo || 'N/A',
+    createdAt: format.dateTime(transfer.createdAt),
+    submittedAt: format.dateTime(transfer.submittedAt),
+    cancellableUntil: format.dateTime(transfer.cancellableUntil),
+    completedAt: format.dateTime(transfer.completedAt),
+    cancelledAt: format.dateTime(transfer.cancelledAt)
+  };
+}
+
+// GET /wire-transfer - Show the wire transfer form (?payee=<id> preselects a saved payee)
+router.get('/', ensureLoggedIn, requireStepUp('wire.form'), (req, res) => {
+  res.render('wire-transfer', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    accounts: getFundingAccounts(req.user.id),
+    payees: listPayees(req.user.id),
+    recentTransfers: getRecentTransfers(req.user.id, req.format),
+    error: req.query.error || null,
+    formData: { payeeId: req.query.payee }
+  });
+});
+
+// POST /wire-transfer - Validate the form and save the transfer as a draft for review
+// Large wires need a step-up of their own (see the wire.create step-up policy)
+router.post('/', ensureLoggedIn, trackOutcome('wire_transfer', { stage: 'draft' }), rateLimit('wire'), wireLockout.check, requireStepUp('wire.create'), async (req, res) => {
+  const accounts = getFundingAccounts(req.user.id);
+  const payees = listPayees(req.user.id);
+  const errors = [];
+
+  // A saved payee replaces the free-text recipient fields
+  let form = req.body;
+  let payee = null;
+  if (req.body.payeeId) {
+    payee = payees.find(p => p.id === req.body.payeeId);
+    if (payee) {
+      form = {
+        ...req.body,
+        recipientName: payee.recipientName,
+        recipientBank: payee.recipientBank,
+        routingNumber: payee.routingNumber,
+        accountNumber: payee.accountNumber
+      };
+    } else {
+      errors.push('Please select a valid saved payee.');
+    }
+  }
+
+  errors.push(...validateTransferForm(form, accounts, req.format));
+
+  // Recipient details typed in by hand count as the saved payee with the same
+  // account, or as a brand-new payee (always in cool-off) if there isn't one
+  if (!req.body.payeeId) {
+    payee = payees.find(p => p.routingNumber === form.routingNumber?.trim() && p.accountNumber === form.accountNumber?.trim()) || null;
+  }
+  const overCooloffLimit = toCents(form.amount) > PAYEE_COOLOFF_LIMIT_CENTS;
+
+  if (payee && payee.inCooloff && overCooloffLimit) {
+    errors.push(PAYEE_COOLOFF_LIMIT_CENTS > 0
+      ? `${payee.displayName} is a new payee. Wires are limited to ${req.format.money(PAYEE_COOLOFF_LIMIT_CENTS)} until ${req.format.dateTime(payee.cooloffUntil)}.`
+      : `${payee.displayName} is a new payee. Wires can be sent after ${req.format.dateTime(payee.cooloffUntil)}.`);
+  } else if (!payee && !req.body.payeeId && overCooloffLimit) {
+    errors.push(PAYEE_COOLOFF_LIMIT_CENTS > 0
+      ? `Wires to a new recipient are limited to ${req.format.money(PAYEE_COOLOFF_LIMIT_CENTS)}. Save the recipient as a payee to send more once its cool-off ends.`
+      : 'Wires can only be sent to saved payees. Save the recipient as a payee to send a wire once its cool-off ends.');
   }
 
   if (errors.length > 0) {
+    res.locals.metricsOutcome = 'invalid';
+    const lockedUntil = await wireLockout.recordFailure(req);
+    if (lockedUntil) {
+      return wireLockout.refuse(req, res, lockedUntil);
+    }
     return res.render('wire-transfer', {
       authenticated: req.isAuthenticated(),
       user: req.user,
-      accounts: SOURCE_ACCOUNTS,
+      accounts,
+      payees,
+      recentTransfers: getRecentTransfers(req.user.id, req.format),
       error: errors.join(' '),
       formData: req.body
     });
   }
 
-  // Generate a confirmation reference number
-  const refNumber = 'WT-' + Date.now().toString(36).toUpperCase() + '-' + Math.random().toString(36).substring(2, 6).toUpperCase();
-  const timestamp = new Date().toLocaleString('en-US', {
-    dateStyle: 'full',
-    timeStyle: 'short'
+  await wireLockout.clear(req);
+
+  const { fromAccount, recipientName, recipientBank, routingNumber, accountNumber, amount, memo } = form;
+
+  const transfer = createDraftTransfer(req.user.id, {
+    fromAccountId: fromAccount,
+    recipientName: recipientName.trim(),
+    recipientBank: recipientBank.trim(),
+    routingNumber: routingNumber.trim(),
+    accountNumber: accountNumber.trim(),
+    amountCents: toCents(amount),
+    memo: memo ? memo.trim() : null
   });
 
-  res.render('wire-transfer-confirm', {
+  // Redirect so a refresh shows the review page instead of creating another draft
+  res.redirect(`/wire-transfer/${transfer.ref}`);
+});
+
+// GET /wire-transfer/:ref - Review page for unsubmitted transfers, detail page otherwise
+router.get('/:ref', ensureLoggedIn, (req, res, next) => {
+  const transfer = getTransfer(req.user.id, req.params.ref);
+  if (!transfer) {
+    return next(createError(404, 'Wire transfer not found'));
+  }
+
+  const accounts = getFundingAccounts(req.user.id);
+
+  if (transfer.status === WIRE_STATUS.DRAFT || transfer.status === WIRE_STATUS.REVIEWED) {
+    const idempotencyToken = issueReviewToken(req.user.id, transfer.ref);
+    return res.render('wire-transfer-review', {
+      authenticated: req.isAuthenticated(),
+      user: req.user,
+      transfer: toTransferView(transfer, accounts, req.format),
+      idempotencyToken,
+      transactionAuthorized: hasTransactionAuthorization(req, hashTransaction(transfer)),
+      error: req.query.error || null
+    });
+  }
+
+  res.render('wire-transfer-detail', {
     authenticated: req.isAuthenticated(),
     user: req.user,
-    transfer: {
-      fromAccount: sourceAccount.label,
-      recipientName: recipientName.trim(),
-      recipientBank: recipientBank.trim(),
-      routingNumber: routingNumber.trim(),
-      accountNumber: accountNumber.trim(),
-      amount: parsedAmount.toFixed(2),
-      memo: memo ? memo.trim() : 'N/A',
-      refNumber,
-      timestamp
-    }
+    transfer: toTransferView(transfer, accounts, req.format),
+    justSubmitted: req.query.submitted === '1',
+    error: req.query.error || null
   });
 });
 
+// POST /wire-transfer/:ref/confirm - Submit a reviewed transfer
+// Requires the one-time review token and an MFA step-up bound to this exact transfer
+router.post('/:ref/confirm', ensureLoggedIn, trackOutcome('wire_transfer', { stage: 'submit' }), wireLockout.check, (req, res, next) => {
+  const existing = getTransfer(req.user.id, req.params.ref);
+  if (!existing) {
+    return next(createError(404, 'Wire transfer not found'));
+  }
+
+  const txHash = hashTransaction(existing);
+  if (existing.status === WIRE_STATUS.REVIEWED && !hasTransactionAuthorization(req, txHash)) {
+    log.info('Transaction step-up required for wire transfer', { userId: req.user.id, ref: existing.ref });
+    res.locals.metricsOutcome = 'step_up_required';
+    requestTransactionStepUp(req, {
+      ref: existing.ref,
+      txHash,
+      authorizationDetails: buildAuthorizationDetails(existing, txHash),
+      returnUrl: `/wire-transfer/${existing.ref}`
+    });
+    return res.redirect(`/stepup-mfa?transaction=${encodeURIComponent(existing.ref)}`);
+  }
+
+  const { transfer, submitted } = submitTransfer(req.user.id, existing.ref, req.body.idempotencyToken);
+
+  if (submitted) {
+    consumeTransactionAuthorization(req, txHash);
+    log.info(`Wire transfer ${transfer.status}`, { userId: req.user.id, ref: transfer.ref, status: transfer.status, amountCents: transfer.amountCents });
+    return res.redirect(`/wire-transfer/${transfer.ref}?submitted=1`);
+  }
+
+  // Token already used (double submit / refresh) or superseded by a newer review page
+  res.locals.metricsOutcome = 'duplicate';
+  if (transfer.status === WIRE_STATUS.REVIEWED) {
+    return res.redirect(`/wire-transfer/${transfer.ref}?error=stale_token`);
+  }
+  res.redirect(`/wire-transfer/${transfer.ref}`);
+});
+
+// POST /wire-transfer/:ref/cancel - Cancel a transfer still inside its cancellation window
+router.post('/:ref/cancel', ensureLoggedIn, trackOutcome('wire_transfer', { stage: 'cancel' }), (req, res, next) => {
+  const existing = getTransfer(req.user.id, req.params.ref);
+  if (!existing) {
+    return next(createError(404, 'Wire transfer not found'));
+  }
+
+  const cancelled = cancelTransfer(req.user.id, existing.ref);
+  if (!cancelled) {
+    res.locals.metricsOutcome = 'rejected';
+    return res.redirect(`/wire-transfer/${existing.ref}?error=not_cancellable`);
+  }
+
+  log.info('Wire transfer cancelled', { userId: req.user.id, ref: existing.ref });
+  res.redirect(`/wire-transfer/${existing.ref}`);
+});
+
 export default router;
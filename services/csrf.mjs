@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import { createLogger } from './logger.mjs';
+import { recordSecurityEvent, SECURITY_EVENTS } from '../database/securityEvents.mjs';
+
+/**
+ * CSRF protection (synchronizer token)
+ *
+ * Each session gets one random token, stored server-side in the session. Every
+ * POST form renders it as a hidden `_csrf` field (the `csrfField` mixin in
+ * views/includes/mixins.pug); scripts can send it in the X-CSRF-Token header
+ * instead. A state-changing request whose token is missing or doesn't match
+ * the session's is rejected with 403 before it reaches a route.
+ *
+ * The token is created the first time a page with a form is rendered, so
+ * anonymous visitors don't get a stored session just for viewing a page.
+ * Paths under /api are exempt: Okta calls them with no browser session, and
+ * they are authenticated by signed tokens instead.
+ */
+
+export const CSRF_FIELD = '_csrf';
+export const CSRF_HEADER = 'X-CSRF-Token';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+const EXEMPT_PREFIXES = ['/api/'];
+
+const log = createLogger('csrf');
+
+/**
+ * The session's CSRF token, created on first use
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+export function getCsrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  }
+  return req.session.csrfToken;
+}
+
+function tokensMatch(expected, submitted) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(submitted));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Why a request fails the CSRF check, or null if it passes
+ * @returns {string|null}
+ */
+function csrfFailure(req) {
+  const expected = req.session?.csrfToken;
+  const submitted = req.body?.[CSRF_FIELD] || req.get(CSRF_HEADER);
+  if (!submitted) return 'missing_token';
+  // The session expired or was replaced (e.g. signed in again in another tab)
+  if (!expected) return 'no_session_token';
+  if (!tokensMatch(expected, submitted)) return 'token_mismatch';
+  return null;
+}
+
+/**
+ * Middleware issuing and checking CSRF tokens
+ * Use after the session middleware and body parsers, ahead of the routes.
+ * Views get `csrfToken()` for forms.
+ */
+export function csrfProtection(req, res, next) {
+  res.locals.csrfToken = () => getCsrfToken(req);
+
+  if (SAFE_METHODS.has(req.method) || EXEMPT_PREFIXES.some(prefix => req.path.startsWith(prefix))) {
+    return next();
+  }
+
+  const reason = csrfFailure(req);
+  if (!reason) {
+    return next();
+  }
+
+  const userId = req.user?.id;
+  log.warn('CSRF check failed - request blocked', {
+    event: SECURITY_EVENTS.CSRF_REJECTED,
+    reason,
+    method: req.method,
+    path: req.path,
+    userId,
+    ip: req.ip,
+    origin: req.get('origin') || null,
+    referer: req.get('referer') || null
+  });
+  if (userId) {
+    recordSecurityEvent(userId, SECURITY_EVENTS.CSRF_REJECTED, {
+      ip: req.session.ip || req.ip,
+      userAgent: req.session.userAgent || req.get('user-agent'),
+      location: req.session.location,
+      detail: `${req.method} ${req.path} (${reason})`
+    });
+  }
+
+  res.status(403).render('csrf-error', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    expired: reason === 'no_session_token'
+  });
+}
@@ -0,0 +1,63 @@
+/**
+ * Describe where a request came from, for the customer's session and sign-in lists
+ *
+ * The device is a best-effort reading of the User-Agent header. The location
+ * comes from the geolocation headers a CDN or load balancer in front of the
+ * app adds (Cloudflare, Vercel, CloudFront, App Engine); the app doesn't do
+ * its own IP lookups, so without such a proxy the location is unknown.
+ */
+
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+  ['Opera', /OPR\/(\d+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/(\d+)/],
+  ['Safari', /Version\/(\d+).*Safari/]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Summarize a User-Agent header
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} e.g. "Chrome 126 on macOS"
+ */
+export function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  const browserName = browser ? `${browser[0]} ${userAgent.match(browser[1])[1]}` : 'Unknown browser';
+  return os ? `${browserName} on ${os[0]}` : browserName;
+}
+
+const isPrivateAddress = (ip) =>
+  /^(::1|127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|fc|fd|fe80:)/i.test((ip || '').replace(/^::ffff:/, ''));
+
+/**
+ * Approximate location of a request
+ * @param {object} req - Express request
+ * @returns {string|null} e.g. "Denver, US", "Local network", or null if unknown
+ */
+export function approximateLocation(req) {
+  const city = req.get('x-vercel-ip-city') || req.get('x-appengine-city') || req.get('cloudfront-viewer-city');
+  const country = req.get('cf-ipcountry') || req.get('x-vercel-ip-country') ||
+                  req.get('cloudfront-viewer-country') || req.get('x-appengine-country');
+
+  if (country && country !== 'XX') {
+    return city ? `${decodeURIComponent(city)}, ${country}` : country;
+  }
+  if (isPrivateAddress(req.ip)) {
+    return 'Local network';
+  }
+  return null;
+}
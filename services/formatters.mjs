@@ -0,0 +1,80 @@
+/**
+ * Display formatting shared by views and exports
+ */
+
+// Date formats users can choose in their preferences
+export const DATE_FORMATS = ['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'];
+
+// The currency every account is held in; balances and amounts are integer cents of it
+export const ACCOUNT_CURRENCY = 'USD';
+
+/**
+ * Amount styles users can choose with the currency_display preference, and the
+ * locale each one formats with. Amounts stay in ACCOUNT_CURRENCY: the choice only
+ * changes separators and where the symbol goes, e.g. "$1,234.56", "1.234,56 $"
+ * or "US$1,234.56". Nothing is converted.
+ */
+const AMOUNT_LOCALES = {
+  USD: 'en-US',
+  EUR: 'de-DE',
+  GBP: 'en-GB'
+};
+
+// Values accepted for currency_display
+export const CURRENCIES = Object.keys(AMOUNT_LOCALES);
+
+/**
+ * Format a date with one of the supported patterns
+ * @param {string|Date} value - ISO timestamp or Date
+ * @param {string} [pattern='MM/DD/YYYY'] - One of DATE_FORMATS
+ * @returns {string} Formatted date
+ */
+export function formatDate(value, pattern = 'MM/DD/YYYY') {
+  const date = value instanceof Date ? value : new Date(value);
+  const parts = {
+    YYYY: String(date.getUTCFullYear()),
+    MM: String(date.getUTCMonth() + 1).padStart(2, '0'),
+    DD: String(date.getUTCDate()).padStart(2, '0')
+  };
+  const format = DATE_FORMATS.includes(pattern) ? pattern : DATE_FORMATS[0];
+  return format.replace(/YYYY|MM|DD/g, token => parts[token]);
+}
+
+/**
+ * Format integer cents of the account currency in the user's amount style
+ * @param {number} cents - Amount in cents
+ * @param {string} [display='USD'] - One of CURRENCIES
+ * @returns {string} Formatted amount, e.g. "-$1,245.67"
+ */
+export function formatMoney(cents, display = 'USD') {
+  return new Intl.NumberFormat(AMOUNT_LOCALES[display] || AMOUNT_LOCALES.USD, {
+    style: 'currency',
+    currency: ACCOUNT_CURRENCY
+  }).format(cents / 100);
+}
+
+/**
+ * Format a timestamp as a date in one of the supported patterns plus the time (UTC)
+ * @param {string|number|Date} value - ISO timestamp, epoch milliseconds or Date
+ * @param {string} [pattern='MM/DD/YYYY'] - One of DATE_FORMATS
+ * @returns {string} Formatted timestamp, e.g. "10/19/2026, 3:45 PM UTC"
+ */
+export function formatDateTime(value, pattern = 'MM/DD/YYYY') {
+  const date = value instanceof Date ? value : new Date(value);
+  const time = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+  return `${formatDate(date, pattern)}, ${time} UTC`;
+}
+
+/**
+ * Formatting helpers bound to a user's display preferences
+ * Empty values (null/undefined) format as null so views can skip them.
+ * @param {object} [preferences] - User preferences (currency_display, date_format)
+ * @returns {{ money: function(number): string, date: function(*): string|null, dateTime: function(*): string|null }}
+ */
+export function createFormatter({ currency_display: display, date_format: dateFormat } = {}) {
+  return {
+    money: (cents) => formatMoney(cents, display),
+    date: (value) => value == null ? null : formatDate(value, dateFormat),
+    dateTime: (value) => value == null ? null : formatDateTime(value, dateFormat)
+  };
+}
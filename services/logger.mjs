@@ -0,0 +1,233 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+// Load from .okta.env for local development
+dotenv.config({ path: '.okta.env' });
+
+/**
+ * Structured logging
+ *
+ * Every entry is one JSON line on stdout:
+ *   {"time":"…","level":"info","component":"wire-transfer","requestId":"…","msg":"…",…fields}
+ *
+ * - Levels: debug, info, warn, error; LOG_LEVEL sets the minimum (default info)
+ * - LOG_FORMAT=pretty prints readable lines instead, for local development
+ * - requestContext() gives each request a correlation ID (the incoming
+ *   X-Request-ID if it is well-formed, otherwise a new UUID), returns it in
+ *   the X-Request-ID response header and adds it to every entry logged
+ *   while handling the request
+ * - Messages and fields pass through redact() before they are written:
+ *   tokens and secrets are removed, and emails, phone numbers and
+ *   account/routing numbers are masked
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+const PRETTY = (process.env.LOG_FORMAT || '').toLowerCase() === 'pretty';
+
+export const REQUEST_ID_HEADER = 'X-Request-ID';
+
+// Accept a caller's correlation ID only if it can't be used to inject into the logs
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestContextStorage = new AsyncLocalStorage();
+
+// ---------------------------------------------------------------------------
+// Redaction
+// ---------------------------------------------------------------------------
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged
+const SECRET_KEYS = /(authorization|cookie|password|passwd|secret|assertion|code_verifier|token)$|^(code|nonce|state|tokenVault)$/i;
+
+// Field names whose values are masked rather than removed
+const EMAIL_KEYS = /^(email|login|preferred_username|username)$/i;
+const PHONE_KEYS = /phone/i;
+const ACCOUNT_KEYS = /^(account_?number|routing_?number|accountNumber|routingNumber)$/i;
+
+// Session IDs are bearer credentials; they are logged as the same short hash
+// the Security Settings page uses as the session's key
+const SESSION_KEYS = /^(sid|sessionId|sessionID)$/;
+
+const JWT_PATTERN = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+const BEARER_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi;
+const EMAIL_PATTERN = /\b([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g;
+const PHONE_PATTERN = /(?<![\w-])(?:\+?\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]\d{4}\b|(?<![\w-])\+\d{10,15}\b/g;
+// Runs of 6-17 digits (account and routing numbers); shorter numbers such as amounts and counts are left alone
+const ACCOUNT_PATTERN = /(?<![\w.-])\d{6,17}(?![\w.-])/g;
+
+const hashSessionId = (sid) => crypto.createHash('sha256').update(String(sid)).digest('hex').slice(0, 16);
+
+const maskEmail = (email) => String(email).replace(EMAIL_PATTERN, '$1***@$2');
+const maskDigits = (value) => {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length > 4 ? `***${digits.slice(-4)}` : '***';
+};
+
+/**
+ * Remove tokens and mask personal data in a string
+ * @param {string} text
+ * @returns {string}
+ */
+export function redactString(text) {
+  return text
+    .replace(JWT_PATTERN, '[JWT]')
+    .replace(BEARER_PATTERN, `$1 ${REDACTED}`)
+    .replace(EMAIL_PATTERN, '$1***@$2')
+    .replace(PHONE_PATTERN, (phone) => maskDigits(phone))
+    .replace(ACCOUNT_PATTERN, (digits) => maskDigits(digits));
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactString(String(error.message)),
+    ...(error.code && { code: error.code }),
+    ...(error.status && { status: error.status }),
+    ...(error.stack && { stack: redactString(error.stack) })
+  };
+}
+
+/**
+ * Redact a value for logging: secret fields are removed, personal data is
+ * masked and strings are scrubbed of tokens
+ * @param {*} value
+ * @param {string} [key] - Field name the value was found under
+ * @returns {*} A redacted copy
+ */
+export function redact(value, key = '', seen = new WeakSet()) {
+  if (value === null || value === undefined) return value;
+
+  if (key && SECRET_KEYS.test(key)) return REDACTED;
+
+  if (value instanceof Error) return serializeError(value);
+
+  if (typeof value === 'string' || typeof value === 'number') {
+    if (key && EMAIL_KEYS.test(key)) return maskEmail(value);
+    if (key && (PHONE_KEYS.test(key) || ACCOUNT_KEYS.test(key))) return maskDigits(value);
+    if (key && SESSION_KEYS.test(key)) return hashSessionId(value);
+    return typeof value === 'string' ? redactString(value) : value;
+  }
+
+  if (typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, key, seen));
+  }
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k, seen)]));
+}
+
+// ---------------------------------------------------------------------------
+// Output
+// ---------------------------------------------------------------------------
+
+function write(level, component, message, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const context = requestContextStorage.getStore();
+  // A bare Error as the fields argument is logged under `error`
+  const extra = fields instanceof Error ? { error: fields } : fields || {};
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    ...(component && { component }),
+    ...(context && { requestId: context.requestId }),
+    msg: redactString(String(message)),
+    ...redact(extra)
+  };
+
+  if (PRETTY) {
+    const { time, level: lvl, component: comp, requestId, msg, ...rest } = entry;
+    const details = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+    process.stdout.write(`${time} ${lvl.toUpperCase().padEnd(5)} ${comp ? `[${comp}] ` : ''}${requestId ? `(${requestId.slice(0, 8)}) ` : ''}${msg}${details}\n`);
+    return;
+  }
+  process.stdout.write(JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Create a logger for one part of the app
+ * @param {string} component - Shown as `component` on every entry (e.g. 'universal-logout')
+ * @returns {{ debug: function, info: function, warn: function, error: function }}
+ *   Each takes a message and optional fields object (or an Error)
+ */
+export function createLogger(component) {
+  return Object.fromEntries(Object.keys(LEVELS).map(level => [
+    level,
+    (message, fields) => write(level, component, message, fields)
+  ]));
+}
+
+const httpLog = createLogger('http');
+
+// ---------------------------------------------------------------------------
+// Request middleware
+// ---------------------------------------------------------------------------
+
+/**
+ * The current request's correlation ID, if called while handling a request
+ * @returns {string|undefined}
+ */
+export function currentRequestId() {
+  return requestContextStorage.getStore()?.requestId;
+}
+
+/**
+ * Middleware assigning the request's correlation ID
+ * Sets req.id and the X-Request-ID response header; entries logged while
+ * the request is handled carry the ID.
+ */
+export function requestContext(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+  requestContextStorage.run({ requestId }, next);
+}
+
+// Query parameters that carry codes or tokens (OIDC callbacks, logout)
+const SECRET_QUERY_PARAMS = /^(code|state|id_token_hint|token|logout_token|access_token|id_token)$/i;
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+function redactUrl(url) {
+  const [pathname, query] = url.split('?');
+  if (!query) return pathname;
+  const params = query.split('&').map(param => {
+    const [key] = param.split('=');
+    return SECRET_QUERY_PARAMS.test(safeDecode(key)) ? `${key}=${REDACTED}` : param;
+  });
+  return redactString(`${pathname}?${params.join('&')}`);
+}
+
+/**
+ * Middleware logging each request once it has finished (replaces morgan)
+ * Use after requestContext.
+ */
+export function requestLogger(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.once('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    httpLog[level](`${req.method} ${redactUrl(req.originalUrl)} ${res.statusCode}`, {
+      method: req.method,
+      path: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      requestId: req.id,
+      ...(req.user && { userId: req.user.id })
+    });
+  });
+  next();
+}
@@ -0,0 +1,157 @@
+/**
+ * In-process metrics in Prometheus text format
+ *
+ * Each tracked operation (sign-in, step-up, wire transfer, Universal Logout)
+ * has a counter and a latency histogram labelled by outcome. Routes are
+ * instrumented with trackOutcome(operation); the outcome is worked out from
+ * the response status unless the handler sets res.locals.metricsOutcome.
+ * Served at GET /metrics (routes/health.mjs).
+ */
+
+// Latency buckets in seconds (sign-in and step-up callbacks include a round trip to Okta)
+const DURATION_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const OPERATIONS = {
+  login: 'Sign-in callbacks',
+  step_up: 'MFA step-up callbacks',
+  wire_transfer: 'Wire transfer requests (draft, submit, cancel)',
+  gtr: 'Universal Logout (Global Token Revocation) requests'
+};
+
+// Prometheus label values need \, " and newlines escaped
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+// Series are keyed by their label set
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = seriesKey(labels);
+    const series = this.series.get(key) || { labels, value: 0 };
+    series.value += value;
+    this.series.set(key, series);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels = {}, seconds) {
+    const key = seriesKey(labels);
+    const series = this.series.get(key) || { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) series.counts[i] += 1;
+    });
+    series.sum += seconds;
+    series.count += 1;
+    this.series.set(key, series);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+const metrics = Object.fromEntries(Object.entries(OPERATIONS).map(([operation, description]) => [operation, {
+  total: new Counter(`securebank_${operation}_total`, `${description} by outcome`),
+  duration: new Histogram(`securebank_${operation}_duration_seconds`, `${description} latency in seconds`, DURATION_BUCKETS)
+}]));
+
+/**
+ * Record one completed operation
+ * @param {string} operation - Key of OPERATIONS (login, step_up, wire_transfer, gtr)
+ * @param {object} labels - Label values, including `outcome`
+ * @param {number} seconds - How long it took
+ */
+export function recordOperation(operation, labels, seconds) {
+  const metric = metrics[operation];
+  if (!metric) {
+    throw new Error(`Unknown metrics operation "${operation}"`);
+  }
+  metric.total.inc(labels);
+  metric.duration.observe(labels, seconds);
+}
+
+/**
+ * The outcome label for a finished response
+ * 2xx/3xx is a success, 401/403 a denial, anything else a failure.
+ */
+function outcomeOf(res) {
+  if (res.locals.metricsOutcome) return res.locals.metricsOutcome;
+  if (res.statusCode < 400) return 'success';
+  if (res.statusCode === 401 || res.statusCode === 403) return 'denied';
+  return 'failure';
+}
+
+/**
+ * Middleware counting and timing the rest of the request
+ * @param {string} operation - Key of OPERATIONS
+ * @param {object} [labels] - Fixed labels for this route (e.g. { stage: 'submit' })
+ * @returns {function} Express middleware
+ */
+export function trackOutcome(operation, labels = {}) {
+  if (!metrics[operation]) {
+    throw new Error(`Unknown metrics operation "${operation}"`);
+  }
+
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.once('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      recordOperation(operation, { ...labels, outcome: outcomeOf(res) }, seconds);
+    });
+    next();
+  };
+}
+
+/**
+ * All metrics in Prometheus text exposition format
+ * @returns {string}
+ */
+export function renderMetrics() {
+  const lines = [
+    '# HELP process_uptime_seconds Time since the process started',
+    '# TYPE process_uptime_seconds gauge',
+    `process_uptime_seconds ${process.uptime()}`,
+    '# HELP process_resident_memory_bytes Resident memory size in bytes',
+    '# TYPE process_resident_memory_bytes gauge',
+    `process_resident_memory_bytes ${process.memoryUsage().rss}`
+  ];
+  for (const { total, duration } of Object.values(metrics)) {
+    lines.push(...total.render(), ...duration.render());
+  }
+  return lines.join('\n') + '\n';
+}
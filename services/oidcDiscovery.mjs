@@ -0,0 +1,175 @@
+import axios from 'axios';
+import { createLogger } from './logger.mjs';
+
+/**
+ * OpenID Connect discovery manager
+ *
+ * Fetches the org's /.well-known/openid-configuration and hands it to the
+ * app (which registers the passport strategies and configures logout and
+ * token endpoints). A failed fetch is retried with exponential backoff, and
+ * the metadata is refreshed periodically; a failed refresh keeps the last
+ * good metadata. Until the first fetch succeeds, routes that need the
+ * strategies are held behind a "sign-in temporarily unavailable" page
+ * (requireDiscovery).
+ */
+
+const log = createLogger('oidc-discovery');
+
+// How often metadata is refreshed once available (default every 60 minutes)
+const REFRESH_INTERVAL = (Number(process.env.OIDC_DISCOVERY_REFRESH_MINUTES) || 60) * 60 * 1000;
+
+// First retry delay, doubled after each failure up to the maximum (default 5 minutes)
+const INITIAL_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = (Number(process.env.OIDC_DISCOVERY_MAX_BACKOFF_SECONDS) || 300) * 1000;
+
+// A sign-in attempt while discovery is down triggers an early retry, at most this often
+const EARLY_RETRY_INTERVAL = 10 * 1000;
+
+// Fields the app can't sign anyone in without
+const REQUIRED_FIELDS = ['issuer', 'authorization_endpoint', 'token_endpoint'];
+
+const state = {
+  discoveryUrl: null,
+  onMetadata: null,
+  metadata: null,
+  lastSuccessAt: null,
+  lastError: null,
+  failures: 0,
+  lastAttemptAt: null,
+  nextAttemptAt: null,
+  inFlight: null
+};
+
+let timer = null;
+
+function schedule(delay) {
+  clearTimeout(timer);
+  state.nextAttemptAt = Date.now() + delay;
+  timer = setTimeout(refreshDiscovery, delay);
+  timer.unref();
+}
+
+/**
+ * Fetch the discovery document now
+ * On success the onMetadata callback is called and the next refresh is
+ * scheduled; on failure the next attempt is scheduled with backoff.
+ * Concurrent calls share one request.
+ * @returns {Promise<boolean>} Whether metadata was fetched
+ */
+export function refreshDiscovery() {
+  if (!state.discoveryUrl) {
+    return Promise.resolve(false);
+  }
+  if (state.inFlight) {
+    return state.inFlight;
+  }
+
+  state.lastAttemptAt = Date.now();
+  state.inFlight = (async () => {
+    try {
+      const { data } = await axios.get(state.discoveryUrl, { timeout: 10000 });
+      const missing = REQUIRED_FIELDS.filter(field => !data || !data[field]);
+      if (missing.length) {
+        throw new Error(`discovery document is missing ${missing.join(', ')}`);
+      }
+
+      const firstTime = !state.metadata;
+      await state.onMetadata(data);
+      state.metadata = data;
+      state.lastSuccessAt = Date.now();
+      state.lastError = null;
+      state.failures = 0;
+
+      if (firstTime) {
+        log.info('OIDC discovery succeeded; sign-in is available', { issuer: data.issuer });
+      }
+      schedule(REFRESH_INTERVAL);
+      return true;
+    } catch (error) {
+      state.failures += 1;
+      state.lastError = error.message;
+      const delay = Math.min(INITIAL_RETRY_DELAY * 2 ** (state.failures - 1), MAX_RETRY_DELAY);
+      log.error(state.metadata
+        ? 'OIDC discovery refresh failed; keeping the last metadata'
+        : 'OIDC discovery failed; sign-in is unavailable. Are you sure that the ORG_URL you provided is correct?', {
+        discoveryUrl: state.discoveryUrl,
+        attempt: state.failures,
+        retryInSeconds: Math.round(delay / 1000),
+        error: error.message
+      });
+      schedule(delay);
+      return false;
+    } finally {
+      state.inFlight = null;
+    }
+  })();
+  return state.inFlight;
+}
+
+/**
+ * Start discovering the org's OIDC metadata
+ * @param {string} orgUrl - Okta org (issuer) URL
+ * @param {function} onMetadata - Called with the discovery document every time it is fetched
+ * @returns {Promise<boolean>} Whether the first attempt succeeded
+ */
+export function startDiscovery(orgUrl, onMetadata) {
+  const base = orgUrl.endsWith('/') ? orgUrl.slice(0, -1) : orgUrl;
+  // https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderConfigurationRequest
+  state.discoveryUrl = `${base}/.well-known/openid-configuration`;
+  state.onMetadata = onMetadata;
+  return refreshDiscovery();
+}
+
+/**
+ * Stop retrying and refreshing
+ */
+export function stopDiscovery() {
+  clearTimeout(timer);
+  timer = null;
+  state.nextAttemptAt = null;
+}
+
+/**
+ * The last discovery document fetched
+ * @returns {object|null}
+ */
+export function getDiscoveryMetadata() {
+  return state.metadata;
+}
+
+/**
+ * Discovery state, for health checks
+ * @returns {{ ready: boolean, issuer: string|null, lastSuccessAt: number|null, lastError: string|null, failures: number, nextAttemptAt: number|null }}
+ */
+export function getDiscoveryStatus() {
+  return {
+    ready: Boolean(state.metadata),
+    issuer: state.metadata ? state.metadata.issuer : null,
+    lastSuccessAt: state.lastSuccessAt,
+    lastError: state.lastError,
+    failures: state.failures,
+    nextAttemptAt: state.nextAttemptAt
+  };
+}
+
+/**
+ * Middleware holding sign-in routes until discovery has succeeded
+ * Responds 503 with a Retry-After header and the "sign-in temporarily
+ * unavailable" page, and triggers an early retry (at most every 10 seconds).
+ */
+export function requireDiscovery(req, res, next) {
+  if (state.metadata) {
+    return next();
+  }
+
+  if (!state.lastAttemptAt || Date.now() - state.lastAttemptAt >= EARLY_RETRY_INTERVAL) {
+    refreshDiscovery();
+  }
+  const retryAfter = state.nextAttemptAt ? Math.max(1, Math.ceil((state.nextAttemptAt - Date.now()) / 1000)) : 30;
+  res.set('Retry-After', String(retryAfter));
+  res.status(503).render('signin-unavailable', {
+    authenticated: req.isAuthenticated(),
+    user: req.user,
+    retryAfter
+  });
+}
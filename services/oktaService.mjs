@@ -1,5 +1,6 @@
 import okta from '@okta/okta-sdk-nodejs';
 import dotenv from 'dotenv';
+import { createLogger } from './logger.mjs';
 
 // Load from .okta.env for local development
 dotenv.config({ path: '.okta.env' });
@@ -8,9 +9,9 @@ dotenv.config({ path: '.okta.env' });
 const ORG_URL = process.env.ORG_URL;
 const OKTA_API_TOKEN = process.env.OKTA_API_TOKEN;
 
-console.log('Okta Service initializing...');
-console.log('ORG_URL:', ORG_URL ? 'Set' : 'Not set');
-console.log('OKTA_API_TOKEN:', OKTA_API_TOKEN ? 'Set (length: ' + OKTA_API_TOKEN.length + ')' : 'Not set');
+const log = createLogger('okta-management');
+
+log.info('Okta Service initializing', { orgUrlSet: Boolean(ORG_URL), apiTokenSet: Boolean(OKTA_API_TOKEN) });
 
 // Initialize Okta client with Management API token
 let oktaClient = null;
@@ -21,12 +22,12 @@ if (OKTA_API_TOKEN && ORG_URL) {
       orgUrl: ORG_URL,
       token: OKTA_API_TOKEN
     });
-    console.log('Okta Management API client initialized successfully');
+    log.info('Okta Management API client initialized');
   } catch (error) {
-    console.error('Failed to initialize Okta client:', error.message);
+    log.error('Failed to initialize Okta client', error);
   }
 } else {
-  console.warn('OKTA_API_TOKEN or ORG_URL not set - profile updates to Okta will be disabled');
+  log.warn('OKTA_API_TOKEN or ORG_URL not set - profile updates to Okta will be disabled');
 }
 
 /**
@@ -39,7 +40,7 @@ export async function getOktaUserProfile(userId) {
     throw new Error('Okta Management API not configured');
   }
 
-  console.log('Fetching Okta profile for:', userId);
+  log.info('Fetching Okta profile', { userId });
 
   try {
     const user = await oktaClient.userApi.getUser({ userId });
@@ -53,10 +54,7 @@ export async function getOktaUserProfile(userId) {
       login: user.profile.login
     };
   } catch (error) {
-    console.error('Error fetching Okta user:', error.message);
-    if (error.status) {
-      console.error('HTTP Status:', error.status);
-    }
+    log.error('Error fetching Okta user', { userId, status: error.status, error: error.message });
     throw error;
   }
 }
@@ -72,13 +70,12 @@ export async function updateOktaUserProfile(userId, profileData) {
     throw new Error('Okta Management API not configured');
   }
 
-  console.log('Updating Okta profile for:', userId);
-  console.log('Profile data:', JSON.stringify(profileData));
+  // Field names only - the values (names, phone numbers) are personal data
+  log.info('Updating Okta profile', { userId, fields: Object.keys(profileData) });
 
   try {
     // First get the current user
     const currentUser = await oktaClient.userApi.getUser({ userId });
-    console.log('Found user:', currentUser.id);
 
     // Build the update payload
     const updatePayload = {
@@ -99,7 +96,7 @@ export async function updateOktaUserProfile(userId, profileData) {
       user: updatePayload
     });
 
-    console.log('User updated successfully');
+    log.info('Okta profile updated', { userId: currentUser.id });
 
     return {
       success: true,
@@ -111,13 +108,12 @@ export async function updateOktaUserProfile(userId, profileData) {
       }
     };
   } catch (error) {
-    console.error('Error updating Okta user:', error.message);
-    if (error.status) {
-      console.error('HTTP Status:', error.status);
-    }
-    if (error.errorCauses) {
-      console.error('Error causes:', JSON.stringify(error.errorCauses));
-    }
+    log.error('Error updating Okta user', {
+      userId,
+      status: error.status,
+      error: error.message,
+      causes: error.errorCauses?.map(cause => cause.errorSummary)
+    });
     throw error;
   }
 }
@@ -0,0 +1,307 @@
+import dotenv from 'dotenv';
+import { SqliteRateLimitStore } from '../database/sqliteRateLimitStore.mjs';
+import { recordSecurityEvent, SECURITY_EVENTS } from '../database/securityEvents.mjs';
+import { createLogger } from './logger.mjs';
+
+// Load from .okta.env for local development
+dotenv.config({ path: '.okta.env' });
+
+/**
+ * Rate limiting and abuse throttling
+ *
+ * - rateLimit(bucket) limits a route class with sliding windows per client IP
+ *   and, once signed in, per user. Over the limit the request gets a 429 with
+ *   Retry-After and never reaches the route (for GTR, before any JWT or JWKS
+ *   work is done).
+ * - lockout(name) temporarily blocks a user after repeated failures (e.g.
+ *   wire transfer validation errors) until the lockout expires.
+ *
+ * Limits are set per bucket with RATE_LIMIT_<BUCKET>_PER_IP and
+ * RATE_LIMIT_<BUCKET>_PER_USER as "<requests>/<seconds>" (e.g. "20/900"),
+ * or "off". Counters live in the store chosen by RATE_LIMIT_STORE; another
+ * shared store (e.g. Redis) can be plugged in with setRateLimitStore().
+ */
+
+const log = createLogger('rate-limit');
+
+// Counter backend: 'memory' (default, this instance only) or 'sqlite' (shared by instances using the same database)
+const RATE_LIMIT_STORE = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+// How often expired hits and lockouts are removed (5 minutes)
+const PRUNE_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Route classes and their default limits ("<requests>/<seconds>")
+ * A sign-in or step-up counts twice: the redirect to Okta and the callback.
+ */
+const BUCKETS = {
+  // GET /login and the sign-in callback
+  login: { perIp: '40/900' },
+  // GET /stepup-mfa and the step-up callback
+  step_up: { perIp: '60/900', perUser: '20/900' },
+  // POST /wire-transfer (new wire drafts)
+  wire: { perIp: '60/3600', perUser: '20/3600' },
+  // POST /api/global-token-revocation (called by Okta)
+  gtr: { perIp: '120/60' }
+};
+
+/**
+ * Lockouts after repeated failures
+ * WIRE_LOCKOUT_THRESHOLD failures within WIRE_LOCKOUT_WINDOW_MINUTES lock the
+ * user out for WIRE_LOCKOUT_MINUTES.
+ */
+const LOCKOUTS = {
+  wire: {
+    event: SECURITY_EVENTS.WIRE_LOCKOUT,
+    threshold: parseInt(process.env.WIRE_LOCKOUT_THRESHOLD, 10) || 5,
+    windowMs: (parseInt(process.env.WIRE_LOCKOUT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+    durationMs: (parseInt(process.env.WIRE_LOCKOUT_MINUTES, 10) || 30) * 60 * 1000
+  }
+};
+
+/**
+ * In-process rate limit counters used with the memory backend
+ * Key: counter key, Value: expiry times of the hits still in the window (oldest first)
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.hits = new Map();
+    this.locks = new Map();
+  }
+
+  consume(key, { max, windowMs }) {
+    const now = Date.now();
+    const hits = (this.hits.get(key) || []).filter(expires => expires > now);
+    if (hits.length >= max) {
+      this.hits.set(key, hits);
+      return { allowed: false, count: hits.length, resetAt: hits[0] };
+    }
+    hits.push(now + windowMs);
+    this.hits.set(key, hits);
+    return { allowed: true, count: hits.length, resetAt: hits[0] };
+  }
+
+  reset(key) {
+    this.hits.delete(key);
+  }
+
+  lock(key, until) {
+    this.locks.set(key, until);
+  }
+
+  lockedUntil(key) {
+    const until = this.locks.get(key);
+    return until > Date.now() ? until : null;
+  }
+
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, hits] of [...this.hits]) {
+      const live = hits.filter(expires => expires > now);
+      removed += hits.length - live.length;
+      if (live.length) {
+        this.hits.set(key, live);
+      } else {
+        this.hits.delete(key);
+      }
+    }
+    for (const [key, until] of [...this.locks]) {
+      if (until <= now) {
+        this.locks.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Create the configured counter store
+ * @returns {object} Store with consume, reset, lock, lockedUntil and prune
+ */
+function createRateLimitStore() {
+  switch (RATE_LIMIT_STORE) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+
+    case 'sqlite':
+      return new SqliteRateLimitStore();
+
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}". Supported values: memory, sqlite`);
+  }
+}
+
+let store = createRateLimitStore();
+
+/**
+ * Replace the counter store, e.g. with one backed by Redis so every instance shares the counters
+ * The store's methods may return promises:
+ * - consume(key, { max, windowMs }) → { allowed, count, resetAt } - record a hit unless `max` hits are already in the window
+ * - reset(key), lock(key, until), lockedUntil(key) → epoch ms or null, prune()
+ * @param {object} newStore
+ */
+export function setRateLimitStore(newStore) {
+  store = newStore;
+}
+
+// Periodically remove expired hits and lockouts
+setInterval(async () => {
+  try {
+    const removed = await store.prune?.();
+    if (removed) {
+      log.debug('Pruned expired rate limit entries', { removed });
+    }
+  } catch (error) {
+    log.error('Error pruning rate limit entries', error);
+  }
+}, PRUNE_INTERVAL).unref();
+
+/**
+ * Parse a "<requests>/<seconds>" limit
+ * @returns {{ max: number, windowMs: number }|null} null when the limit is off
+ */
+function parseLimit(value, name) {
+  if (!value || value.toLowerCase() === 'off') return null;
+  const match = /^(\d+)\s*\/\s*(\d+)$/.exec(value.trim());
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error(`Invalid ${name} "${value}". Expected "<requests>/<seconds>" or "off"`);
+  }
+  return { max: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
+
+/**
+ * The limits in force for a bucket, with environment overrides applied
+ * @param {string} bucket - One of BUCKETS
+ * @returns {{ ip: object|null, user: object|null }}
+ */
+function bucketLimits(bucket) {
+  const defaults = BUCKETS[bucket];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit bucket "${bucket}"`);
+  }
+  const env = (scope) => process.env[`RATE_LIMIT_${bucket.toUpperCase()}_PER_${scope}`];
+  return {
+    ip: parseLimit(env('IP') ?? defaults.perIp, `RATE_LIMIT_${bucket.toUpperCase()}_PER_IP`),
+    user: parseLimit(env('USER') ?? defaults.perUser, `RATE_LIMIT_${bucket.toUpperCase()}_PER_USER`)
+  };
+}
+
+const retryAfterSeconds = (until) => Math.max(1, Math.ceil((until - Date.now()) / 1000));
+
+/**
+ * Send the 429 response: JSON under /api, otherwise the "too many requests" page
+ */
+function sendTooManyRequests(req, res, retryAfter, { lockout = false } = {}) {
+  res.locals.metricsOutcome = lockout ? 'locked_out' : 'rate_limited';
+  res.set('Retry-After', String(retryAfter));
+  res.status(429);
+
+  if (req.originalUrl.startsWith('/api/')) {
+    return res.json({
+      error: 'rate_limited',
+      error_description: `Too many requests. Retry after ${retryAfter} seconds.`
+    });
+  }
+  res.render('rate-limited', {
+    authenticated: req.isAuthenticated?.() ?? false,
+    user: req.user,
+    retryAfter,
+    lockout
+  });
+}
+
+/**
+ * Middleware limiting a route class per client IP and per signed-in user
+ * @param {string} bucket - Route class: login, step_up, wire or gtr
+ */
+export function rateLimit(bucket) {
+  const limits = bucketLimits(bucket);
+
+  return async (req, res, next) => {
+    const checks = [
+      limits.ip && { scope: 'ip', key: `${bucket}:ip:${req.ip}`, limit: limits.ip },
+      limits.user && req.user?.id && { scope: 'user', key: `${bucket}:user:${req.user.id}`, limit: limits.user }
+    ].filter(Boolean);
+
+    for (const { scope, key, limit } of checks) {
+      const result = await store.consume(key, limit);
+      if (!result.allowed) {
+        const retryAfter = retryAfterSeconds(result.resetAt);
+        log.warn('Rate limit exceeded', {
+          bucket,
+          scope,
+          ip: req.ip,
+          userId: req.user?.id,
+          path: req.path,
+          limit: limit.max,
+          windowSeconds: limit.windowMs / 1000,
+          retryAfter
+        });
+        return sendTooManyRequests(req, res, retryAfter);
+      }
+    }
+    next();
+  };
+}
+
+/**
+ * Temporary lockout after repeated failures
+ * @param {string} name - One of LOCKOUTS
+ * @returns {{ check: function, recordFailure: function, clear: function, refuse: function }}
+ *   check - middleware answering 429 while the signed-in user is locked out
+ *   recordFailure(req) - count a failure; resolves to the lockout's end (epoch ms) if it started one, otherwise null
+ *   clear(req) - forget the user's failures (e.g. after a success)
+ *   refuse(req, res, until) - send the 429 lockout response
+ */
+export function lockout(name) {
+  const config = LOCKOUTS[name];
+  if (!config) {
+    throw new Error(`Unknown lockout "${name}"`);
+  }
+  const failuresKey = (req) => `lockout:${name}:failures:${req.user.id}`;
+  const lockKey = (req) => `lockout:${name}:${req.user.id}`;
+  const refuse = (req, res, until) => sendTooManyRequests(req, res, retryAfterSeconds(until), { lockout: true });
+
+  return {
+    refuse,
+
+    async check(req, res, next) {
+      const until = req.user?.id && await store.lockedUntil(lockKey(req));
+      if (!until) {
+        return next();
+      }
+      log.warn('Request refused during lockout', { lockout: name, userId: req.user.id, path: req.path });
+      refuse(req, res, until);
+    },
+
+    async recordFailure(req) {
+      const { allowed, count } = await store.consume(failuresKey(req), { max: config.threshold, windowMs: config.windowMs });
+      if (allowed && count < config.threshold) {
+        return null;
+      }
+      const until = Date.now() + config.durationMs;
+      await store.lock(lockKey(req), until);
+      await store.reset(failuresKey(req));
+      log.warn('User locked out after repeated failures', {
+        lockout: name,
+        userId: req.user.id,
+        ip: req.ip,
+        failures: config.threshold,
+        lockedUntil: new Date(until).toISOString()
+      });
+      recordSecurityEvent(req.user.id, config.event, {
+        ip: req.session?.ip || req.ip,
+        userAgent: req.session?.userAgent || req.get('user-agent'),
+        location: req.session?.location,
+        detail: `${config.threshold} failed attempts; locked for ${config.durationMs / 60000} minutes`
+      });
+      return until;
+    },
+
+    async clear(req) {
+      await store.reset(failuresKey(req));
+    }
+  };
+}
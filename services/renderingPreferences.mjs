@@ -0,0 +1,43 @@
+import { getUserPreferences } from '../database/db.mjs';
+import { createFormatter } from './formatters.mjs';
+import { createLogger } from './logger.mjs';
+
+/**
+ * Rendering preferences
+ *
+ * Loads the signed-in user's display preferences (theme, date format,
+ * currency display) for every request and exposes them to routes and views:
+ * - req.format / res.locals.format - money(cents), date(value) and dateTime(value)
+ *   formatted the user's way (services/formatters.mjs)
+ * - res.locals.formatCents, formatDate, formatDateTime - the same helpers
+ *   under the names the templates use
+ * - res.locals.theme - 'light' or 'dark' (views/layout.pug)
+ *
+ * Anonymous visitors, and users whose preferences can't be read, get the defaults.
+ */
+
+const log = createLogger('preferences');
+
+/**
+ * Middleware loading the user's rendering preferences
+ * Use after passport.session(), ahead of the routes.
+ */
+export function renderingPreferences(req, res, next) {
+  let preferences = {};
+  if (req.user?.id) {
+    try {
+      preferences = getUserPreferences(req.user.id) || {};
+    } catch (error) {
+      log.warn('Could not load preferences - rendering with defaults', { userId: req.user.id, error });
+    }
+  }
+
+  const format = createFormatter(preferences);
+  req.format = format;
+  res.locals.format = format;
+  res.locals.formatCents = format.money;
+  res.locals.formatDate = format.date;
+  res.locals.formatDateTime = format.dateTime;
+  res.locals.theme = preferences.theme === 'dark' ? 'dark' : 'light';
+  next();
+}
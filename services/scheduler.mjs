@@ -0,0 +1,69 @@
+import { runDueSchedules } from '../database/internalTransfers.mjs';
+import { runDueBillPayments } from '../database/billPay.mjs';
+import { pruneTokenIds } from '../database/replayCache.mjs';
+import { createLogger } from './logger.mjs';
+
+/**
+ * In-process background scheduler
+ *
+ * Started from bin/www once the HTTP server is listening. Every tick runs
+ * each job in turn; a tick is skipped if the previous one is still running.
+ * Jobs are synchronous or async functions returning an object of counts,
+ * which is logged when anything happened.
+ */
+
+const log = createLogger('scheduler');
+
+// How often jobs run (default every 60 seconds)
+const INTERVAL = (Number(process.env.SCHEDULER_INTERVAL_SECONDS) || 60) * 1000;
+
+const JOBS = [
+  { name: 'recurring-transfers', run: () => runDueSchedules() },
+  { name: 'bill-payments', run: () => runDueBillPayments() },
+  { name: 'replay-cache', run: () => ({ pruned: pruneTokenIds() }) }
+];
+
+let timer = null;
+let running = false;
+
+/**
+ * Run every job once
+ * A failing job is logged and doesn't stop the others.
+ */
+export async function runJobs() {
+  if (running) return;
+  running = true;
+  try {
+    for (const job of JOBS) {
+      try {
+        const result = await job.run();
+        if (result && Object.values(result).some(count => count > 0)) {
+          log.info(`Scheduler: ${job.name}`, { job: job.name, ...result });
+        }
+      } catch (error) {
+        log.error(`Scheduler: ${job.name} failed`, { job: job.name, error });
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start running jobs in the background
+ */
+export function startScheduler() {
+  if (timer) return;
+  log.info('Scheduler started', { intervalSeconds: INTERVAL / 1000, jobs: JOBS.map(job => job.name) });
+  setImmediate(runJobs);
+  timer = setInterval(runJobs, INTERVAL);
+  timer.unref();
+}
+
+/**
+ * Stop the background scheduler
+ */
+export function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
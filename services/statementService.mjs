@@ -0,0 +1,302 @@
+import PDFDocument from 'pdfkit';
+import { getPeriodActivity, getFirstPostedAt } from '../database/ledger.mjs';
+import { ACCOUNT_CURRENCY, formatDate, formatMoney } from './formatters.mjs';
+
+/**
+ * Monthly account statements and their export formats (CSV, OFX/QFX, PDF)
+ *
+ * Statement periods are calendar months in UTC. CSV and PDF honor the
+ * user's date_format preference (and PDF its currency_display amount style);
+ * OFX/QFX use the formats the spec requires so accounting tools can import
+ * them. Every format reports the account's currency, ACCOUNT_CURRENCY.
+ */
+
+// Financial institution identifiers written into OFX/QFX files
+const OFX_ORG = 'SecureBank';
+const OFX_FID = '10898';
+const OFX_BANK_ID = '121000358';
+
+// How many past months of statements are offered
+const STATEMENT_MONTHS = 12;
+
+export const STATEMENT_FORMATS = ['csv', 'ofx', 'qfx', 'pdf'];
+
+/**
+ * Parse a statement period key ("2026-09") into its date range
+ * @param {string} key - Period key (YYYY-MM)
+ * @returns {{ key: string, start: string, end: string, label: string }|null} Period, or null if invalid
+ */
+export function parsePeriod(key) {
+  const match = /^(\d{4})-(\d{2})$/.exec(key || '');
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  if (month < 1 || month > 12) return null;
+
+  const start = new Date(Date.UTC(year, month - 1, 1));
+  const end = new Date(Date.UTC(year, month, 1));
+  if (start > new Date()) return null;
+
+  return {
+    key,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    label: start.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+  };
+}
+
+/**
+ * List the statement periods available for an account, newest first
+ * @param {object} account - Ledger account
+ * @returns {object[]} Periods from the account's first activity up to the current month
+ */
+export function listStatementPeriods(account) {
+  const first = getFirstPostedAt(account.id);
+  if (!first) return [];
+
+  const firstMonth = first.slice(0, 7);
+  const now = new Date();
+  const periods = [];
+  for (let i = 0; i < STATEMENT_MONTHS; i++) {
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+    const key = date.toISOString().slice(0, 7);
+    if (key < firstMonth) break;
+    periods.push({ ...parsePeriod(key), inProgress: i === 0 });
+  }
+  return periods;
+}
+
+/**
+ * Build a statement for one account and month
+ * @param {object} account - Ledger account (caller checks ownership)
+ * @param {object} period - Period from parsePeriod()
+ * @returns {object} Statement with opening/closing balances, totals and itemized activity
+ */
+export function buildStatement(account, period) {
+  const { openingCents, closingCents, transactions } = getPeriodActivity(account.id, period);
+
+  const totals = { creditsCents: 0, debitsCents: 0, count: transactions.length };
+  for (const tx of transactions) {
+    if (tx.amountCents > 0) totals.creditsCents += tx.amountCents;
+    else totals.debitsCents += tx.amountCents;
+  }
+
+  return {
+    account,
+    period,
+    openingCents,
+    closingCents,
+    totals,
+    transactions,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * File name for a statement download
+ * @param {object} statement - Statement from buildStatement()
+ * @param {string} format - One of STATEMENT_FORMATS
+ * @returns {string} File name
+ */
+export function statementFileName(statement, format) {
+  const { account, period } = statement;
+  return `SecureBank-${account.type}-${account.number.slice(-4)}-${period.key}.${format}`;
+}
+
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const decimal = (cents) => (cents / 100).toFixed(2);
+
+/**
+ * Render a statement as CSV
+ * The Currency column is the account's currency, as in the OFX/QFX export.
+ * @param {object} statement - Statement from buildStatement()
+ * @param {object} preferences - User preferences (date_format)
+ * @returns {string} CSV text
+ */
+export function renderCsv(statement, { date_format: dateFormat } = {}) {
+  const currency = ACCOUNT_CURRENCY;
+  const rows = [
+    ['Date', 'Description', 'Reference', 'Type', 'Amount', 'Balance', 'Currency'],
+    [formatDate(statement.period.start, dateFormat), 'Opening Balance', '', '', '', decimal(statement.openingCents), currency],
+    ...statement.transactions.map(tx => [
+      formatDate(tx.postedAt, dateFormat),
+      tx.description,
+      tx.reference || '',
+      tx.type,
+      decimal(tx.amountCents),
+      decimal(tx.balanceCents),
+      currency
+    ]),
+    [formatDate(new Date(new Date(statement.period.end).getTime() - 1), dateFormat), 'Closing Balance', '', '', '', decimal(statement.closingCents), currency]
+  ];
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+const ofxDate = (value) => new Date(value).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+const ofxText = (value, max = 255) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .slice(0, max);
+
+const OFX_TRANSACTION_TYPES = {
+  deposit: 'DEP',
+  purchase: 'POS',
+  transfer: 'XFER',
+  wire: 'DIRECTDEBIT',
+  payment: 'PAYMENT'
+};
+
+/**
+ * Render a statement as OFX 1.02 (SGML), or Quicken's QFX variant
+ * @param {object} statement - Statement from buildStatement()
+ * @param {object} [options]
+ * @param {boolean} [options.qfx=false] - Add the Intuit fields Quicken expects
+ * @returns {string} OFX document
+ */
+export function renderOfx(statement, { qfx = false } = {}) {
+  const { account, period, transactions } = statement;
+  const isCredit = account.type === 'credit';
+  const asOf = new Date(Math.min(Date.now(), new Date(period.end).getTime() - 1000));
+
+  const transactionList = transactions.map(tx => [
+    '<STMTTRN>',
+    `<TRNTYPE>${OFX_TRANSACTION_TYPES[tx.type] || (tx.amountCents < 0 ? 'DEBIT' : 'CREDIT')}`,
+    `<DTPOSTED>${ofxDate(tx.postedAt)}`,
+    `<TRNAMT>${decimal(tx.amountCents)}`,
+    `<FITID>${tx.entryId}-${tx.postingId}`,
+    `<NAME>${ofxText(tx.description, 32)}`,
+    tx.reference ? `<MEMO>${ofxText(tx.reference)}` : null,
+    '</STMTTRN>'
+  ].filter(Boolean).join('\n')).join('\n');
+
+  const accountFrom = isCredit
+    ? `<CCACCTFROM>\n<ACCTID>${account.number}\n</CCACCTFROM>`
+    : `<BANKACCTFROM>\n<BANKID>${OFX_BANK_ID}\n<ACCTID>${account.number}\n<ACCTTYPE>${account.type === 'savings' ? 'SAVINGS' : 'CHECKING'}\n</BANKACCTFROM>`;
+
+  const statementResponse = [
+    isCredit ? '<CREDITCARDMSGSRSV1>' : '<BANKMSGSRSV1>',
+    isCredit ? '<CCSTMTTRNRS>' : '<STMTTRNRS>',
+    '<TRNUID>1',
+    '<STATUS>\n<CODE>0\n<SEVERITY>INFO\n</STATUS>',
+    isCredit ? '<CCSTMTRS>' : '<STMTRS>',
+    `<CURDEF>${ACCOUNT_CURRENCY}`,
+    accountFrom,
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(period.start)}`,
+    `<DTEND>${ofxDate(asOf)}`,
+    transactionList,
+    '</BANKTRANLIST>',
+    `<LEDGERBAL>\n<BALAMT>${decimal(statement.closingCents)}\n<DTASOF>${ofxDate(asOf)}\n</LEDGERBAL>`,
+    isCredit ? '</CCSTMTRS>' : '</STMTRS>',
+    isCredit ? '</CCSTMTTRNRS>' : '</STMTTRNRS>',
+    isCredit ? '</CREDITCARDMSGSRSV1>' : '</BANKMSGSRSV1>'
+  ].filter(Boolean).join('\n');
+
+  return [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1>',
+    '<SONRS>',
+    '<STATUS>\n<CODE>0\n<SEVERITY>INFO\n</STATUS>',
+    `<DTSERVER>${ofxDate(statement.generatedAt)}`,
+    '<LANGUAGE>ENG',
+    `<FI>\n<ORG>${OFX_ORG}\n<FID>${OFX_FID}\n</FI>`,
+    qfx ? `<INTU.BID>${OFX_FID}` : null,
+    '</SONRS>',
+    '</SIGNONMSGSRSV1>',
+    statementResponse,
+    '</OFX>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Render a statement as a printable PDF
+ * @param {object} statement - Statement from buildStatement()
+ * @param {object} preferences - User preferences (date_format, currency_display)
+ * @returns {Promise<Buffer>} PDF document
+ */
+export function renderPdf(statement, { date_format: dateFormat, currency_display: amountStyle } = {}) {
+  const money = (cents) => formatMoney(cents, amountStyle);
+  const date = (value) => formatDate(value, dateFormat);
+  const { account, period, totals } = statement;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: `${account.name} Statement - ${period.label}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header
+    doc.fillColor('#1a3a5c').fontSize(22).font('Helvetica-Bold').text('SecureBank');
+    doc.fontSize(10).font('Helvetica').fillColor('#666')
+      .text('1-800-SECURE-1  ·  support@securebank.com');
+    doc.moveDown();
+    doc.fillColor('#333').fontSize(16).font('Helvetica-Bold').text(`${account.name} Statement`);
+    doc.fontSize(11).font('Helvetica')
+      .text(`Account ${account.maskedNumber}`)
+      .text(`Statement period: ${date(period.start)} – ${date(new Date(new Date(period.end).getTime() - 1))}${period.inProgress ? ' (in progress)' : ''}`)
+      .text(`Generated: ${date(statement.generatedAt)}`);
+    doc.moveDown();
+
+    // Summary
+    const summary = [
+      ['Opening balance', money(statement.openingCents)],
+      ['Deposits and credits', money(totals.creditsCents)],
+      ['Withdrawals and debits', money(totals.debitsCents)],
+      ['Closing balance', money(statement.closingCents)],
+      ['Transactions', String(totals.count)]
+    ];
+    doc.fontSize(12).font('Helvetica-Bold').text('Summary');
+    doc.fontSize(10).font('Helvetica');
+    for (const [label, value] of summary) {
+      const y = doc.y;
+      doc.text(label, 50, y);
+      doc.text(value, 300, y, { width: 150, align: 'right' });
+    }
+    doc.moveDown();
+
+    // Itemized activity
+    const columns = [
+      { label: 'Date', x: 50, width: 75 },
+      { label: 'Description', x: 125, width: 235 },
+      { label: 'Amount', x: 360, width: 95, align: 'right' },
+      { label: 'Balance', x: 460, width: 100, align: 'right' }
+    ];
+    const row = (values, font) => {
+      if (doc.y > doc.page.height - 80) doc.addPage();
+      const y = doc.y;
+      doc.font(font);
+      columns.forEach((column, i) => {
+        doc.text(values[i], column.x, y, { width: column.width, align: column.align || 'left', lineBreak: false, ellipsis: true });
+      });
+      doc.moveDown(0.6);
+    };
+
+    doc.fontSize(12).font('Helvetica-Bold').text('Activity', 50);
+    doc.fontSize(9);
+    row(columns.map(c => c.label), 'Helvetica-Bold');
+    row([date(period.start), 'Opening Balance', '', money(statement.openingCents)], 'Helvetica');
+    for (const tx of statement.transactions) {
+      row([date(tx.postedAt), tx.description, money(tx.amountCents), money(tx.balanceCents)], 'Helvetica');
+    }
+    row(['', 'Closing Balance', '', money(statement.closingCents)], 'Helvetica-Bold');
+
+    doc.end();
+  });
+}
@@ -0,0 +1,276 @@
+import dotenv from 'dotenv';
+import { toCents, formatCents } from '../database/ledger.mjs';
+import { createLogger } from './logger.mjs';
+
+// Load from .okta.env for local development
+dotenv.config({ path: '.okta.env' });
+
+/**
+ * Declarative step-up (MFA) policy for sensitive routes
+ *
+ * Each sensitive route or action names a policy, and requireStepUp(name)
+ * enforces it. A policy can declare:
+ * - acr: the minimum authentication level (see ACR_RANK)
+ * - maxAge: how old the step-up may be, in ms
+ * - perAction: each step-up authorizes one action only
+ * - amountCents + thresholds: stricter requirements above an amount
+ * - returnUrl: where the user comes back to after stepping up (string or function of req)
+ *
+ * Every decision is logged with the policy name and the reason.
+ *
+ * Wire confirmation additionally needs a transaction-bound step-up
+ * (services/transactionAuthorization.mjs).
+ */
+
+const log = createLogger('step-up');
+
+// Okta authentication levels, weakest to strongest
+// https://developer.okta.com/docs/guides/step-up-authentication/main/#predefined-parameter-values
+export const ACR_RANK = {
+  'urn:okta:loa:1fa:any': 1,
+  'urn:okta:loa:1fa:pwd': 1,
+  'urn:okta:loa:2fa:any:ifpossible': 2,
+  'urn:okta:loa:2fa:any': 2,
+  'phr': 3,
+  'phrh': 4
+};
+
+// Level requested by a step-up unless a policy asks for more
+export const DEFAULT_STEP_UP_ACR = 'urn:okta:loa:2fa:any';
+
+// Asks for MFA only if the user has a factor enrolled, so a single factor also satisfies it
+const IF_POSSIBLE_ACR = 'urn:okta:loa:2fa:any:ifpossible';
+
+// amr values (RFC 8176 and Okta's) that count as phishing-resistant
+const PHISHING_RESISTANT_AMR = ['hwk', 'sc', 'swk', 'pop', 'fido'];
+
+// Allowed difference between our clock and Okta's when checking auth_time
+const CLOCK_SKEW = 60 * 1000;
+
+// How long a step-up counts for by default (5 minutes)
+export const MFA_TIMEOUT = 5 * 60 * 1000;
+
+// Wires above this amount (dollars, default $10,000) need a step-up of their own
+const WIRE_FRESH_MFA_THRESHOLD_CENTS = Math.round(Number(process.env.STEPUP_WIRE_FRESH_MFA_OVER ?? 10000) * 100);
+
+const DEFAULT_REQUIREMENT = {
+  acr: DEFAULT_STEP_UP_ACR,
+  maxAge: MFA_TIMEOUT,
+  perAction: false
+};
+
+export const STEP_UP_POLICIES = {
+  'profile.edit': {
+    description: 'Edit profile and preferences',
+    returnUrl: '/profile/edit'
+  },
+  'security.sessions': {
+    description: 'Sign out other sessions',
+    returnUrl: '/profile/security'
+  },
+  'wire.form': {
+    description: 'Open the wire transfer form',
+    returnUrl: '/wire-transfer'
+  },
+  'wire.create': {
+    description: 'Create a wire transfer',
+    amountCents: (req) => toCents(req.body.amount) || 0,
+    thresholds: [
+      { overCents: WIRE_FRESH_MFA_THRESHOLD_CENTS, perAction: true }
+    ],
+    returnUrl: () => `/wire-transfer?error=${encodeURIComponent(
+      `Wires over ${formatCents(WIRE_FRESH_MFA_THRESHOLD_CENTS)} need a fresh MFA verification. Please enter the transfer again.`
+    )}`
+  },
+  'payee.change': {
+    description: 'Add or change a saved payee',
+    returnUrl: (req) => req.method === 'GET' ? req.originalUrl : '/payees'
+  },
+  'biller.add': {
+    description: 'Add a biller',
+    returnUrl: '/bill-pay/billers/new'
+  },
+  'biller.remove': {
+    description: 'Remove a biller and cancel its payments',
+    returnUrl: '/bill-pay'
+  }
+};
+
+const acrRank = (acr) => ACR_RANK[acr] || 0;
+
+/**
+ * Work out what a policy requires for this request (amount thresholds applied)
+ * @param {object} policy - Entry of STEP_UP_POLICIES
+ * @param {object} req - Express request
+ * @returns {{ acr: string, maxAge: number, perAction: boolean }}
+ */
+function requirementFor(policy, req) {
+  const requirement = {
+    acr: policy.acr || DEFAULT_REQUIREMENT.acr,
+    maxAge: policy.maxAge ?? DEFAULT_REQUIREMENT.maxAge,
+    perAction: policy.perAction ?? DEFAULT_REQUIREMENT.perAction
+  };
+
+  const amount = policy.amountCents ? policy.amountCents(req) : 0;
+  for (const threshold of policy.thresholds || []) {
+    if (amount <= threshold.overCents) continue;
+    if (threshold.acr && acrRank(threshold.acr) > acrRank(requirement.acr)) requirement.acr = threshold.acr;
+    if (threshold.maxAge !== undefined) requirement.maxAge = Math.min(requirement.maxAge, threshold.maxAge);
+    if (threshold.perAction) requirement.perAction = true;
+  }
+  return requirement;
+}
+
+/**
+ * Check the session's step-up against a requirement
+ * @returns {{ allowed: boolean, reason: string }}
+ */
+function evaluate(req, requirement) {
+  const { mfaVerified, mfaVerifiedAt, mfaAcr, mfaUsedAt } = req.session;
+
+  if (!mfaVerified || !mfaVerifiedAt) {
+    return { allowed: false, reason: 'no step-up in this session' };
+  }
+
+  const age = Date.now() - mfaVerifiedAt;
+  if (age >= requirement.maxAge) {
+    return { allowed: false, reason: `step-up is ${Math.round(age / 1000)}s old (max ${Math.round(requirement.maxAge / 1000)}s)` };
+  }
+
+  // Step-ups from before acr was recorded were made at the default level
+  const acr = mfaAcr || DEFAULT_STEP_UP_ACR;
+  if (acrRank(acr) < acrRank(requirement.acr)) {
+    return { allowed: false, reason: `step-up level ${acr} is below ${requirement.acr}` };
+  }
+
+  if (requirement.perAction && mfaUsedAt && mfaUsedAt >= mfaVerifiedAt) {
+    return { allowed: false, reason: 'step-up was already used for another action' };
+  }
+
+  return { allowed: true, reason: `step-up ${Math.round(age / 1000)}s old at ${acr}` };
+}
+
+/**
+ * Middleware enforcing a named step-up policy
+ * Use after ensureLoggedIn. When the policy isn't met the user is sent to
+ * /stepup-mfa, asking for the policy's level, and returned afterwards.
+ * @param {string} name - Key of STEP_UP_POLICIES
+ * @returns {function} Express middleware
+ */
+export function requireStepUp(name) {
+  const policy = STEP_UP_POLICIES[name];
+  if (!policy) {
+    throw new Error(`Unknown step-up policy "${name}"`);
+  }
+
+  return (req, res, next) => {
+    const requirement = requirementFor(policy, req);
+    const { allowed, reason } = evaluate(req, requirement);
+
+    log.info(`Step-up policy ${name}: ${allowed ? 'allow' : 'step-up required'}`, { policy: name, allowed, userId: req.user.id, reason });
+
+    if (allowed) {
+      if (requirement.perAction) {
+        req.session.mfaUsedAt = Date.now();
+      }
+      return next();
+    }
+
+    req.session.mfaReturnUrl = typeof policy.returnUrl === 'function' ? policy.returnUrl(req) : policy.returnUrl;
+    req.session.stepUpAcr = requirement.acr;
+    // For routes counted in /metrics
+    res.locals.metricsOutcome = 'step_up_required';
+    res.redirect('/stepup-mfa');
+  };
+}
+
+/**
+ * The acr_values to request for the step-up that is about to start
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+export function requestedAcr(req) {
+  return req.session.stepUpAcr || DEFAULT_STEP_UP_ACR;
+}
+
+/**
+ * Check a step-up ID token's acr, amr and auth_time against what was requested
+ *
+ * Called from the oidc-mfa verify callback before the step-up is trusted.
+ * - acr must be at least the requested level (urn:okta:loa:2fa:any:ifpossible
+ *   also accepts a single factor, since that is what Okta returns to users
+ *   without an enrolled factor)
+ * - a multi-factor acr must be backed by amr (`mfa` or two methods), and a
+ *   phishing-resistant one by a phishing-resistant method
+ * - auth_time must show the user authenticated within the step-up lifetime
+ *
+ * @param {object} req - Express request
+ * @param {object} claims - Decoded ID token claims
+ * @returns {string|null} Why the step-up is rejected, or null if it is accepted
+ */
+export function verifyStepUpClaims(req, claims) {
+  const requested = requestedAcr(req);
+  const { acr } = claims;
+  const amr = Array.isArray(claims.amr) ? claims.amr : [];
+
+  if (!acr) {
+    return 'Okta did not report how you signed in (no acr claim).';
+  }
+  if (!ACR_RANK[acr]) {
+    return `Okta reported an authentication level this app doesn't recognize (${acr}).`;
+  }
+
+  const minimumRank = requested === IF_POSSIBLE_ACR ? 1 : acrRank(requested);
+  if (acrRank(acr) < minimumRank) {
+    return `This action needs ${requested}, but you signed in with ${acr}.`;
+  }
+
+  if (acrRank(acr) >= 2 && !amr.includes('mfa') && new Set(amr).size < 2) {
+    return `Okta reported ${acr} but only these sign-in methods: ${amr.join(', ') || 'none'}.`;
+  }
+  if (acrRank(acr) >= ACR_RANK.phr && !amr.some(method => PHISHING_RESISTANT_AMR.includes(method))) {
+    return `This action needs a phishing-resistant authenticator (such as Okta FastPass or a security key), but you used: ${amr.join(', ') || 'none'}.`;
+  }
+
+  if (!claims.auth_time) {
+    return 'Okta did not report when you authenticated (no auth_time claim).';
+  }
+  const authTime = claims.auth_time * 1000;
+  if (authTime > Date.now() + CLOCK_SKEW) {
+    return 'The authentication time Okta reported is in the future.';
+  }
+  if (Date.now() - authTime >= MFA_TIMEOUT) {
+    return `You last authenticated ${Math.round((Date.now() - authTime) / 60000)} minutes ago; this action needs a fresh verification.`;
+  }
+
+  return null;
+}
+
+/**
+ * Record a completed step-up in the session
+ * @param {object} req - Express request
+ * @param {object} authentication
+ * @param {string} [authentication.acr] - acr claim of the step-up ID token
+ * @param {number} [authentication.authTime] - When the user authenticated (ms since epoch)
+ */
+export function recordStepUp(req, { acr, authTime } = {}) {
+  req.session.mfaVerified = true;
+  // The step-up counts from when the user actually authenticated
+  req.session.mfaVerifiedAt = Math.min(authTime || Date.now(), Date.now());
+  req.session.mfaAcr = acr || req.session.stepUpAcr || DEFAULT_STEP_UP_ACR;
+  delete req.session.stepUpAcr;
+  delete req.session.mfaUsedAt;
+}
+
+/**
+ * Whether the session has a step-up that still counts for default-level policies
+ * @param {object} req - Express request
+ * @returns {{ verified: boolean, expiresAt: number|null }}
+ */
+export function stepUpStatus(req) {
+  const { mfaVerified, mfaVerifiedAt } = req.session;
+  const expiresAt = mfaVerified && mfaVerifiedAt ? mfaVerifiedAt + DEFAULT_REQUIREMENT.maxAge : null;
+  return expiresAt && expiresAt > Date.now()
+    ? { verified: true, expiresAt }
+    : { verified: false, expiresAt: null };
+}
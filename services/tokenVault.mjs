@@ -0,0 +1,363 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { createLogger } from './logger.mjs';
+import { acquireRefreshLease, releaseRefreshLease } from '../database/tokenRefreshLeases.mjs';
+
+// Load from .okta.env for local development
+dotenv.config({ path: '.okta.env' });
+
+const log = createLogger('token-vault');
+
+/**
+ * Per-session OIDC token vault
+ *
+ * The tokens from a sign-in or step-up (ID, access and refresh token, their
+ * expiry, and the acr/amr/auth_time of the authentication) are kept in the
+ * user's own session, encrypted with AES-256-GCM. Nothing token-related is
+ * held in module state, so one user's tokens can never be used for another
+ * user's request (e.g. as id_token_hint at logout).
+ *
+ * Access tokens are refreshed with the refresh token shortly before they
+ * expire. Refresh tokens are only issued when the app requests the
+ * offline_access scope (OIDC_OFFLINE_ACCESS=true). They rotate, so a session
+ * is refreshed by one request at a time across all workers (a lease in
+ * database/tokenRefreshLeases.mjs), and a refresh that finds the stored
+ * tokens already rotated uses those instead of sending a spent refresh token.
+ *
+ * Universal Logout revokes a user's tokens at the IdP (RFC 7009) before their
+ * sessions are destroyed.
+ */
+
+// Refresh access tokens this long before they expire (60 seconds)
+const REFRESH_SKEW = 60 * 1000;
+
+const VAULT_KEY = crypto.hkdfSync(
+  'sha256',
+  process.env.TOKEN_VAULT_KEY || process.env.SESSION_SECRET || 'CanYouLookTheOtherWay',
+  'securebank-token-vault',
+  'session tokens',
+  32
+);
+
+// Token and revocation endpoints and client credentials, set once OIDC discovery completes
+let tokenClient = null;
+
+// In-flight refreshes per session, so concurrent requests in this process share one refresh
+const refreshing = new Map();
+
+// How long a refresh lease lasts if its holder never releases it (longer than the token request timeout)
+const REFRESH_LEASE_TTL = 15 * 1000;
+
+// How often a request waiting for another worker's refresh checks the lease
+const REFRESH_LEASE_POLL = 100;
+
+/**
+ * Tell the vault where and how to refresh and revoke tokens
+ * @param {object} client
+ * @param {string} client.tokenEndpoint - OIDC token endpoint
+ * @param {string} [client.revocationEndpoint] - OAuth revocation endpoint (revocation_endpoint from discovery)
+ * @param {string} client.clientId - OIDC client ID
+ * @param {string} client.clientSecret - OIDC client secret
+ */
+export function configureTokenVault({ tokenEndpoint, revocationEndpoint, clientId, clientSecret }) {
+  tokenClient = { tokenEndpoint, revocationEndpoint: revocationEndpoint || null, clientId, clientSecret };
+}
+
+function encrypt(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(VAULT_KEY), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+function decrypt(sealed) {
+  try {
+    const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(VAULT_KEY), iv);
+    decipher.setAuthTag(tag);
+    return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+  } catch (error) {
+    // Wrong key (e.g. rotated secret) or tampered data
+    return null;
+  }
+}
+
+/**
+ * Turn a token response into a vault entry
+ * @param {object} tokens
+ * @param {string} tokens.idToken - ID token (JWT)
+ * @param {string} [tokens.accessToken] - Access token
+ * @param {string} [tokens.refreshToken] - Refresh token
+ * @param {object} [tokens.params] - Other token endpoint response parameters (expires_in, scope, ...)
+ * @returns {object} Tokens with their expiry and authentication context
+ */
+export function tokenSetFrom({ idToken, accessToken, refreshToken, params = {} }) {
+  const claims = (idToken && jwt.decode(idToken)) || {};
+  return {
+    idToken,
+    accessToken: accessToken || null,
+    refreshToken: refreshToken || null,
+    scope: params.scope || null,
+    expiresAt: params.expires_in ? Date.now() + Number(params.expires_in) * 1000 : null,
+    acr: claims.acr || null,
+    amr: claims.amr || [],
+    authTime: claims.auth_time ? claims.auth_time * 1000 : null
+  };
+}
+
+/**
+ * Read the current session's tokens
+ * @param {object} req - Express request
+ * @returns {object|null} Tokens, or null if the session has none
+ */
+export function getTokens(req) {
+  const sealed = req.session && req.session.tokenVault;
+  return sealed ? decrypt(sealed) : null;
+}
+
+/**
+ * Read the tokens of a session loaded from the session store
+ * @param {object} sessionData - Session data
+ * @returns {object|null} Tokens, or null if the session has none
+ */
+export function getSessionTokens(sessionData) {
+  return getTokens({ session: sessionData });
+}
+
+/**
+ * Store tokens in the current session
+ * Values missing from the new set (a step-up that returns no refresh token,
+ * say) keep the ones already in the vault.
+ * @param {object} req - Express request
+ * @param {object} tokenSet - From tokenSetFrom()
+ */
+export function storeTokens(req, tokenSet) {
+  const current = getTokens(req) || {};
+  const merged = { ...current };
+  for (const [key, value] of Object.entries(tokenSet)) {
+    if (value !== null && value !== undefined) merged[key] = value;
+  }
+  req.session.tokenVault = encrypt(merged);
+}
+
+/**
+ * Remove the current session's tokens
+ * @param {object} req - Express request
+ */
+export function clearTokens(req) {
+  if (req.session) delete req.session.tokenVault;
+}
+
+/**
+ * The current session's ID token (for id_token_hint)
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+export function getIdToken(req) {
+  return getTokens(req)?.idToken || null;
+}
+
+/**
+ * Read the session's tokens as last saved to the session store
+ * Another worker may have refreshed them since this request loaded the session.
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>}
+ */
+function loadStoredTokens(req) {
+  return new Promise((resolve) => {
+    req.sessionStore.get(req.sessionID, (err, sessionData) => {
+      resolve(!err && sessionData ? getSessionTokens(sessionData) : null);
+    });
+  });
+}
+
+/**
+ * Write the session to the store now rather than at the end of the request
+ * @param {object} req - Express request
+ * @returns {Promise<void>}
+ */
+function saveSession(req) {
+  return new Promise((resolve) => {
+    req.session.save((err) => {
+      if (err) log.error('Could not save refreshed tokens to the session store', { sid: req.sessionID, error: err });
+      resolve();
+    });
+  });
+}
+
+/**
+ * Wait for the session's refresh lease
+ * @param {string} sid - Session ID
+ * @returns {Promise<string>} Lease holder ID
+ */
+async function waitForRefreshLease(sid) {
+  for (;;) {
+    const holder = acquireRefreshLease(sid, REFRESH_LEASE_TTL);
+    if (holder) return holder;
+    await new Promise(resolve => setTimeout(resolve, REFRESH_LEASE_POLL));
+  }
+}
+
+/**
+ * Refresh the session's tokens while holding its lease
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>}
+ */
+async function refreshUnderLease(req) {
+  const holder = await waitForRefreshLease(req.sessionID);
+  try {
+    // The refresh token may have been rotated (or rejected) since this request
+    // loaded the session - sending the spent one would revoke the token family
+    const tokens = getTokens(req);
+    const stored = await loadStoredTokens(req);
+    if (stored && stored.refreshToken !== tokens.refreshToken) {
+      req.session.tokenVault = encrypt(stored);
+      log.debug('Tokens already refreshed by another request', { sid: req.sessionID });
+      return stored.refreshToken ? stored : null;
+    }
+
+    let data;
+    try {
+      ({ data } = await axios.post(tokenClient.tokenEndpoint, new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: tokens.refreshToken,
+        scope: tokens.scope || 'openid profile email offline_access',
+        client_id: tokenClient.clientId,
+        client_secret: tokenClient.clientSecret
+      }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        timeout: 10000
+      }));
+    } catch (error) {
+      const reason = error.response?.data?.error || error.message;
+      log.warn('Token refresh failed', { sid: req.sessionID, reason });
+      // A rejected refresh token (revoked, expired) won't work next time either
+      if (reason !== 'invalid_grant') return null;
+      req.session.tokenVault = encrypt({ ...tokens, accessToken: null, refreshToken: null, expiresAt: null });
+      await saveSession(req);
+      return null;
+    }
+
+    // A refresh doesn't re-authenticate the user, so keep the original acr/amr/auth_time
+    const { acr, amr, authTime } = tokens;
+    storeTokens(req, {
+      ...tokenSetFrom({
+        idToken: data.id_token,
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token,
+        params: data
+      }),
+      acr,
+      amr,
+      authTime
+    });
+    // Saved before the lease is released, so the next holder sees the new refresh token
+    await saveSession(req);
+    log.info('Access token refreshed', { sid: req.sessionID });
+    return getTokens(req);
+  } finally {
+    releaseRefreshLease(req.sessionID, holder);
+  }
+}
+
+/**
+ * Exchange the session's refresh token for new tokens
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>} The refreshed tokens, or null if they couldn't be refreshed
+ */
+export function refreshTokens(req) {
+  const tokens = getTokens(req);
+  if (!tokens || !tokens.refreshToken || !tokenClient) return Promise.resolve(null);
+
+  if (refreshing.has(req.sessionID)) return refreshing.get(req.sessionID);
+
+  const refresh = refreshUnderLease(req)
+    .catch(error => {
+      log.error('Token refresh error', { sid: req.sessionID, error });
+      return null;
+    })
+    .finally(() => refreshing.delete(req.sessionID));
+
+  refreshing.set(req.sessionID, refresh);
+  return refresh;
+}
+
+/**
+ * The current session's access token, refreshed first if it is about to expire
+ * Use this for any API call made on the user's behalf.
+ * @param {object} req - Express request
+ * @returns {Promise<string|null>} Access token, or null if the session has no valid one
+ */
+export async function getAccessToken(req) {
+  let tokens = getTokens(req);
+  if (!tokens) return null;
+
+  if (tokens.expiresAt && tokens.expiresAt - Date.now() < REFRESH_SKEW) {
+    tokens = (await refreshTokens(req)) || tokens;
+  }
+
+  return tokens.accessToken && (!tokens.expiresAt || tokens.expiresAt > Date.now()) ? tokens.accessToken : null;
+}
+
+/**
+ * Middleware that refreshes the session's access token when it nears expiry
+ * Requests carry on even if the refresh fails.
+ */
+export function keepTokensFresh(req, res, next) {
+  if (!req.isAuthenticated || !req.isAuthenticated()) return next();
+  getAccessToken(req).then(() => next(), next);
+}
+
+/**
+ * Revoke tokens at the IdP
+ * Refresh tokens are revoked before access tokens, so a refresh can't mint a
+ * new access token in between. A token the IdP reports as already invalid
+ * counts as revoked (RFC 7009 answers 200 for those).
+ * @param {object[]} tokenSets - Token sets, e.g. from getSessionTokens()
+ * @returns {Promise<{ revoked: number, failed: number }>}
+ */
+export async function revokeTokens(tokenSets) {
+  const refreshTokens = new Set();
+  const accessTokens = new Set();
+  for (const tokens of tokenSets) {
+    if (!tokens) continue;
+    if (tokens.refreshToken) refreshTokens.add(tokens.refreshToken);
+    if (tokens.accessToken && (!tokens.expiresAt || tokens.expiresAt > Date.now())) accessTokens.add(tokens.accessToken);
+  }
+
+  const pending = [
+    ...[...refreshTokens].map(token => ({ token, hint: 'refresh_token' })),
+    ...[...accessTokens].map(token => ({ token, hint: 'access_token' }))
+  ];
+  const result = { revoked: 0, failed: 0 };
+  if (pending.length === 0) return result;
+
+  if (!tokenClient || !tokenClient.revocationEndpoint) {
+    log.error('Unable to revoke tokens: no revocation endpoint (OIDC discovery incomplete?)', { pending: pending.length });
+    result.failed = pending.length;
+    return result;
+  }
+
+  for (const { token, hint } of pending) {
+    try {
+      await axios.post(tokenClient.revocationEndpoint, new URLSearchParams({
+        token,
+        token_type_hint: hint,
+        client_id: tokenClient.clientId,
+        client_secret: tokenClient.clientSecret
+      }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        timeout: 10000
+      });
+      result.revoked++;
+    } catch (error) {
+      const reason = error.response?.data?.error || error.response?.status || error.message;
+      log.warn('Token revocation failed', { tokenType: hint, reason });
+      result.failed++;
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+// Load from .okta.env for local development
+dotenv.config({ path: '.okta.env' });
+
+/**
+ * Transaction-bound step-up authentication
+ *
+ * A wire is only executed when the customer completed an MFA step-up that
+ * was started for that exact transaction. The transaction details are hashed
+ * (HMAC-SHA256) and the hash is bound into the step-up request:
+ *
+ * - The OIDC `nonce` is derived from the transaction hash, so the IdP-signed
+ *   ID token that comes back names the transaction it authorizes.
+ * - Optionally (STEPUP_RAR_ENABLED=true) the request also carries OAuth Rich
+ *   Authorization Requests `authorization_details` describing the wire. If
+ *   the token response echoes them back they must match the transaction.
+ *
+ * The resulting authorization is stored in the session, expires after
+ * TRANSACTION_AUTH_TIMEOUT and is consumed by the transaction it covers.
+ */
+
+// How long a transaction authorization stays valid (5 minutes)
+const TRANSACTION_AUTH_TIMEOUT = 5 * 60 * 1000;
+
+// Send RFC 9396 authorization_details with the step-up request (requires IdP support)
+const RAR_ENABLED = process.env.STEPUP_RAR_ENABLED === 'true';
+
+const SIGNING_KEY = process.env.TRANSACTION_SIGNING_KEY || process.env.SESSION_SECRET || 'CanYouLookTheOtherWay';
+
+const hmac = (value) => crypto.createHmac('sha256', SIGNING_KEY).update(value).digest('base64url');
+
+/**
+ * Hash the fields of a wire transfer that the customer is authorizing
+ * @param {object} transfer - Stored wire transfer
+ * @returns {string} Transaction hash
+ */
+export function hashTransaction(transfer) {
+  return hmac(JSON.stringify([
+    'wire_transfer',
+    transfer.ref,
+    transfer.fromAccountId,
+    transfer.amountCents,
+    transfer.recipientName,
+    transfer.recipientBank,
+    transfer.routingNumber,
+    transfer.accountNumber
+  ]));
+}
+
+/**
+ * Describe a wire transfer as RAR authorization_details
+ * @param {object} transfer - Stored wire transfer
+ * @param {string} txHash - Transaction hash
+ * @returns {object[]} authorization_details array
+ */
+export function buildAuthorizationDetails(transfer, txHash) {
+  return [{
+    type: 'wire_transfer',
+    actions: ['initiate'],
+    identifier: transfer.ref,
+    instructedAmount: {
+      currency: 'USD',
+      amount: (transfer.amountCents / 100).toFixed(2)
+    },
+    creditorName: transfer.recipientName,
+    creditorAgent: transfer.recipientBank,
+    creditorAccount: {
+      routingNumber: transfer.routingNumber,
+      accountNumber: transfer.accountNumber
+    },
+    transactionHash: txHash
+  }];
+}
+
+/**
+ * Record that a step-up is needed for a transaction and where to return afterwards
+ * @param {object} req - Express request
+ * @param {object} transaction
+ * @param {string} transaction.ref - Transaction reference
+ * @param {string} transaction.txHash - Transaction hash
+ * @param {object[]} transaction.authorizationDetails - RAR authorization_details
+ * @param {string} transaction.returnUrl - Where to send the user after step-up
+ */
+export function requestTransactionStepUp(req, { ref, txHash, authorizationDetails, returnUrl }) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  req.session.pendingTransaction = {
+    ref,
+    txHash,
+    authorizationDetails,
+    nonce: hmac(`${txHash}.${salt}`),
+    requestedAt: Date.now()
+  };
+  req.session.mfaReturnUrl = returnUrl;
+}
+
+/**
+ * Build passport.authenticate options for a step-up request
+ * Binds the pending transaction when the step-up was started for it.
+ * @param {object} req - Express request
+ * @returns {object} Options for the oidc-mfa strategy
+ */
+export function stepUpOptions(req) {
+  const pending = req.session.pendingTransaction;
+  if (!pending || req.query.transaction !== pending.ref) {
+    delete req.session.pendingTransaction;
+    return {};
+  }
+
+  return {
+    nonce: pending.nonce,
+    authorizationDetails: RAR_ENABLED ? pending.authorizationDetails : undefined
+  };
+}
+
+/**
+ * Turn step-up options into extra authorization request parameters
+ * Used by the oidc-mfa strategy's authorizationParams().
+ * @param {object} options - Options from stepUpOptions()
+ * @returns {object} Authorization request parameters
+ */
+export function stepUpAuthorizationParams(options) {
+  const params = {};
+  if (options.nonce) {
+    params.nonce = options.nonce;
+  }
+  if (options.authorizationDetails) {
+    params.authorization_details = JSON.stringify(options.authorizationDetails);
+  }
+  return params;
+}
+
+/**
+ * Check a completed step-up against the pending transaction and record the authorization
+ *
+ * Called from the oidc-mfa verify callback. A step-up that wasn't started for a
+ * transaction is accepted (it's an ordinary session step-up) but authorizes no
+ * transaction.
+ *
+ * @param {object} req - Express request
+ * @param {object} claims - Decoded ID token claims
+ * @param {object} params - Token endpoint response parameters
+ * @returns {string|null} Reason the authentication doesn't cover the transaction, or null
+ */
+export function completeTransactionAuthorization(req, claims, params) {
+  const pending = req.session.pendingTransaction;
+  delete req.session.pendingTransaction;
+  if (!pending) return null;
+
+  if (claims.nonce !== pending.nonce) {
+    return 'The authentication response was not issued for this transaction.';
+  }
+
+  // An IdP that supports RAR echoes the granted authorization_details
+  if (params && params.authorization_details) {
+    let granted;
+    try {
+      granted = typeof params.authorization_details === 'string'
+        ? JSON.parse(params.authorization_details)
+        : params.authorization_details;
+    } catch (e) {
+      return 'The authorization server returned malformed authorization details.';
+    }
+    const covered = Array.isArray(granted) &&
+      granted.some(detail => detail.type === 'wire_transfer' && detail.transactionHash === pending.txHash);
+    if (!covered) {
+      return 'The authorization server did not authorize this transaction.';
+    }
+  }
+
+  req.session.transactionAuthorization = {
+    ref: pending.ref,
+    txHash: pending.txHash,
+    authTime: claims.auth_time ? claims.auth_time * 1000 : Date.now()
+  };
+  return null;
+}
+
+/**
+ * Whether the session holds a fresh authorization for exactly this transaction
+ * @param {object} req - Express request
+ * @param {string} txHash - Transaction hash
+ * @returns {boolean}
+ */
+export function hasTransactionAuthorization(req, txHash) {
+  const authorization = req.session.transactionAuthorization;
+  if (!authorization || authorization.txHash !== txHash) return false;
+
+  if (Date.now() - authorization.authTime >= TRANSACTION_AUTH_TIMEOUT) {
+    delete req.session.transactionAuthorization;
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Use up the authorization once its transaction has been executed
+ * @param {object} req - Express request
+ * @param {string} txHash - Transaction hash
+ */
+export function consumeTransactionAuthorization(req, txHash) {
+  if (req.session.transactionAuthorization?.txHash === txHash) {
+    delete req.session.transactionAuthorization;
+  }
+}
@@ -1,45 +1,284 @@
+import crypto from 'crypto';
 import session from 'express-session';
+import dotenv from 'dotenv';
+import { SqliteSessionStore, SqliteSessionIndex } from './database/sqliteSessionStore.mjs';
+import { approximateLocation } from './services/deviceInfo.mjs';
+import { createLogger } from './services/logger.mjs';
 
-// Create a memory store instance that can be shared across the application
-// This allows the universal logout endpoint to access and destroy sessions
-const MemoryStore = session.MemoryStore;
-export const store = new MemoryStore();
+// Load from .okta.env for local development
+dotenv.config({ path: '.okta.env' });
 
-// Map to track session IDs by user email for quick lookup during universal logout
-// Key: user email, Value: Set of session IDs
-export const userSessions = new Map();
+const log = createLogger('session-store');
+
+// Session lifetime (24 hours) - also used as the session cookie maxAge
+export const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+// How often expired sessions and index entries are pruned (15 minutes)
+const PRUNE_INTERVAL = 15 * 60 * 1000;
+
+// Session backend: 'sqlite' (default, survives restarts) or 'memory' (local development)
+const SESSION_STORE = (process.env.SESSION_STORE || 'sqlite').toLowerCase();
+
+/**
+ * In-process user → session ID index used with the memory backend
+ * Key: user key (e.g. "email:user@example.com"), Value: Map of session ID → expiry
+ */
+class MemorySessionIndex {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  add(key, sessionId, expires) {
+    if (!this.entries.has(key)) {
+      this.entries.set(key, new Map());
+    }
+    this.entries.get(key).set(sessionId, expires);
+  }
+
+  remove(key, sessionId) {
+    const sessions = this.entries.get(key);
+    if (sessions) {
+      sessions.delete(sessionId);
+      if (sessions.size === 0) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  removeKey(key) {
+    this.entries.delete(key);
+  }
+
+  removeSession(sessionId) {
+    for (const key of [...this.entries.keys()]) {
+      this.remove(key, sessionId);
+    }
+  }
+
+  sessionIds(key) {
+    const now = Date.now();
+    const sessions = this.entries.get(key);
+    if (!sessions) return [];
+    return [...sessions].filter(([, expires]) => expires > now).map(([sid]) => sid);
+  }
+
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, sessions] of [...this.entries]) {
+      for (const [sid, expires] of [...sessions]) {
+        if (expires <= now) {
+          this.remove(key, sid);
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Create the configured session store and user index
+ * @returns {{ store: session.Store, index: object }}
+ */
+function createSessionBackend() {
+  switch (SESSION_STORE) {
+    case 'memory':
+      log.warn('Using in-memory session store - sessions will not survive a restart');
+      return { store: new session.MemoryStore(), index: new MemorySessionIndex() };
+
+    case 'sqlite':
+      return { store: new SqliteSessionStore({ ttl: SESSION_TTL }), index: new SqliteSessionIndex() };
+
+    default:
+      throw new Error(`Unknown SESSION_STORE "${SESSION_STORE}". Supported values: sqlite, memory`);
+  }
+}
+
+// Shared session store instance used by express-session and the universal logout endpoint
+const backend = createSessionBackend();
+export const store = backend.store;
+const sessionIndex = backend.index;
+
+// Periodically expire stale sessions and index entries
+setInterval(() => {
+  try {
+    const sessionsRemoved = typeof store.prune === 'function' ? store.prune() : 0;
+    const entriesRemoved = sessionIndex.prune();
+    if (sessionsRemoved || entriesRemoved) {
+      log.info('Pruned expired sessions', { sessions: sessionsRemoved, indexEntries: entriesRemoved });
+    }
+  } catch (error) {
+    log.error('Error pruning sessions', error);
+  }
+}, PRUNE_INTERVAL).unref();
+
+const emailKey = (email) => `email:${email.toLowerCase()}`;
+const subjectKey = (subject) => `sub:${subject}`;
+const idpSessionKey = (sid) => `idp-sid:${sid}`;
+
+/**
+ * Opaque, stable ID for a session, safe to put in pages and forms
+ * (sha256 of the session ID, truncated). The session ID itself never goes into a page.
+ * @param {string} sid - Session ID
+ * @returns {string} 16 hex characters
+ */
+export const sessionKey = (sid) => crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
 
 /**
  * Register a session for a user
  * @param {string} email - User's email address
  * @param {string} sessionId - Session ID to register
+ * @param {object} [options]
+ * @param {string} [options.subject] - Okta subject (user ID), indexed for iss_sub logout requests
+ * @param {string} [options.idpSessionId] - IdP session ID (`sid` claim of the ID token), indexed for OIDC logout
  */
-export function registerUserSession(email, sessionId) {
+export function registerUserSession(email, sessionId, { subject, idpSessionId } = {}) {
   if (!email || !sessionId) return;
 
-  const normalizedEmail = email.toLowerCase();
-  if (!userSessions.has(normalizedEmail)) {
-    userSessions.set(normalizedEmail, new Set());
+  const expires = Date.now() + SESSION_TTL;
+  sessionIndex.add(emailKey(email), sessionId, expires);
+  if (subject) {
+    sessionIndex.add(subjectKey(subject), sessionId, expires);
+  }
+  if (idpSessionId) {
+    sessionIndex.add(idpSessionKey(idpSessionId), sessionId, expires);
   }
-  userSessions.get(normalizedEmail).add(sessionId);
-  console.log(`Session registered for ${normalizedEmail}: ${sessionId}`);
+  log.info('Session registered', { email, sid: sessionId, subject });
 }
 
 /**
  * Unregister a session for a user
  * @param {string} email - User's email address
  * @param {string} sessionId - Session ID to unregister
+ * @param {object} [options]
+ * @param {string} [options.subject] - Okta subject (user ID)
  */
-export function unregisterUserSession(email, sessionId) {
+export function unregisterUserSession(email, sessionId, { subject } = {}) {
   if (!email || !sessionId) return;
 
-  const normalizedEmail = email.toLowerCase();
-  if (userSessions.has(normalizedEmail)) {
-    userSessions.get(normalizedEmail).delete(sessionId);
-    if (userSessions.get(normalizedEmail).size === 0) {
-      userSessions.delete(normalizedEmail);
+  sessionIndex.remove(emailKey(email), sessionId);
+  if (subject) {
+    sessionIndex.remove(subjectKey(subject), sessionId);
+  }
+}
+
+/**
+ * Destroy a single session in the store
+ * @param {string} sid - Session ID
+ * @returns {Promise<boolean>} Whether the session was destroyed without error
+ */
+function destroySession(sid) {
+  return new Promise((resolve) => {
+    store.destroy(sid, (err) => {
+      if (err) {
+        log.error('Error destroying session', { sid, error: err });
+        resolve(false);
+        return;
+      }
+      sessionIndex.removeSession(sid);
+      resolve(true);
+    });
+  });
+}
+
+/**
+ * Find session IDs whose passport user matches a predicate
+ * Fallback for sessions that exist but weren't tracked in the index
+ * @param {function(object, object): boolean} matches - Predicate applied to the passport user and the session data
+ * @returns {Promise<string[]>} Matching session IDs
+ */
+function scanSessions(matches) {
+  return new Promise((resolve) => {
+    store.all((err, sessions) => {
+      if (err || !sessions) {
+        resolve([]);
+        return;
+      }
+
+      const sids = [];
+      for (const [sid, sessionData] of Object.entries(sessions)) {
+        if (sessionData.passport && sessionData.passport.user && matches(sessionData.passport.user, sessionData)) {
+          sids.push(sid);
+        }
+      }
+      resolve(sids);
+    });
+  });
+}
+
+/**
+ * Read a session from the store
+ * @param {string} sid - Session ID
+ * @returns {Promise<object|null>} Session data, or null if it doesn't exist
+ */
+function loadSession(sid) {
+  return new Promise(resolve => store.get(sid, (err, data) => resolve(err ? null : data || null)));
+}
+
+/**
+ * Load the sessions found through the index plus any matching sessions from a full scan
+ * @param {string} key - Index key
+ * @param {function(object, object): boolean} matches - Predicate applied to the passport user and the session data
+ * @returns {Promise<Map<string, object>>} Session ID → session data
+ */
+async function collectSessions(key, matches) {
+  const sessions = new Map();
+  for (const sid of sessionIndex.sessionIds(key)) {
+    const sessionData = await loadSession(sid);
+    if (sessionData) sessions.set(sid, sessionData);
+  }
+
+  // Also scan all sessions as a fallback (in case the index is out of sync)
+  for (const sid of await scanSessions(matches)) {
+    if (!sessions.has(sid)) {
+      const sessionData = await loadSession(sid);
+      if (sessionData) sessions.set(sid, sessionData);
     }
   }
+  return sessions;
+}
+
+/**
+ * Destroy a set of sessions
+ * @param {Iterable<string>} sids - Session IDs
+ * @returns {Promise<number>} Number of sessions destroyed
+ */
+async function destroySessions(sids) {
+  let destroyedCount = 0;
+  for (const sid of sids) {
+    if (await destroySession(sid)) destroyedCount++;
+  }
+  return destroyedCount;
+}
+
+/**
+ * Find all sessions for a user by email
+ * @param {string} email - User's email address
+ * @returns {Promise<Map<string, object>>} Session ID → session data
+ */
+export function findUserSessions(email) {
+  if (!email) return Promise.resolve(new Map());
+
+  const normalizedEmail = email.toLowerCase();
+  return collectSessions(emailKey(normalizedEmail), (user) => {
+    const userEmail = user.emails?.[0]?.value ||
+                      user.email ||
+                      user._json?.email ||
+                      user.preferred_username;
+    return userEmail && userEmail.toLowerCase() === normalizedEmail;
+  });
+}
+
+/**
+ * Find all sessions for a user by Okta subject ID
+ * @param {string} subject - The Okta subject ID
+ * @returns {Promise<Map<string, object>>} Session ID → session data
+ */
+export function findUserSessionsBySubject(subject) {
+  if (!subject) return Promise.resolve(new Map());
+
+  return collectSessions(subjectKey(subject), user => user.id === subject || user._json?.sub === subject);
 }
 
 /**
@@ -51,52 +290,155 @@ export async function destroyUserSessions(email) {
   if (!email) return 0;
 
   const normalizedEmail = email.toLowerCase();
-  let destroyedCount = 0;
+  const sessions = await findUserSessions(normalizedEmail);
+  sessionIndex.removeKey(emailKey(normalizedEmail));
 
-  // Method 1: Use the userSessions map for quick lookup
-  if (userSessions.has(normalizedEmail)) {
-    const sessionIds = userSessions.get(normalizedEmail);
-    for (const sid of sessionIds) {
-      store.destroy(sid, (err) => {
-        if (err) {
-          console.error(`Error destroying session ${sid}:`, err);
-        }
-      });
-      destroyedCount++;
+  const destroyedCount = await destroySessions(sessions.keys());
+  log.info('Destroyed user sessions', { email: normalizedEmail, sessions: destroyedCount });
+  return destroyedCount;
+}
+
+/**
+ * Destroy all sessions for a user by Okta subject ID
+ * Used for iss_sub format identifiers
+ * @param {string} subject - The Okta subject ID
+ * @returns {Promise<number>} Number of sessions destroyed
+ */
+export async function destroyUserSessionsBySubject(subject) {
+  if (!subject) return 0;
+
+  const sessions = await findUserSessionsBySubject(subject);
+  sessionIndex.removeKey(subjectKey(subject));
+
+  const destroyedCount = await destroySessions(sessions.keys());
+  log.info('Destroyed user sessions', { subject, sessions: destroyedCount });
+  return destroyedCount;
+}
+
+/**
+ * Destroy the sessions started from one IdP session
+ * Used by OIDC back-channel and front-channel logout, where the IdP names the
+ * session it ended (`sid`). The session's IdP issuer and sid are recorded in
+ * the session (`req.session.idp`) at login.
+ * @param {string} idpSessionId - IdP session ID (`sid`)
+ * @param {object} [options]
+ * @param {string} [options.issuer] - Only sessions from this issuer
+ * @param {string} [options.subject] - Only sessions of this user (when the request also names the user)
+ * @returns {Promise<number>} Number of sessions destroyed
+ */
+export async function destroySessionsByIdpSession(idpSessionId, { issuer, subject } = {}) {
+  if (!idpSessionId) return 0;
+
+  const matches = (user, sessionData) =>
+    sessionData.idp?.sid === idpSessionId &&
+    (!issuer || sessionData.idp.iss === issuer) &&
+    (!subject || user.id === subject || user._json?.sub === subject);
+
+  // Index entries are checked against the session itself, so issuer and subject are enforced
+  const sessions = await collectSessions(idpSessionKey(idpSessionId), matches);
+  const sids = [...sessions].filter(([, sessionData]) =>
+    sessionData.passport?.user && matches(sessionData.passport.user, sessionData)
+  ).map(([sid]) => sid);
+
+  const destroyedCount = await destroySessions(sids);
+
+  log.info('Destroyed sessions for IdP session', { idpSessionId, sessions: destroyedCount });
+  return destroyedCount;
+}
+
+// Only write last-activity updates to the store this often (1 minute)
+const ACTIVITY_RESOLUTION = 60 * 1000;
+
+/**
+ * Record the client (IP, user agent, approximate location) a session is used from
+ * @param {object} req - Express request
+ */
+export function recordSessionClient(req) {
+  req.session.ip = req.ip;
+  req.session.userAgent = req.get('user-agent') || null;
+  req.session.location = approximateLocation(req);
+}
+
+/**
+ * Middleware that records when a signed-in session was last used, and from where
+ * Shown in the admin session list and on the customer's Security Settings page.
+ */
+export function trackSessionActivity(req, res, next) {
+  if (req.session && req.isAuthenticated && req.isAuthenticated()) {
+    const now = Date.now();
+    if (!req.session.lastActivityAt || now - req.session.lastActivityAt >= ACTIVITY_RESOLUTION) {
+      req.session.lastActivityAt = now;
+      recordSessionClient(req);
     }
-    userSessions.delete(normalizedEmail);
   }
+  next();
+}
 
-  // Method 2: Also scan all sessions as a fallback (in case map is out of sync)
-  // This handles edge cases where sessions exist but weren't properly tracked
-  return new Promise((resolve) => {
+/**
+ * List the active signed-in sessions
+ * @param {object} [options]
+ * @param {string} [options.search] - Only sessions whose user name, email or ID contains this (case-insensitive)
+ * @returns {Promise<object[]>} Session summaries, most recently active first (`sid` is for
+ *   server-side use only; pages identify a session by its `key`)
+ */
+export function listSessions({ search } = {}) {
+  const term = (search || '').trim().toLowerCase();
+
+  return new Promise((resolve, reject) => {
     store.all((err, sessions) => {
-      if (err || !sessions) {
-        resolve(destroyedCount);
-        return;
-      }
+      if (err) return reject(err);
 
-      for (const [sid, sessionData] of Object.entries(sessions)) {
-        if (sessionData.passport && sessionData.passport.user) {
-          const user = sessionData.passport.user;
-          const userEmail = user.emails?.[0]?.value ||
-                           user.email ||
-                           user._json?.email ||
-                           user.preferred_username;
-
-          if (userEmail && userEmail.toLowerCase() === normalizedEmail) {
-            store.destroy(sid, (destroyErr) => {
-              if (destroyErr) {
-                console.error(`Error destroying session ${sid}:`, destroyErr);
-              }
-            });
-            destroyedCount++;
-          }
+      const summaries = [];
+      for (const [sid, sessionData] of Object.entries(sessions || {})) {
+        const user = sessionData.passport && sessionData.passport.user;
+        if (!user) continue;
+
+        const email = user.emails?.[0]?.value || user.email || user._json?.email || user.preferred_username || null;
+        const summary = {
+          sid,
+          key: sessionKey(sid),
+          userId: user.id,
+          name: user.displayName || email || user.id,
+          email,
+          loginAt: sessionData.loginAt || null,
+          lastActivityAt: sessionData.lastActivityAt || sessionData.loginAt || null,
+          ip: sessionData.ip || null,
+          userAgent: sessionData.userAgent || null,
+          location: sessionData.location || null,
+          mfaVerifiedAt: sessionData.mfaVerified ? sessionData.mfaVerifiedAt || null : null,
+          expiresAt: sessionData.cookie?.expires ? new Date(sessionData.cookie.expires).getTime() : null
+        };
+
+        if (term && ![summary.name, summary.email, summary.userId].some(value => value && value.toLowerCase().includes(term))) {
+          continue;
         }
+        summaries.push(summary);
       }
 
-      console.log(`Destroyed ${destroyedCount} sessions for ${normalizedEmail}`);
-      resolve(destroyedCount);
+      summaries.sort((a, b) => (b.lastActivityAt || 0) - (a.lastActivityAt || 0));
+      resolve(summaries);
     });
   });
 }
+
+/**
+ * Destroy one session
+ * @param {string} sid - Session ID
+ * @returns {Promise<boolean>} Whether the session existed and was destroyed
+ */
+export async function terminateSession(sid) {
+  if (!sid || !(await loadSession(sid))) return false;
+  const destroyed = await destroySession(sid);
+  if (destroyed) log.info('Destroyed session', { sid });
+  return destroyed;
+}
+
+/**
+ * Check that the session store answers, for the readiness probe
+ * @returns {Promise<{ backend: string }>} Rejects if the store fails
+ */
+export function checkSessionStore() {
+  return new Promise((resolve, reject) => {
+    store.get('readyz-probe', (err) => err ? reject(err) : resolve({ backend: SESSION_STORE }));
+  });
+}
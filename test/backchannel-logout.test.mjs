@@ -0,0 +1,156 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { after, before, describe, it } from 'node:test';
+import { startApp } from './support/app.mjs';
+
+const LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+const user = (id) => ({ id, displayName: id, emails: [{ value: `${id}@example.com` }] });
+
+/**
+ * Sign a user in from an Okta session
+ * @returns {Promise<string>} The app's session ID
+ */
+async function signInFromIdpSession(userId, idpSessionId) {
+  const { sid } = await app.signIn(user(userId), { idp: { iss: app.idp.url, sid: idpSessionId } });
+  return sid;
+}
+
+/**
+ * A logout token as Okta would send it, with `claims` and `header` overriding the defaults
+ * (a claim set to undefined is left out)
+ */
+function logoutToken(claims = {}, header = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    iss: app.idp.url,
+    aud: process.env.CLIENT_ID,
+    iat: now,
+    exp: now + 120,
+    jti: crypto.randomUUID(),
+    events: { [LOGOUT_EVENT]: {} },
+    ...claims
+  };
+  return app.idp.sign(
+    Object.fromEntries(Object.entries(payload).filter(([, value]) => value !== undefined)),
+    { header: { typ: 'logout+jwt', ...header } }
+  );
+}
+
+const postLogout = (form) => app.request('/api/backchannel-logout', { method: 'POST', form });
+
+const isSignedIn = async (sid) => Boolean(await app.getSession(sid));
+
+describe('back-channel logout token validation', () => {
+  it('requires a logout token', async () => {
+    const response = await postLogout({});
+
+    assert.equal(response.status, 400);
+    assert.equal(JSON.parse(response.body).error, 'invalid_request');
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+  });
+
+  const rejected = {
+    'a token that is not a JWT': () => 'not-a-jwt',
+    'a token of another type': () => logoutToken({ sid: 'okta-rejected' }, { typ: 'at+jwt' }),
+    'a token for another client': () => logoutToken({ sid: 'okta-rejected', aud: 'another-client' }),
+    'a token from another issuer': () => logoutToken({ sid: 'okta-rejected', iss: 'https://attacker.example.com' }),
+    'an expired token': () => logoutToken({ sid: 'okta-rejected', iat: Math.floor(Date.now() / 1000) - 600, exp: Math.floor(Date.now() / 1000) - 300 }),
+    'a token without exp': () => logoutToken({ sid: 'okta-rejected', exp: undefined }),
+    'a token without jti': () => logoutToken({ sid: 'okta-rejected', jti: undefined }),
+    'a token without the logout event': () => logoutToken({ sid: 'okta-rejected', events: {} }),
+    'a token without sid or sub': () => logoutToken(),
+    'an ID token (nonce present)': () => logoutToken({ sid: 'okta-rejected', nonce: 'abc' }),
+    'a token signed with an unknown key': () => logoutToken({ sid: 'okta-rejected' }, { kid: 'unknown-key' }),
+    'a token with a tampered payload': () => {
+      const [header, payload, signature] = logoutToken({ sid: 'okta-other' }).split('.');
+      const claims = { ...JSON.parse(Buffer.from(payload, 'base64url')), sid: 'okta-rejected' };
+      return [header, Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.');
+    }
+  };
+
+  for (const [name, token] of Object.entries(rejected)) {
+    it(`rejects ${name}`, async () => {
+      const sid = await signInFromIdpSession('user-rejected', 'okta-rejected');
+
+      const response = await postLogout({ logout_token: token() });
+
+      assert.equal(response.status, 400);
+      assert.equal(JSON.parse(response.body).error, 'invalid_request');
+      assert.ok(await isSignedIn(sid));
+    });
+  }
+});
+
+describe('back-channel logout', () => {
+  it('ends only the sessions started from the named Okta session', async () => {
+    const ended = await signInFromIdpSession('user-sid', 'okta-sid-1');
+    const otherDevice = await signInFromIdpSession('user-sid', 'okta-sid-2');
+
+    const response = await postLogout({ logout_token: logoutToken({ sid: 'okta-sid-1' }) });
+
+    assert.equal(response.status, 200);
+    assert.equal(await isSignedIn(ended), false);
+    assert.ok(await isSignedIn(otherDevice));
+  });
+
+  it('leaves the session alone when sub names another user', async () => {
+    const sid = await signInFromIdpSession('user-victim', 'okta-sid-3');
+
+    const response = await postLogout({ logout_token: logoutToken({ sid: 'okta-sid-3', sub: 'user-attacker' }) });
+
+    assert.equal(response.status, 200);
+    assert.ok(await isSignedIn(sid));
+  });
+
+  it('ends every session of the user named by sub alone', async () => {
+    const first = await signInFromIdpSession('user-sub', 'okta-sid-4');
+    const second = await signInFromIdpSession('user-sub', 'okta-sid-5');
+    const someoneElse = await signInFromIdpSession('user-bystander', 'okta-sid-6');
+
+    const response = await postLogout({ logout_token: logoutToken({ sub: 'user-sub' }) });
+
+    assert.equal(response.status, 200);
+    assert.equal(await isSignedIn(first), false);
+    assert.equal(await isSignedIn(second), false);
+    assert.ok(await isSignedIn(someoneElse));
+  });
+
+  it('accepts a logout token only once', async () => {
+    const token = logoutToken({ sid: 'okta-sid-7' });
+    await postLogout({ logout_token: token });
+    const sid = await signInFromIdpSession('user-replay', 'okta-sid-7');
+
+    const response = await postLogout({ logout_token: token });
+
+    assert.equal(response.status, 400);
+    assert.match(JSON.parse(response.body).error_description, /already been used/);
+    assert.ok(await isSignedIn(sid));
+  });
+
+  it('does not use up the jti of a rejected token', async () => {
+    const jti = crypto.randomUUID();
+    const sid = await signInFromIdpSession('user-retry', 'okta-sid-8');
+
+    const rejected = await postLogout({ logout_token: logoutToken({ sid: 'okta-sid-8', jti, aud: 'another-client' }) });
+    const accepted = await postLogout({ logout_token: logoutToken({ sid: 'okta-sid-8', jti }) });
+
+    assert.equal(rejected.status, 400);
+    assert.equal(accepted.status, 200);
+    assert.equal(await isSignedIn(sid), false);
+  });
+
+  it('answers 200 when no session matches', async () => {
+    const response = await postLogout({ logout_token: logoutToken({ sid: 'okta-unknown' }) });
+
+    assert.equal(response.status, 200);
+  });
+});
@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startApp } from './support/app.mjs';
+
+let app;
+let billPay;
+let ledger;
+let today;
+
+before(async () => {
+  app = await startApp();
+  billPay = await import('../database/billPay.mjs');
+  ledger = await import('../database/ledger.mjs');
+  ({ today } = await import('../database/internalTransfers.mjs'));
+});
+
+after(() => app.close());
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Open a customer's accounts and schedule a payment due today from checking
+ * @param {string} ownerId - Okta user ID
+ * @param {object} [payment] - Overrides for the payment (amountCents, frequency, ...)
+ */
+function schedulePayment(ownerId, payment = {}) {
+  const checking = ledger.ensureUserAccounts(ownerId).find(a => a.type === 'checking');
+  const biller = billPay.createBiller(ownerId, { name: 'City Power', accountNumber: '1234-5678' });
+  const created = billPay.createPayment(ownerId, {
+    billerId: biller.id,
+    fromAccountId: checking.id,
+    amountCents: 2500,
+    frequency: 'once',
+    payOn: today(),
+    ...payment
+  });
+  return { checking, biller, payment: created };
+}
+
+const historyOf = (ownerId, paymentId) => billPay.listPaymentHistory(ownerId)
+  .filter(h => h.paymentId === paymentId)
+  .map(h => ({ status: h.status, attempt: h.attempt }))
+  .sort((a, b) => a.attempt - b.attempt);
+
+describe('bill payments', () => {
+  it('pays a due payment once', () => {
+    const { checking, payment } = schedulePayment('bp-paid');
+    const now = new Date();
+
+    billPay.runDueBillPayments(now);
+    billPay.runDueBillPayments(now);
+
+    assert.equal(ledger.getBalance(checking.id), checking.balanceCents - 2500);
+    assert.equal(billPay.getPayment('bp-paid', payment.id).status, billPay.PAYMENT_STATUS.FINISHED);
+    assert.deepEqual(historyOf('bp-paid', payment.id), [{ status: 'paid', attempt: 1 }]);
+  });
+
+  it('moves a recurring payment on to its next date', () => {
+    const { payment } = schedulePayment('bp-recurring', { frequency: 'weekly' });
+
+    billPay.runDueBillPayments();
+
+    const after = billPay.getPayment('bp-recurring', payment.id);
+    assert.equal(after.status, billPay.PAYMENT_STATUS.SCHEDULED);
+    assert.ok(after.nextPayOn > today());
+  });
+
+  it('retries a payment that lacks funds, then fails it', () => {
+    const { checking, payment } = schedulePayment('bp-retry', { amountCents: 1_000_000_000 });
+    const start = new Date();
+
+    billPay.runDueBillPayments(start);
+    let after = billPay.getPayment('bp-retry', payment.id);
+    assert.equal(after.status, billPay.PAYMENT_STATUS.SCHEDULED);
+    assert.equal(after.attempts, 1);
+    assert.equal(after.retryAt, new Date(start.getTime() + 24 * HOUR).toISOString());
+
+    // Not retried before the retry interval is up
+    billPay.runDueBillPayments(new Date(start.getTime() + HOUR));
+    assert.equal(billPay.getPayment('bp-retry', payment.id).attempts, 1);
+
+    billPay.runDueBillPayments(new Date(start.getTime() + 25 * HOUR));
+    billPay.runDueBillPayments(new Date(start.getTime() + 50 * HOUR));
+
+    after = billPay.getPayment('bp-retry', payment.id);
+    assert.equal(after.status, billPay.PAYMENT_STATUS.FAILED);
+    assert.equal(after.nextPayOn, null);
+    assert.deepEqual(historyOf('bp-retry', payment.id), [
+      { status: 'retrying', attempt: 1 },
+      { status: 'retrying', attempt: 2 },
+      { status: 'failed', attempt: 3 }
+    ]);
+    assert.equal(ledger.getBalance(checking.id), checking.balanceCents);
+  });
+
+  it('does not pay a skipped payment', () => {
+    const { checking, payment } = schedulePayment('bp-skip', { frequency: 'monthly' });
+
+    assert.equal(billPay.skipNextPayment('bp-skip', payment.id), true);
+    billPay.runDueBillPayments();
+
+    assert.ok(billPay.getPayment('bp-skip', payment.id).nextPayOn > today());
+    assert.deepEqual(historyOf('bp-skip', payment.id), [{ status: 'skipped', attempt: null }]);
+    assert.equal(ledger.getBalance(checking.id), checking.balanceCents);
+  });
+
+  it('only skips recurring payments', () => {
+    const { payment } = schedulePayment('bp-skip-once');
+
+    assert.equal(billPay.skipNextPayment('bp-skip-once', payment.id), false);
+  });
+
+  it('does not pay a cancelled payment', () => {
+    const { checking, payment } = schedulePayment('bp-cancel');
+
+    assert.equal(billPay.cancelPayment('bp-cancel', payment.id), true);
+    billPay.runDueBillPayments();
+
+    assert.equal(billPay.getPayment('bp-cancel', payment.id).status, billPay.PAYMENT_STATUS.CANCELLED);
+    assert.deepEqual(historyOf('bp-cancel', payment.id), []);
+    assert.equal(ledger.getBalance(checking.id), checking.balanceCents);
+  });
+
+  it('does not retry a payment cancelled while waiting for funds', () => {
+    const { payment } = schedulePayment('bp-cancel-retry', { amountCents: 1_000_000_000 });
+    const start = new Date();
+
+    billPay.runDueBillPayments(start);
+    billPay.cancelPayment('bp-cancel-retry', payment.id);
+    billPay.runDueBillPayments(new Date(start.getTime() + 25 * HOUR));
+
+    assert.deepEqual(historyOf('bp-cancel-retry', payment.id), [{ status: 'retrying', attempt: 1 }]);
+  });
+});
+
+describe('removing a biller', () => {
+  const signIn = (id, session) => app.signIn({ id, displayName: id, emails: [{ value: `${id}@example.com` }] }, session);
+
+  const removeBiller = (client, biller) => app.request(`/bill-pay/billers/${biller.id}/delete`, {
+    method: 'POST',
+    cookie: client.cookie,
+    form: { _csrf: client.csrfToken }
+  });
+
+  it('needs a step-up', async () => {
+    const { biller, payment } = schedulePayment('bp-remove-no-mfa');
+    const client = await signIn('bp-remove-no-mfa');
+
+    const response = await removeBiller(client, biller);
+
+    assert.equal(response.status, 302);
+    assert.equal(response.location, '/stepup-mfa');
+    assert.ok(billPay.getBiller('bp-remove-no-mfa', biller.id));
+    assert.equal(billPay.getPayment('bp-remove-no-mfa', payment.id).status, billPay.PAYMENT_STATUS.SCHEDULED);
+  });
+
+  it('cancels the biller\'s payments after a step-up', async () => {
+    const { biller, payment } = schedulePayment('bp-remove');
+    const client = await signIn('bp-remove', { mfaVerified: true, mfaVerifiedAt: Date.now(), mfaAcr: 'urn:okta:loa:2fa:any' });
+
+    const response = await removeBiller(client, biller);
+
+    assert.equal(response.status, 302);
+    assert.equal(response.location, '/bill-pay?success=biller_removed');
+    assert.equal(billPay.getBiller('bp-remove', biller.id), undefined);
+    assert.equal(billPay.getPayment('bp-remove', payment.id).status, billPay.PAYMENT_STATUS.CANCELLED);
+  });
+});
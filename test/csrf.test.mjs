@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startApp } from './support/app.mjs';
+
+let app;
+let preferences;
+let securityEvents;
+let wires;
+
+before(async () => {
+  app = await startApp();
+  preferences = await import('../database/db.mjs');
+  securityEvents = await import('../database/securityEvents.mjs');
+  wires = await import('../database/wireTransfers.mjs');
+});
+
+after(() => app.close());
+
+/**
+ * Sign in a user who may change their preferences (recent MFA step-up)
+ */
+async function signInUser(id, session = {}) {
+  const user = { id, displayName: id, emails: [{ value: `${id}@example.com` }] };
+  const signedIn = await app.signIn(user, { mfaVerified: true, mfaVerifiedAt: Date.now(), mfaAcr: 'urn:okta:loa:2fa:any', ...session });
+  preferences.createUserPreferences(id, `${id}@example.com`);
+  return { ...signedIn, id };
+}
+
+// A complete, valid preferences form switching to the dark theme
+const DARK_THEME = { theme: 'dark', language: 'en', currency_display: 'USD', date_format: 'MM/DD/YYYY' };
+
+const savePreferences = (client, form, headers) => app.request('/profile/preferences', {
+  method: 'POST',
+  cookie: client.cookie,
+  form: { ...DARK_THEME, ...form },
+  headers
+});
+
+const theme = (client) => preferences.getUserPreferences(client.id).theme;
+
+describe('CSRF protection', () => {
+  it('accepts a form with the session token', async () => {
+    const client = await signInUser('csrf-valid');
+
+    const response = await savePreferences(client, { _csrf: client.csrfToken });
+
+    assert.equal(response.status, 302);
+    assert.equal(response.location, '/profile?success=preferences_updated');
+    assert.equal(theme(client), 'dark');
+  });
+
+  it('accepts the token in the X-CSRF-Token header', async () => {
+    const client = await signInUser('csrf-header');
+
+    const response = await savePreferences(client, {}, { 'X-CSRF-Token': client.csrfToken });
+
+    assert.equal(response.status, 302);
+    assert.equal(theme(client), 'dark');
+  });
+
+  it('rejects a form without a token', async () => {
+    const client = await signInUser('csrf-missing');
+
+    const response = await savePreferences(client, {});
+
+    assert.equal(response.status, 403);
+    assert.match(response.body, /Request Blocked/);
+    assert.equal(theme(client), 'light');
+  });
+
+  it('rejects a wrong token', async () => {
+    const client = await signInUser('csrf-wrong');
+
+    const response = await savePreferences(client, { _csrf: `${client.csrfToken.slice(0, -1)}x` });
+
+    assert.equal(response.status, 403);
+    assert.equal(theme(client), 'light');
+  });
+
+  it("rejects another session's token", async () => {
+    const client = await signInUser('csrf-victim');
+    const attacker = await signInUser('csrf-attacker');
+
+    const response = await savePreferences(client, { _csrf: attacker.csrfToken });
+
+    assert.equal(response.status, 403);
+    assert.equal(theme(client), 'light');
+  });
+
+  it('explains a rejection when the session has no token any more', async () => {
+    const client = await signInUser('csrf-expired', { csrfToken: undefined });
+
+    const response = await savePreferences(client, { _csrf: 'token-from-an-old-page' });
+
+    assert.equal(response.status, 403);
+    assert.match(response.body, /Your session has expired or changed/);
+    assert.equal(theme(client), 'light');
+  });
+
+  it("records a rejection in the user's security events", async () => {
+    const client = await signInUser('csrf-event');
+
+    await savePreferences(client, {});
+
+    const [event] = securityEvents.listSecurityEvents(client.id, { types: [securityEvents.SECURITY_EVENTS.CSRF_REJECTED] });
+    assert.equal(event.detail, 'POST /profile/preferences (missing_token)');
+  });
+
+  it('rejects a state-changing request before any route handles it', async () => {
+    const client = await signInUser('csrf-wire');
+
+    const response = await app.request('/wire-transfer', {
+      method: 'POST',
+      cookie: client.cookie,
+      form: { recipientName: 'Attacker', recipientBank: 'Bank', routingNumber: '021000021', accountNumber: '1', amount: '1.00' }
+    });
+
+    assert.equal(response.status, 403);
+    assert.deepEqual(wires.listTransfers(client.id), []);
+  });
+
+  it('puts the session token in rendered forms', async () => {
+    const client = await signInUser('csrf-form');
+
+    const page = await app.request('/profile/edit', { cookie: client.cookie });
+
+    assert.equal(page.status, 200);
+    assert.ok(page.body.includes(`name="_csrf" value="${client.csrfToken}"`));
+  });
+
+  it('leaves the Okta-called /api endpoints to their own authentication', async () => {
+    const response = await app.request('/api/backchannel-logout', { method: 'POST', form: {} });
+
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { after, before, describe, it } from 'node:test';
+import { startApp } from './support/app.mjs';
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+/**
+ * A GTR token as Okta would send it, with `claims` overriding the defaults
+ */
+function revocationToken(claims = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return app.idp.sign({
+    iss: app.idp.url,
+    aud: `${process.env.BASE_URL}/api/global-token-revocation`,
+    iat: now,
+    exp: now + 60,
+    jti: crypto.randomUUID(),
+    ...claims
+  }, { header: { typ: 'global-token-revocation+jwt' } });
+}
+
+const revoke = (token, subId) => app.request('/api/global-token-revocation', {
+  method: 'POST',
+  headers: { authorization: `Bearer ${token}` },
+  json: { sub_id: subId }
+});
+
+/**
+ * Sign a user in
+ * @returns {Promise<{ sid: string, subId: object }>} The session ID, and the user as GTR names them
+ */
+async function signInUser(id) {
+  const email = `${id}@example.com`;
+  const { sid } = await app.signIn({ id, displayName: id, emails: [{ value: email }] });
+  return { sid, subId: { format: 'email', email } };
+}
+
+const isSignedIn = async (sid) => Boolean(await app.getSession(sid));
+
+describe('global token revocation jti replay', () => {
+  it('signs the user out with a fresh token', async () => {
+    const { sid, subId } = await signInUser('gtr-fresh');
+
+    const response = await revoke(revocationToken(), subId);
+
+    assert.equal(response.status, 204);
+    assert.equal(await isSignedIn(sid), false);
+  });
+
+  it('refuses a token that has already been used', async () => {
+    const first = await signInUser('gtr-replay');
+    const token = revocationToken();
+    assert.equal((await revoke(token, first.subId)).status, 204);
+
+    // Signed in again since; a captured token must not sign them out a second time
+    const again = await signInUser('gtr-replay');
+    const replay = await revoke(token, again.subId);
+
+    assert.equal(replay.status, 401);
+    assert.equal(JSON.parse(replay.body).error, 'invalid_token');
+    assert.match(replay.headers.get('www-authenticate'), /error="invalid_token".*jti replay/);
+    assert.ok(await isSignedIn(again.sid));
+  });
+
+  it('refuses a used token replayed against another user', async () => {
+    const first = await signInUser('gtr-first');
+    const other = await signInUser('gtr-other');
+    const token = revocationToken();
+    assert.equal((await revoke(token, first.subId)).status, 204);
+
+    const replay = await revoke(token, other.subId);
+
+    assert.equal(replay.status, 401);
+    assert.ok(await isSignedIn(other.sid));
+  });
+
+  it('lets only one of several concurrent requests use a token', async () => {
+    const { subId } = await signInUser('gtr-concurrent');
+    const token = revocationToken();
+
+    const responses = await Promise.all([1, 2, 3].map(() => revoke(token, subId)));
+
+    assert.deepEqual(responses.map(r => r.status).sort(), [204, 401, 401]);
+  });
+
+  it('does not use up a token on a malformed request', async () => {
+    const { sid, subId } = await signInUser('gtr-malformed');
+    const token = revocationToken();
+
+    const malformed = await revoke(token, { format: 'phone_number', phone_number: '+15555550100' });
+    assert.equal(malformed.status, 400);
+    assert.ok(await isSignedIn(sid));
+
+    const retried = await revoke(token, subId);
+    assert.equal(retried.status, 204);
+    assert.equal(await isSignedIn(sid), false);
+  });
+
+  it('does not use up a token that fails validation', async () => {
+    const { sid, subId } = await signInUser('gtr-invalid');
+    const jti = crypto.randomUUID();
+
+    const wrongAudience = await revoke(revocationToken({ jti, aud: 'https://other.example.com/api/global-token-revocation' }), subId);
+    assert.equal(wrongAudience.status, 401);
+    assert.ok(await isSignedIn(sid));
+
+    assert.equal((await revoke(revocationToken({ jti }), subId)).status, 204);
+  });
+
+  it('refuses a token without a jti', async () => {
+    const { sid, subId } = await signInUser('gtr-no-jti');
+
+    const response = await revoke(revocationToken({ jti: undefined }), subId);
+
+    assert.equal(response.status, 401);
+    assert.match(JSON.parse(response.body).error_description, /jti/);
+    assert.ok(await isSignedIn(sid));
+  });
+});
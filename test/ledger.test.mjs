@@ -0,0 +1,139 @@
+import './support/env.mjs';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getDatabase } from '../database/connection.mjs';
+import {
+  BANK_ACCOUNTS, ensureUserAccounts, getAccounts, getBalance, postEntry,
+  postWireTransfer, postInternalTransfer, reverseEntry
+} from '../database/ledger.mjs';
+
+// Every posting in the ledger, which must always sum to zero
+const ledgerTotal = () => getDatabase().prepare('SELECT COALESCE(SUM(amount_cents), 0) AS total FROM postings').get().total;
+
+// Journal entries whose postings don't sum to zero
+const unbalancedEntries = () => getDatabase().prepare(`
+  SELECT entry_id FROM postings GROUP BY entry_id HAVING SUM(amount_cents) != 0
+`).all();
+
+const byType = (accounts) => Object.fromEntries(accounts.map(a => [a.type, a]));
+
+describe('ledger', () => {
+  it('opens new customers with balanced entries', () => {
+    const accounts = byType(ensureUserAccounts('user-open'));
+
+    assert.deepEqual(Object.keys(accounts).sort(), ['checking', 'credit', 'savings']);
+    assert.ok(accounts.checking.balanceCents > 0);
+    assert.ok(accounts.credit.balanceCents < 0);
+    assert.equal(ledgerTotal(), 0);
+    assert.deepEqual(unbalancedEntries(), []);
+  });
+
+  it('opens accounts only once per customer', () => {
+    const first = ensureUserAccounts('user-once');
+    const second = ensureUserAccounts('user-once');
+
+    assert.deepEqual(second.map(a => a.id), first.map(a => a.id));
+    assert.deepEqual(second.map(a => a.balanceCents), first.map(a => a.balanceCents));
+  });
+
+  it('refuses entries that do not balance', () => {
+    const { checking } = byType(ensureUserAccounts('user-unbalanced'));
+    const before = ledgerTotal();
+
+    assert.throws(() => postEntry({
+      type: 'deposit',
+      description: 'Unbalanced',
+      postings: [{ accountId: checking.id, amountCents: 100 }, { accountId: BANK_ACCOUNTS.equity, amountCents: -99 }]
+    }), /sum to zero/);
+    assert.throws(() => postEntry({
+      type: 'deposit',
+      description: 'One posting',
+      postings: [{ accountId: checking.id, amountCents: 100 }]
+    }), /at least two postings/);
+    assert.throws(() => postEntry({
+      type: 'deposit',
+      description: 'Fractional cents',
+      postings: [{ accountId: checking.id, amountCents: 0.5 }, { accountId: BANK_ACCOUNTS.equity, amountCents: -0.5 }]
+    }), /integer cents/);
+
+    assert.equal(getBalance(checking.id), checking.balanceCents);
+    assert.equal(ledgerTotal(), before);
+  });
+
+  it('keeps the journal append-only', () => {
+    const { checking } = byType(ensureUserAccounts('user-append-only'));
+    const database = getDatabase();
+
+    assert.throws(() => database.prepare('UPDATE postings SET amount_cents = amount_cents + 1 WHERE account_id = ?').run(checking.id), /append-only/);
+    assert.throws(() => database.prepare('DELETE FROM postings WHERE account_id = ?').run(checking.id), /append-only/);
+    assert.throws(() => database.prepare('DELETE FROM journal_entries').run(), /append-only/);
+    assert.equal(getBalance(checking.id), checking.balanceCents);
+  });
+
+  it('debits a wire and credits the external clearing account', () => {
+    const { checking } = byType(ensureUserAccounts('user-wire'));
+    const externalBefore = getBalance(BANK_ACCOUNTS.external);
+
+    postWireTransfer('user-wire', { accountId: checking.id, amountCents: 12345, description: 'Wire', reference: 'WT-TEST' });
+
+    assert.equal(getBalance(checking.id), checking.balanceCents - 12345);
+    assert.equal(getBalance(BANK_ACCOUNTS.external), externalBefore + 12345);
+    assert.equal(ledgerTotal(), 0);
+  });
+
+  it('refuses to overdraw an account and posts nothing', () => {
+    const { checking, savings } = byType(ensureUserAccounts('user-overdraw'));
+    const entries = getDatabase().prepare('SELECT COUNT(*) AS count FROM journal_entries').get().count;
+
+    assert.throws(
+      () => postWireTransfer('user-overdraw', { accountId: checking.id, amountCents: checking.balanceCents + 1, description: 'Wire', reference: 'WT-OVER' }),
+      { code: 'INSUFFICIENT_FUNDS' }
+    );
+    assert.throws(
+      () => postInternalTransfer('user-overdraw', { fromAccountId: savings.id, toAccountId: checking.id, amountCents: savings.balanceCents + 1, description: 'Transfer', reference: 'TR-OVER' }),
+      { code: 'INSUFFICIENT_FUNDS' }
+    );
+
+    assert.equal(getDatabase().prepare('SELECT COUNT(*) AS count FROM journal_entries').get().count, entries);
+    assert.equal(getBalance(checking.id), checking.balanceCents);
+  });
+
+  it("refuses to post against another customer's account", () => {
+    const mine = byType(ensureUserAccounts('user-owner'));
+    const theirs = byType(ensureUserAccounts('user-other'));
+
+    assert.throws(
+      () => postWireTransfer('user-owner', { accountId: theirs.checking.id, amountCents: 100, description: 'Wire', reference: 'WT-OTHER' }),
+      { code: 'ACCOUNT_NOT_FOUND' }
+    );
+    assert.throws(
+      () => postInternalTransfer('user-owner', { fromAccountId: mine.checking.id, toAccountId: theirs.savings.id, amountCents: 100, description: 'Transfer', reference: 'TR-OTHER' }),
+      { code: 'ACCOUNT_NOT_FOUND' }
+    );
+    assert.equal(getBalance(theirs.checking.id), theirs.checking.balanceCents);
+  });
+
+  it("moves money between a customer's own accounts without changing their total", () => {
+    const accounts = ensureUserAccounts('user-transfer');
+    const { checking, savings } = byType(accounts);
+    const total = (list) => list.reduce((sum, a) => sum + a.balanceCents, 0);
+
+    postInternalTransfer('user-transfer', { fromAccountId: savings.id, toAccountId: checking.id, amountCents: 5000, description: 'Transfer', reference: 'TR-TEST' });
+
+    const after = byType(getAccounts('user-transfer'));
+    assert.equal(after.savings.balanceCents, savings.balanceCents - 5000);
+    assert.equal(after.checking.balanceCents, checking.balanceCents + 5000);
+    assert.equal(total(getAccounts('user-transfer')), total(accounts));
+  });
+
+  it('restores balances with a reversing entry', () => {
+    const { checking } = byType(ensureUserAccounts('user-reversal'));
+    const entryId = postWireTransfer('user-reversal', { accountId: checking.id, amountCents: 2500, description: 'Wire', reference: 'WT-REV' });
+
+    reverseEntry(entryId, { description: 'Wire returned' });
+
+    assert.equal(getBalance(checking.id), checking.balanceCents);
+    assert.equal(ledgerTotal(), 0);
+    assert.deepEqual(unbalancedEntries(), []);
+  });
+});
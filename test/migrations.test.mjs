@@ -0,0 +1,86 @@
+import './support/env.mjs';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import Database from 'better-sqlite3';
+import { migrate, schemaVersion } from '../database/migrations.mjs';
+
+const MIGRATIONS = [
+  { version: 1, description: 'Create notes', up: 'CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT NOT NULL)' },
+  { version: 2, description: 'Add notes.pinned', up: 'ALTER TABLE notes ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0' }
+];
+
+const columns = (database, table) => database.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+
+describe('schema migrations', () => {
+  it('applies pending migrations in version order', () => {
+    const database = new Database(':memory:');
+
+    const version = migrate(database, 'notes', [...MIGRATIONS].reverse());
+
+    assert.equal(version, 2);
+    assert.deepEqual(columns(database, 'notes'), ['id', 'body', 'pinned']);
+    assert.deepEqual(
+      database.prepare('SELECT scope, version, description FROM schema_migrations ORDER BY version').all().map(row => ({ ...row })),
+      [
+        { scope: 'notes', version: 1, description: 'Create notes' },
+        { scope: 'notes', version: 2, description: 'Add notes.pinned' }
+      ]
+    );
+  });
+
+  it('runs each migration only once', () => {
+    const database = new Database(':memory:');
+    let runs = 0;
+    const counted = [...MIGRATIONS, { version: 3, description: 'Count', up: () => { runs++; } }];
+
+    migrate(database, 'notes', counted);
+    migrate(database, 'notes', counted);
+
+    assert.equal(runs, 1);
+    assert.equal(schemaVersion(database, 'notes'), 3);
+  });
+
+  it('applies only the versions added since the last run', () => {
+    const database = new Database(':memory:');
+    migrate(database, 'notes', MIGRATIONS.slice(0, 1));
+    database.prepare("INSERT INTO notes (body) VALUES ('kept')").run();
+
+    migrate(database, 'notes', MIGRATIONS);
+
+    assert.deepEqual({ ...database.prepare('SELECT body, pinned FROM notes').get() }, { body: 'kept', pinned: 0 });
+  });
+
+  it('keeps nothing from a failed migration and retries it next time', () => {
+    const database = new Database(':memory:');
+    const failing = [...MIGRATIONS, {
+      version: 3,
+      description: 'Add tags, then fail',
+      up: (db) => {
+        db.exec('CREATE TABLE tags (name TEXT)');
+        throw new Error('migration failed');
+      }
+    }];
+
+    assert.throws(() => migrate(database, 'notes', failing), /migration failed/);
+    assert.equal(schemaVersion(database, 'notes'), 2);
+    assert.equal(database.prepare("SELECT 1 FROM sqlite_master WHERE name = 'tags'").get(), undefined);
+
+    failing[2].up = (db) => db.exec('CREATE TABLE tags (name TEXT)');
+    assert.equal(migrate(database, 'notes', failing), 3);
+  });
+
+  it('keeps the versions of each scope apart', () => {
+    const database = new Database(':memory:');
+    migrate(database, 'notes', MIGRATIONS);
+
+    migrate(database, 'other', [{ version: 1, description: 'Create other', up: 'CREATE TABLE other (id INTEGER)' }]);
+
+    assert.equal(schemaVersion(database, 'notes'), 2);
+    assert.equal(schemaVersion(database, 'other'), 1);
+    assert.equal(schemaVersion(database, 'unknown'), 0);
+  });
+
+  it('reports version 0 for a database that was never migrated', () => {
+    assert.equal(schemaVersion(new Database(':memory:'), 'notes'), 0);
+  });
+});
@@ -0,0 +1,59 @@
+import './support/env.mjs';
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+
+const PAYEE = {
+  recipientName: 'Jane Doe',
+  recipientBank: 'First Example Bank',
+  routingNumber: '021000021',
+  accountNumber: '123456789'
+};
+
+/**
+ * Load a fresh copy of the payees module with the given cool-off settings
+ * @param {string} name - Distinguishes the module copy
+ * @param {object} env - PAYEE_COOLOFF_HOURS and PAYEE_COOLOFF_LIMIT values
+ */
+async function loadPayees(name, env) {
+  Object.assign(process.env, env);
+  return import(`../database/payees.mjs?${name}`);
+}
+
+afterEach(() => {
+  delete process.env.PAYEE_COOLOFF_HOURS;
+  delete process.env.PAYEE_COOLOFF_LIMIT;
+});
+
+describe('payee cool-off settings', () => {
+  it('uses the defaults when unset', async () => {
+    const payees = await loadPayees('unset', {});
+
+    assert.equal(payees.PAYEE_COOLOFF_HOURS, 24);
+    assert.equal(payees.PAYEE_COOLOFF_LIMIT_CENTS, 100000);
+  });
+
+  it('uses the defaults for empty, non-numeric or negative values', async () => {
+    for (const [name, value] of [['empty', ''], ['blank', ' '], ['text', 'abc'], ['negative', '-5'], ['infinite', 'Infinity']]) {
+      const payees = await loadPayees(name, { PAYEE_COOLOFF_HOURS: value, PAYEE_COOLOFF_LIMIT: value });
+
+      assert.equal(payees.PAYEE_COOLOFF_HOURS, 24, `PAYEE_COOLOFF_HOURS=${JSON.stringify(value)}`);
+      assert.equal(payees.PAYEE_COOLOFF_LIMIT_CENTS, 100000, `PAYEE_COOLOFF_LIMIT=${JSON.stringify(value)}`);
+    }
+  });
+
+  it('keeps 0', async () => {
+    const payees = await loadPayees('zero', { PAYEE_COOLOFF_HOURS: '0', PAYEE_COOLOFF_LIMIT: '0' });
+
+    assert.equal(payees.PAYEE_COOLOFF_HOURS, 0);
+    assert.equal(payees.PAYEE_COOLOFF_LIMIT_CENTS, 0);
+  });
+
+  it('starts new payees in cool-off even with an invalid setting', async () => {
+    const payees = await loadPayees('invalid-payee', { PAYEE_COOLOFF_HOURS: 'abc' });
+
+    const payee = payees.createPayee('payee-owner', PAYEE);
+
+    assert.equal(payee.inCooloff, true);
+    assert.ok(Date.parse(payee.cooloffUntil) > Date.now() + 23 * 60 * 60 * 1000);
+  });
+});
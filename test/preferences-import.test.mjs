@@ -0,0 +1,30 @@
+import { tempDir } from './support/env.mjs';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+// A preferences.json that was cut off while being written
+const legacyJsonPath = path.join(tempDir, 'preferences.json');
+process.env.PREFERENCES_JSON_PATH = legacyJsonPath;
+fs.writeFileSync(legacyJsonPath, '{"users": {"00u-broken": {"theme": "da');
+
+const { getDatabase } = await import('../database/connection.mjs');
+const { schemaVersion } = await import('../database/migrations.mjs');
+const preferences = await import('../database/db.mjs');
+
+describe('unreadable preferences.json', () => {
+  it('refuses to load preferences and leaves the import pending', () => {
+    assert.throws(() => preferences.getUserPreferences('00u-broken'), { code: 'LEGACY_IMPORT_FAILED' });
+    assert.throws(() => preferences.createUserPreferences('00u-new', 'new@example.com'), { code: 'LEGACY_IMPORT_FAILED' });
+
+    assert.equal(schemaVersion(getDatabase(), 'preferences'), 1);
+  });
+
+  it('imports the file once it is repaired', () => {
+    fs.writeFileSync(legacyJsonPath, JSON.stringify({ users: { '00u-broken': { theme: 'dark' } } }));
+
+    assert.equal(preferences.getUserPreferences('00u-broken').theme, 'dark');
+    assert.equal(schemaVersion(getDatabase(), 'preferences'), 2);
+  });
+});
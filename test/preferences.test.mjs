@@ -0,0 +1,133 @@
+import { tempDir } from './support/env.mjs';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+// preferences.json as the app wrote it before preferences moved to SQLite
+const legacyJsonPath = path.join(tempDir, 'preferences.json');
+process.env.PREFERENCES_JSON_PATH = legacyJsonPath;
+fs.writeFileSync(legacyJsonPath, JSON.stringify({
+  users: {
+    '00u-imported': {
+      email: 'imported@example.com',
+      email_notifications: false,
+      sms_notifications: true,
+      push_notifications: 0,
+      transaction_alerts: 1,
+      marketing_emails: true,
+      theme: 'dark',
+      language: 'fr',
+      currency_display: 'EUR',
+      date_format: 'DD/MM/YYYY',
+      created_at: '2024-01-15T10:00:00.000Z',
+      updated_at: '2024-03-01T12:00:00.000Z'
+    },
+    '00u-unsupported': {
+      email: 'unsupported@example.com',
+      theme: 'neon',
+      language: 'de',
+      currency_display: 'BTC',
+      date_format: 'YYYY'
+    },
+    '00u-partial': {
+      theme: 'dark'
+    }
+  }
+}));
+
+const { getDatabase } = await import('../database/connection.mjs');
+const { schemaVersion } = await import('../database/migrations.mjs');
+const preferences = await import('../database/db.mjs');
+
+describe('preferences migration', () => {
+  it('imports preferences.json the first time preferences are used', () => {
+    const imported = preferences.getUserPreferences('00u-imported');
+
+    assert.deepEqual({ ...imported }, {
+      okta_user_id: '00u-imported',
+      email: 'imported@example.com',
+      email_notifications: 0,
+      sms_notifications: 1,
+      push_notifications: 0,
+      transaction_alerts: 1,
+      marketing_emails: 1,
+      theme: 'dark',
+      language: 'fr',
+      currency_display: 'EUR',
+      date_format: 'DD/MM/YYYY',
+      created_at: '2024-01-15T10:00:00.000Z',
+      updated_at: '2024-03-01T12:00:00.000Z'
+    });
+  });
+
+  it('replaces unsupported choices with the defaults', () => {
+    const imported = preferences.getUserPreferences('00u-unsupported');
+
+    assert.equal(imported.theme, 'light');
+    assert.equal(imported.language, 'en');
+    assert.equal(imported.currency_display, 'USD');
+    assert.equal(imported.date_format, 'MM/DD/YYYY');
+  });
+
+  it('fills in preferences the file does not have', () => {
+    const imported = preferences.getUserPreferences('00u-partial');
+
+    assert.equal(imported.theme, 'dark');
+    assert.equal(imported.email, null);
+    assert.equal(imported.email_notifications, 1);
+    assert.equal(imported.marketing_emails, 0);
+    assert.ok(imported.created_at);
+  });
+
+  it('records both preferences migrations', () => {
+    const applied = getDatabase().prepare("SELECT version FROM schema_migrations WHERE scope = 'preferences' ORDER BY version").all();
+
+    assert.deepEqual(applied.map(row => row.version), [1, 2]);
+    assert.equal(schemaVersion(getDatabase(), 'preferences'), 2);
+    assert.deepEqual(preferences.checkPreferencesStore(), { users: 3, schemaVersion: 2 });
+  });
+
+  it('does not import the file again after a restart', async () => {
+    preferences.updateUserPreferences('00u-imported', { theme: 'light' });
+    fs.writeFileSync(legacyJsonPath, JSON.stringify({ users: { '00u-imported': { theme: 'dark' }, '00u-added-later': {} } }));
+
+    // A new copy of the module migrates again on first use, as it would after a restart
+    const restarted = await import('../database/db.mjs?restart');
+
+    assert.equal(restarted.getUserPreferences('00u-imported').theme, 'light');
+    assert.equal(restarted.getUserPreferences('00u-added-later'), undefined);
+    assert.ok(fs.existsSync(legacyJsonPath));
+  });
+});
+
+describe('preference updates', () => {
+  it('saves supported choices', () => {
+    preferences.createUserPreferences('00u-update', 'update@example.com');
+
+    const updated = preferences.updateUserPreferences('00u-update', { theme: 'dark', currency_display: 'GBP', marketing_emails: 1 });
+
+    assert.equal(updated.theme, 'dark');
+    assert.equal(updated.currency_display, 'GBP');
+    assert.equal(updated.marketing_emails, 1);
+  });
+
+  it('refuses an unsupported choice and saves nothing', () => {
+    preferences.createUserPreferences('00u-invalid', 'invalid@example.com');
+
+    assert.throws(
+      () => preferences.updateUserPreferences('00u-invalid', { theme: 'dark', date_format: '<script>' }),
+      { code: 'INVALID_PREFERENCE', field: 'date_format' }
+    );
+    assert.equal(preferences.getUserPreferences('00u-invalid').theme, 'light');
+  });
+
+  it('ignores fields that are not preferences', () => {
+    preferences.createUserPreferences('00u-fields', 'fields@example.com');
+
+    const updated = preferences.updateUserPreferences('00u-fields', { email: 'attacker@example.com', okta_user_id: '00u-other' });
+
+    assert.equal(updated.email, 'fields@example.com');
+    assert.equal(updated.okta_user_id, '00u-fields');
+  });
+});
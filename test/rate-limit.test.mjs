@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startApp } from './support/app.mjs';
+
+// Small limits so a handful of requests reach them; every test user shares 127.0.0.1
+process.env.WIRE_LOCKOUT_THRESHOLD = '3';
+process.env.WIRE_LOCKOUT_MINUTES = '30';
+process.env.RATE_LIMIT_WIRE_PER_USER = '5/3600';
+process.env.RATE_LIMIT_WIRE_PER_IP = 'off';
+
+let app;
+let ledger;
+let database;
+let securityEvents;
+let rateLimitStores;
+
+before(async () => {
+  app = await startApp();
+  ledger = await import('../database/ledger.mjs');
+  database = (await import('../database/connection.mjs')).getDatabase();
+  securityEvents = await import('../database/securityEvents.mjs');
+  const { MemoryRateLimitStore } = await import('../services/rateLimit.mjs');
+  const { SqliteRateLimitStore } = await import('../database/sqliteRateLimitStore.mjs');
+  rateLimitStores = { memory: new MemoryRateLimitStore(), sqlite: new SqliteRateLimitStore() };
+});
+
+after(() => app.close());
+
+/**
+ * Sign in a new user who may send wires
+ */
+async function signInUser(id) {
+  const user = { id, displayName: id, emails: [{ value: `${id}@example.com` }] };
+  const signedIn = await app.signIn(user, { mfaVerified: true, mfaVerifiedAt: Date.now(), mfaAcr: 'urn:okta:loa:2fa:any' });
+  const checking = ledger.ensureUserAccounts(id).find(a => a.type === 'checking');
+  return { ...signedIn, id, checking };
+}
+
+/**
+ * Submit the wire form; an invalid routing number fails validation
+ */
+const postWire = (client, { valid = true } = {}) => app.request('/wire-transfer', {
+  method: 'POST',
+  cookie: client.cookie,
+  form: {
+    _csrf: client.csrfToken,
+    fromAccount: client.checking.id,
+    recipientName: 'Jane Doe',
+    recipientBank: 'Example Bank',
+    routingNumber: valid ? '021000021' : '12345',
+    accountNumber: '123456789',
+    amount: '10.00'
+  }
+});
+
+// Wires the user has started, drafts included
+const wireCount = (client) => database.prepare('SELECT COUNT(*) AS count FROM wire_transfers WHERE owner_id = ?').get(client.id).count;
+
+const isLockout = (response) => response.status === 429 && /Wire Transfers Temporarily Locked/.test(response.body);
+
+describe('wire lockout', () => {
+  it('locks the user out after repeated validation failures', async () => {
+    const client = await signInUser('lockout-failures');
+
+    assert.equal((await postWire(client, { valid: false })).status, 200);
+    assert.equal((await postWire(client, { valid: false })).status, 200);
+    const locked = await postWire(client, { valid: false });
+
+    assert.ok(isLockout(locked));
+    const retryAfter = Number(locked.headers.get('retry-after'));
+    assert.ok(retryAfter > 29 * 60 && retryAfter <= 30 * 60);
+  });
+
+  it('refuses valid wires and confirmations while locked out', async () => {
+    const client = await signInUser('lockout-refused');
+    const draft = await postWire(client);
+    const ref = draft.location.split('/').pop();
+    for (let i = 0; i < 3; i++) await postWire(client, { valid: false });
+
+    assert.ok(isLockout(await postWire(client)));
+    assert.ok(isLockout(await app.request(`/wire-transfer/${ref}/confirm`, {
+      method: 'POST',
+      cookie: client.cookie,
+      form: { _csrf: client.csrfToken, idempotencyToken: 'any' }
+    })));
+    assert.equal(wireCount(client), 1);
+  });
+
+  it('records the lockout in the security events', async () => {
+    const client = await signInUser('lockout-event');
+    for (let i = 0; i < 3; i++) await postWire(client, { valid: false });
+
+    const events = securityEvents.listSecurityEvents(client.id, { types: [securityEvents.SECURITY_EVENTS.WIRE_LOCKOUT] });
+    assert.equal(events.length, 1);
+  });
+
+  it('starts counting again after a valid wire', async () => {
+    const client = await signInUser('lockout-reset');
+
+    await postWire(client, { valid: false });
+    await postWire(client, { valid: false });
+    assert.equal((await postWire(client)).status, 302);
+    await postWire(client, { valid: false });
+    const response = await postWire(client, { valid: false });
+
+    assert.equal(response.status, 200);
+  });
+
+  it('locks out only the user who failed', async () => {
+    const failing = await signInUser('lockout-failing');
+    const bystander = await signInUser('lockout-bystander');
+    for (let i = 0; i < 3; i++) await postWire(failing, { valid: false });
+
+    assert.equal((await postWire(bystander)).status, 302);
+  });
+});
+
+describe('wire rate limit', () => {
+  it('answers 429 with Retry-After once the per-user limit is used up', async () => {
+    const client = await signInUser('rate-limited');
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await postWire(client)).status, 302);
+    }
+
+    const limited = await postWire(client);
+
+    assert.equal(limited.status, 429);
+    assert.match(limited.body, /Too Many Requests/);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal(wireCount(client), 5);
+  });
+});
+
+for (const backend of ['memory', 'sqlite']) {
+  describe(`${backend} rate limit store`, () => {
+    const store = () => rateLimitStores[backend];
+
+    it('allows hits up to the limit within the window', async () => {
+      const limit = { max: 2, windowMs: 60000 };
+
+      assert.equal((await store().consume('test:window', limit)).allowed, true);
+      assert.equal((await store().consume('test:window', limit)).allowed, true);
+      const refused = await store().consume('test:window', limit);
+
+      assert.equal(refused.allowed, false);
+      assert.ok(refused.resetAt > Date.now());
+    });
+
+    it('forgets hits once they leave the window', async () => {
+      const limit = { max: 1, windowMs: 20 };
+      await store().consume('test:expiry', limit);
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      assert.equal((await store().consume('test:expiry', limit)).allowed, true);
+    });
+
+    it('holds a lock until it expires', async () => {
+      const until = Date.now() + 60000;
+      await store().lock('test:lock', until);
+      await store().lock('test:expired-lock', Date.now() - 1);
+
+      assert.equal(await store().lockedUntil('test:lock'), until);
+      assert.equal(await store().lockedUntil('test:expired-lock'), null);
+      assert.equal(await store().lockedUntil('test:never-locked'), null);
+    });
+
+    it('starts over after a reset', async () => {
+      const limit = { max: 1, windowMs: 60000 };
+      await store().consume('test:reset', limit);
+
+      await store().reset('test:reset');
+
+      assert.equal((await store().consume('test:reset', limit)).allowed, true);
+    });
+  });
+}
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startApp } from './support/app.mjs';
+
+let app;
+let verifyStepUpClaims;
+
+before(async () => {
+  app = await startApp();
+  ({ verifyStepUpClaims } = await import('../services/stepUpPolicy.mjs'));
+});
+
+after(() => app.close());
+
+const secondsAgo = (seconds) => Math.floor(Date.now() / 1000) - seconds;
+
+/**
+ * Check step-up ID token claims as the oidc-mfa callback does
+ * @param {object} claims - Overrides for a fresh two-factor step-up
+ * @param {string} [requestedAcr] - acr_values the step-up asked for (the default level if omitted)
+ */
+const verify = (claims, requestedAcr) => verifyStepUpClaims(
+  { session: requestedAcr ? { stepUpAcr: requestedAcr } : {} },
+  { acr: 'urn:okta:loa:2fa:any', amr: ['pwd', 'mfa'], auth_time: secondsAgo(5), ...claims }
+);
+
+describe('step-up claim checks', () => {
+  it('accepts a fresh two-factor step-up', () => {
+    assert.equal(verify({}), null);
+    assert.equal(verify({ amr: ['pwd', 'otp'] }), null);
+  });
+
+  it('rejects a missing or unrecognized acr', () => {
+    assert.match(verify({ acr: undefined }), /no acr claim/);
+    assert.match(verify({ acr: 'urn:example:loa:9' }), /doesn't recognize/);
+  });
+
+  it('rejects an acr weaker than requested', () => {
+    assert.match(verify({ acr: 'urn:okta:loa:1fa:pwd', amr: ['pwd'] }), /needs urn:okta:loa:2fa:any/);
+    assert.match(verify({}, 'phr'), /needs phr, but you signed in with urn:okta:loa:2fa:any/);
+    assert.match(verify({ acr: 'phr', amr: ['pwd', 'hwk'] }, 'phrh'), /needs phrh/);
+  });
+
+  it('accepts a single factor when MFA was only asked for if possible', () => {
+    assert.equal(verify({ acr: 'urn:okta:loa:1fa:pwd', amr: ['pwd'] }, 'urn:okta:loa:2fa:any:ifpossible'), null);
+  });
+
+  it('rejects a multi-factor acr without multi-factor amr', () => {
+    assert.match(verify({ amr: undefined }), /only these sign-in methods: none/);
+    assert.match(verify({ amr: [] }), /only these sign-in methods: none/);
+    assert.match(verify({ amr: ['pwd'] }), /only these sign-in methods: pwd/);
+    assert.match(verify({ amr: ['pwd', 'pwd'] }), /only these sign-in methods/);
+  });
+
+  it('rejects a phishing-resistant acr without a phishing-resistant method', () => {
+    assert.match(verify({ acr: 'phr', amr: ['pwd', 'otp', 'mfa'] }, 'phr'), /phishing-resistant authenticator/);
+    assert.equal(verify({ acr: 'phr', amr: ['pwd', 'hwk'] }, 'phr'), null);
+  });
+
+  it('rejects a missing, stale or future auth_time', () => {
+    assert.match(verify({ auth_time: undefined }), /no auth_time claim/);
+    assert.match(verify({ auth_time: secondsAgo(6 * 60) }), /needs a fresh verification/);
+    assert.match(verify({ auth_time: secondsAgo(-5 * 60) }), /in the future/);
+  });
+
+  it('allows for a little clock skew', () => {
+    assert.equal(verify({ auth_time: secondsAgo(-30) }), null);
+  });
+});
+
+describe('step-up request', () => {
+  const startStepUp = async (session) => {
+    const { cookie } = await app.signIn({ id: 'step-up-user', displayName: 'Step Up', emails: [{ value: 'step-up@example.com' }] }, session);
+    const response = await app.request('/stepup-mfa', { cookie });
+    assert.equal(response.status, 302);
+    return new URL(response.location).searchParams;
+  };
+
+  it('makes Okta authenticate the user again', async () => {
+    const params = await startStepUp();
+
+    assert.equal(params.get('max_age'), '0');
+    assert.equal(params.get('acr_values'), 'urn:okta:loa:2fa:any');
+  });
+
+  it('asks for the level the step-up policy requires', async () => {
+    const params = await startStepUp({ stepUpAcr: 'phr' });
+
+    assert.equal(params.get('acr_values'), 'phr');
+    assert.equal(params.get('max_age'), '0');
+  });
+});
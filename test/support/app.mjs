@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import './env.mjs';
+import { startIdp } from './idp.mjs';
+
+/**
+ * Start the app against the stand-in identity provider
+ *
+ * Users are signed in by writing a session straight into the session store
+ * and sending its signed cookie, so tests don't go through the Okta redirect.
+ *
+ * @returns {Promise<object>}
+ *   idp - the identity provider (see support/idp.mjs)
+ *   signIn(user, session) - store a signed-in session; resolves to { sid, cookie, csrfToken }
+ *   request(path, options) - send a request without following redirects; resolves to { status, headers, location, body }
+ *   getSession(sid) - the stored session, or undefined once it is destroyed
+ *   close() - stop the app and the identity provider
+ */
+export async function startApp() {
+  const idp = await startIdp();
+  process.env.ORG_URL = idp.url;
+
+  const { default: app } = await import('../../app.mjs');
+  const { store } = await import('../../sessionStore.mjs');
+  const { getDiscoveryStatus } = await import('../../services/oidcDiscovery.mjs');
+
+  // Sign-in and step-up routes answer 503 until OIDC discovery has succeeded
+  while (!getDiscoveryStatus().ready) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const storeCall = (method, ...args) => new Promise((resolve, reject) => {
+    store[method](...args, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+
+  async function signIn(user, session = {}) {
+    const sid = crypto.randomBytes(16).toString('hex');
+    const csrfToken = crypto.randomBytes(16).toString('hex');
+    await storeCall('set', sid, {
+      cookie: { originalMaxAge: 3600000, expires: new Date(Date.now() + 3600000), httpOnly: true, path: '/' },
+      passport: { user },
+      loginAt: Date.now(),
+      csrfToken,
+      ...session
+    });
+    // express-session cookie: "s:" + sid + "." + HMAC-SHA256 signature
+    const signature = crypto.createHmac('sha256', process.env.SESSION_SECRET).update(sid).digest('base64').replace(/=+$/, '');
+    return { sid, cookie: `connect.sid=${encodeURIComponent(`s:${sid}.${signature}`)}`, csrfToken };
+  }
+
+  async function request(path, { method = 'GET', cookie, form, json, headers = {} } = {}) {
+    const init = { method, headers: { ...headers }, redirect: 'manual' };
+    if (cookie) init.headers.cookie = cookie;
+    if (form) {
+      init.headers['content-type'] = 'application/x-www-form-urlencoded';
+      init.body = new URLSearchParams(form).toString();
+    }
+    if (json) {
+      init.headers['content-type'] = 'application/json';
+      init.body = JSON.stringify(json);
+    }
+    const response = await fetch(baseUrl + path, init);
+    return {
+      status: response.status,
+      headers: response.headers,
+      location: response.headers.get('location'),
+      body: await response.text()
+    };
+  }
+
+  return {
+    idp,
+    signIn,
+    request,
+    getSession: (sid) => storeCall('get', sid),
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await idp.close();
+    }
+  };
+}
@@ -0,0 +1,22 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Test environment
+ *
+ * Import this before any application module: node --test runs every test
+ * file in its own process, and each one gets a fresh SQLite database in a
+ * temporary directory that is removed when the process exits.
+ */
+
+export const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securebank-test-'));
+
+process.env.DATABASE_PATH = path.join(tempDir, 'securebank.db');
+process.env.BASE_URL = 'http://localhost:3000';
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.CLIENT_ID = 'test-client';
+process.env.CLIENT_SECRET = 'test-client-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+process.on('exit', () => fs.rmSync(tempDir, { recursive: true, force: true }));
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Stand-in for the Okta org: OIDC discovery, the JWKS used to verify ID and
+ * logout tokens, and token and userinfo endpoints whose responses a test
+ * sets. Tokens are signed with sign().
+ */
+
+const KEY_ID = 'test-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+/**
+ * Start the identity provider on a random local port
+ * @returns {Promise<object>}
+ *   url - the issuer
+ *   sign(payload, { header }) - an RS256 JWT signed with the published key
+ *   tokenResponse(params) - set by a test: the token endpoint's [status, body] for the form parameters
+ *   userinfo - set by a test: the userinfo endpoint's response
+ *   close() - stop the server
+ */
+export async function startIdp() {
+  const idp = {
+    tokenResponse: () => [400, { error: 'invalid_grant' }],
+    userinfo: {}
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const json = (status, body) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    if (req.url === '/.well-known/openid-configuration') {
+      return json(200, {
+        issuer: url,
+        authorization_endpoint: `${url}/oauth2/v1/authorize`,
+        token_endpoint: `${url}/oauth2/v1/token`,
+        userinfo_endpoint: `${url}/oauth2/v1/userinfo`,
+        end_session_endpoint: `${url}/oauth2/v1/logout`,
+        revocation_endpoint: `${url}/oauth2/v1/revoke`,
+        jwks_uri: `${url}/oauth2/v1/keys`
+      });
+    }
+    if (req.url === '/oauth2/v1/keys') {
+      return json(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }] });
+    }
+    if (req.url === '/oauth2/v1/token') {
+      return json(...idp.tokenResponse(new URLSearchParams(body)));
+    }
+    if (req.url === '/oauth2/v1/userinfo') {
+      return json(200, idp.userinfo);
+    }
+    if (req.url === '/oauth2/v1/revoke') {
+      return json(200, {});
+    }
+    json(404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.unref();
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return Object.assign(idp, {
+    url,
+    sign: (payload, { header = {} } = {}) => jwt.sign(payload, privateKey, {
+      algorithm: 'RS256',
+      header: { alg: 'RS256', kid: KEY_ID, ...header }
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  });
+}
@@ -0,0 +1,242 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startApp } from './support/app.mjs';
+
+const STEP_UP_ACR = 'urn:okta:loa:2fa:any';
+
+let app;
+let ledger;
+let wires;
+
+before(async () => {
+  app = await startApp();
+  ledger = await import('../database/ledger.mjs');
+  wires = await import('../database/wireTransfers.mjs');
+});
+
+after(() => app.close());
+
+/**
+ * Sign in a new user who completed an MFA step-up a moment ago
+ * @returns {Promise<object>} The signed-in user: { user, cookie, csrfToken, checking }
+ */
+async function signInWithMfa(id) {
+  const user = { id, displayName: id, emails: [{ value: `${id}@example.com` }] };
+  const session = await app.signIn(user, { mfaVerified: true, mfaVerifiedAt: Date.now(), mfaAcr: STEP_UP_ACR });
+  const checking = ledger.ensureUserAccounts(id).find(a => a.type === 'checking');
+  return { ...session, user, checking };
+}
+
+/**
+ * Fill in the wire form and open the review page
+ * @returns {Promise<{ ref: string, idempotencyToken: string }>}
+ */
+async function draftWire(client, amount = '50.00') {
+  const draft = await app.request('/wire-transfer', {
+    method: 'POST',
+    cookie: client.cookie,
+    form: {
+      _csrf: client.csrfToken,
+      fromAccount: client.checking.id,
+      recipientName: 'Jane Doe',
+      recipientBank: 'Example Bank',
+      routingNumber: '021000021',
+      accountNumber: '123456789',
+      amount
+    }
+  });
+  assert.equal(draft.status, 302);
+  const ref = draft.location.split('/').pop();
+  return { ref, idempotencyToken: await openReview(client, ref) };
+}
+
+/**
+ * Open a transfer's review page, which issues a new one-time submit token
+ * @returns {Promise<string>} The idempotency token
+ */
+async function openReview(client, ref) {
+  const review = await app.request(`/wire-transfer/${ref}`, { cookie: client.cookie });
+  assert.equal(review.status, 200);
+  return /name="idempotencyToken" value="([^"]+)"/.exec(review.body)[1];
+}
+
+const confirm = (client, ref, idempotencyToken) => app.request(`/wire-transfer/${ref}/confirm`, {
+  method: 'POST',
+  cookie: client.cookie,
+  form: { _csrf: client.csrfToken, idempotencyToken }
+});
+
+/**
+ * Complete the MFA step-up a confirm asked for
+ * Okta's ID token carries the nonce from the authorization request unless
+ * `claims` replaces it; `params` adds to the token response.
+ * @returns {Promise<object>} The step-up callback response
+ */
+async function completeStepUp(client, ref, { claims = {}, params = {} } = {}) {
+  const start = await app.request(`/stepup-mfa?transaction=${encodeURIComponent(ref)}`, { cookie: client.cookie });
+  assert.equal(start.status, 302);
+  const authorize = new URL(start.location);
+
+  const now = Math.floor(Date.now() / 1000);
+  app.idp.userinfo = { sub: client.user.id };
+  app.idp.tokenResponse = () => [200, {
+    access_token: 'test-access-token',
+    token_type: 'Bearer',
+    expires_in: 3600,
+    id_token: app.idp.sign({
+      iss: app.idp.url,
+      aud: process.env.CLIENT_ID,
+      sub: client.user.id,
+      iat: now,
+      exp: now + 300,
+      auth_time: now,
+      acr: STEP_UP_ACR,
+      amr: ['pwd', 'mfa'],
+      nonce: authorize.searchParams.get('nonce'),
+      ...claims
+    }),
+    ...params
+  }];
+
+  const callback = await app.request(`/authorization-code/callback-mfa?code=test-code&state=${encodeURIComponent(authorize.searchParams.get('state'))}`, {
+    cookie: client.cookie
+  });
+  // Signing in again (as the step-up does) gives the session a new ID
+  const renewed = callback.headers.get('set-cookie');
+  if (renewed) {
+    client.cookie = renewed.split(';')[0];
+    client.sid = /^connect\.sid=s%3A([^.]+)\./.exec(client.cookie)[1];
+  }
+  return callback;
+}
+
+/**
+ * Draft a wire and authorize it with a step-up bound to it
+ * @returns {Promise<{ ref: string, idempotencyToken: string }>}
+ */
+async function authorizedWire(client, amount) {
+  const { ref, idempotencyToken } = await draftWire(client, amount);
+  const first = await confirm(client, ref, idempotencyToken);
+  assert.equal(first.location, `/stepup-mfa?transaction=${ref}`);
+
+  const callback = await completeStepUp(client, ref);
+  assert.equal(callback.status, 302);
+  assert.equal(callback.location, `/wire-transfer/${ref}`);
+  return { ref, idempotencyToken: await openReview(client, ref) };
+}
+
+describe('wire transfer confirmation', () => {
+  it('submits a wire once however often it is confirmed', async () => {
+    const client = await signInWithMfa('wire-twice');
+    const { ref, idempotencyToken } = await authorizedWire(client);
+
+    const submitted = await confirm(client, ref, idempotencyToken);
+    assert.equal(submitted.status, 302);
+    assert.equal(submitted.location, `/wire-transfer/${ref}?submitted=1`);
+
+    const repeated = await confirm(client, ref, idempotencyToken);
+    assert.equal(repeated.status, 302);
+    assert.equal(repeated.location, `/wire-transfer/${ref}`);
+
+    assert.equal(wires.getTransfer(client.user.id, ref).status, wires.WIRE_STATUS.SUBMITTED);
+    assert.equal(ledger.getBalance(client.checking.id), client.checking.balanceCents - 5000);
+  });
+
+  it('submits a wire once when confirms race', async () => {
+    const client = await signInWithMfa('wire-race');
+    const { ref, idempotencyToken } = await authorizedWire(client);
+
+    const responses = await Promise.all([1, 2, 3].map(() => confirm(client, ref, idempotencyToken)));
+
+    assert.equal(responses.filter(r => r.location === `/wire-transfer/${ref}?submitted=1`).length, 1);
+    assert.equal(ledger.getBalance(client.checking.id), client.checking.balanceCents - 5000);
+  });
+
+  it('refuses a token from a review page that was opened again', async () => {
+    const client = await signInWithMfa('wire-stale');
+    const { ref, idempotencyToken: stale } = await authorizedWire(client);
+    const current = await openReview(client, ref);
+
+    const refused = await confirm(client, ref, stale);
+    assert.equal(refused.location, `/wire-transfer/${ref}?error=stale_token`);
+    assert.equal(wires.getTransfer(client.user.id, ref).status, wires.WIRE_STATUS.REVIEWED);
+    assert.equal(ledger.getBalance(client.checking.id), client.checking.balanceCents);
+
+    const submitted = await confirm(client, ref, current);
+    assert.equal(submitted.location, `/wire-transfer/${ref}?submitted=1`);
+  });
+
+  it('refuses a missing token', async () => {
+    const client = await signInWithMfa('wire-no-token');
+    const { ref } = await authorizedWire(client);
+
+    const refused = await confirm(client, ref, '');
+    assert.equal(refused.location, `/wire-transfer/${ref}?error=stale_token`);
+    assert.equal(ledger.getBalance(client.checking.id), client.checking.balanceCents);
+  });
+});
+
+describe('wire transfer step-up binding', () => {
+  it('asks for a step-up before submitting', async () => {
+    const client = await signInWithMfa('bind-required');
+    const { ref, idempotencyToken } = await draftWire(client);
+
+    const response = await confirm(client, ref, idempotencyToken);
+
+    assert.equal(response.status, 302);
+    assert.equal(response.location, `/stepup-mfa?transaction=${ref}`);
+    assert.equal(wires.getTransfer(client.user.id, ref).status, wires.WIRE_STATUS.REVIEWED);
+    assert.equal(ledger.getBalance(client.checking.id), client.checking.balanceCents);
+  });
+
+  it('refuses an ID token issued for another transaction', async () => {
+    const client = await signInWithMfa('bind-nonce');
+    const { ref, idempotencyToken } = await draftWire(client);
+    await confirm(client, ref, idempotencyToken);
+
+    const callback = await completeStepUp(client, ref, { claims: { nonce: 'issued-for-another-wire' } });
+    assert.equal(callback.status, 403);
+
+    const retried = await confirm(client, ref, await openReview(client, ref));
+    assert.equal(retried.location, `/stepup-mfa?transaction=${ref}`);
+    assert.equal(ledger.getBalance(client.checking.id), client.checking.balanceCents);
+  });
+
+  it('refuses a step-up whose authorization details name another transaction', async () => {
+    const client = await signInWithMfa('bind-rar');
+    const { ref, idempotencyToken } = await draftWire(client);
+    await confirm(client, ref, idempotencyToken);
+
+    const callback = await completeStepUp(client, ref, {
+      params: { authorization_details: [{ type: 'wire_transfer', transactionHash: 'another-transaction' }] }
+    });
+    assert.equal(callback.status, 403);
+    assert.match(callback.body, /Verification not accepted/);
+
+    const retried = await confirm(client, ref, await openReview(client, ref));
+    assert.equal(retried.location, `/stepup-mfa?transaction=${ref}`);
+    assert.equal(ledger.getBalance(client.checking.id), client.checking.balanceCents);
+  });
+
+  it('does not let a step-up for one wire submit another', async () => {
+    const client = await signInWithMfa('bind-other');
+    const other = await draftWire(client, '25.00');
+    await authorizedWire(client);
+
+    const response = await confirm(client, other.ref, await openReview(client, other.ref));
+
+    assert.equal(response.location, `/stepup-mfa?transaction=${other.ref}`);
+    assert.equal(wires.getTransfer(client.user.id, other.ref).status, wires.WIRE_STATUS.REVIEWED);
+    assert.equal(ledger.getBalance(client.checking.id), client.checking.balanceCents);
+  });
+
+  it('uses up the authorization with the wire it covers', async () => {
+    const client = await signInWithMfa('bind-consumed');
+    const { ref, idempotencyToken } = await authorizedWire(client);
+
+    await confirm(client, ref, idempotencyToken);
+
+    const session = await app.getSession(client.sid);
+    assert.equal(session.transactionAuthorization, undefined);
+  });
+});
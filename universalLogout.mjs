@@ -1,10 +1,45 @@
 import { Router } from 'express';
 import jwt from 'jsonwebtoken';
 import jwksClient from 'jwks-rsa';
-import { destroyUserSessions } from './sessionStore.mjs';
+import {
+  findUserSessions, findUserSessionsBySubject, destroyUserSessions, destroyUserSessionsBySubject
+} from './sessionStore.mjs';
+import { getSessionTokens, revokeTokens } from './services/tokenVault.mjs';
+import { recordTokenId } from './database/replayCache.mjs';
+import { createLogger } from './services/logger.mjs';
+
+const log = createLogger('universal-logout');
 
 export const universalLogoutRoute = Router();
 
+const GTR_TOKEN_TYPE = 'global-token-revocation+jwt';
+
+const listFromEnv = (value, fallback) => value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback;
+
+/**
+ * Validation policy for GTR request JWTs
+ *
+ * strict (default): `typ` must be global-token-revocation+jwt, and `jti`,
+ * `iat` and `exp` are required. lenient: those are only warned about, for
+ * testing with hand-made tokens. Either way a `jti` is accepted only once
+ * (until the token expires), tokens older than maxTokenAge are rejected,
+ * and only the pinned algorithms (and key IDs, if set) are trusted.
+ */
+const GTR_POLICY = {
+  strict: (process.env.GTR_VALIDATION_MODE || 'strict').toLowerCase() !== 'lenient',
+  algorithms: listFromEnv(process.env.GTR_ALLOWED_ALGS, ['RS256']),
+  // Empty: any key published in the org's JWKS
+  kids: listFromEnv(process.env.GTR_ALLOWED_KIDS, []),
+  maxTokenAge: Number(process.env.GTR_MAX_TOKEN_AGE_SECONDS ?? 300) * 1000,
+  clockTolerance: 30 // Allow 30 seconds of clock skew
+};
+
+/**
+ * A GTR token rejected by the validation policy
+ * @param {string} description - OAuth error_description returned to the caller
+ */
+const invalidToken = (description) => Object.assign(new Error(description), { name: 'InvalidTokenError' });
+
 // JWKS client for fetching Okta's public keys
 let jwksClientInstance = null;
 
@@ -21,15 +56,16 @@ export function initializeJwksClient(orgUrl) {
     rateLimit: true,
     jwksRequestsPerMinute: 10
   });
-  console.log(`JWKS client initialized for: ${baseUrl}/oauth2/v1/keys`);
+  log.info('JWKS client initialized', { jwksUri: `${baseUrl}/oauth2/v1/keys` });
 }
 
 /**
  * Get the signing key from JWKS
+ * Also used to verify OIDC logout tokens (oidcLogout.mjs)
  * @param {object} header - JWT header containing kid
  * @returns {Promise<string>} The public key
  */
-function getSigningKey(header) {
+export function getSigningKey(header) {
   return new Promise((resolve, reject) => {
     if (!jwksClientInstance) {
       reject(new Error('JWKS client not initialized'));
@@ -49,9 +85,13 @@ function getSigningKey(header) {
  * Validate the Universal Logout JWT token from Okta
  *
  * Expected JWT format:
- * Header: { "typ": "global-token-revocation+jwt", "alg": "RS256" }
+ * Header: { "typ": "global-token-revocation+jwt", "alg": "RS256", "kid" }
  * Payload: { "jti", "iss", "sub", "aud", "exp", "nbf", "iat" }
  *
+ * Checks are applied according to GTR_POLICY. The token's `jti` isn't
+ * recorded here: the route consumes it (consumeTokenId) once the request
+ * itself has been validated, so a rejected request doesn't use it up.
+ *
  * @param {string} token - The JWT token
  * @param {string} expectedAudience - The expected audience (revocation endpoint URL)
  * @param {string} expectedIssuer - The expected issuer (Okta org URL)
@@ -62,42 +102,94 @@ async function validateLogoutToken(token, expectedAudience, expectedIssuer) {
   const decoded = jwt.decode(token, { complete: true });
 
   if (!decoded) {
-    throw new Error('Invalid token format');
+    throw invalidToken('Invalid token format');
   }
 
+  const { typ, alg, kid } = decoded.header;
+
   // Validate token type
-  if (decoded.header.typ !== 'global-token-revocation+jwt') {
-    console.warn(`Unexpected token type: ${decoded.header.typ}`);
-    // Allow for flexibility during development/testing
+  if (typ !== GTR_TOKEN_TYPE) {
+    if (GTR_POLICY.strict) {
+      throw invalidToken(`Unexpected token type "${typ}"; expected "${GTR_TOKEN_TYPE}"`);
+    }
+    log.warn('Unexpected token type (allowed in lenient mode)', { typ });
+  }
+
+  if (!GTR_POLICY.algorithms.includes(alg)) {
+    throw invalidToken(`Signing algorithm "${alg}" is not allowed`);
+  }
+
+  if (GTR_POLICY.kids.length > 0 && !GTR_POLICY.kids.includes(kid)) {
+    throw invalidToken(kid ? `Signing key "${kid}" is not allowed` : 'Token header has no kid');
   }
 
   // Get the signing key
-  const signingKey = await getSigningKey(decoded.header);
+  let signingKey;
+  try {
+    signingKey = await getSigningKey(decoded.header);
+  } catch (err) {
+    log.error('Unable to get signing key', { kid, error: err.message });
+    throw invalidToken(`Signing key "${kid}" not found in the issuer's JWKS`);
+  }
 
   // Verify the token (skip audience in jwt.verify; we check it manually below
   // to normalize double-slash URLs that Okta may produce in the aud claim)
-  return new Promise((resolve, reject) => {
+  const payload = await new Promise((resolve, reject) => {
     jwt.verify(token, signingKey, {
-      algorithms: ['RS256', 'RS384', 'RS512'],
+      algorithms: GTR_POLICY.algorithms,
       issuer: expectedIssuer,
-      clockTolerance: 30 // Allow 30 seconds of clock skew
-    }, (err, payload) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      // Normalize URLs before comparing (replace double-slashes, preserving protocol)
-      const normalize = (url) => url.replace(/([^:])\/\/+/g, '$1/');
-      if (normalize(payload.aud) !== normalize(expectedAudience)) {
-        reject(Object.assign(
-          new Error(`jwt audience invalid. expected: ${normalize(expectedAudience)}`),
-          { name: 'JsonWebTokenError' }
-        ));
-        return;
-      }
-      resolve(payload);
-    });
+      clockTolerance: GTR_POLICY.clockTolerance
+    }, (err, verified) => err ? reject(err) : resolve(verified));
   });
+
+  // Normalize URLs before comparing (replace double-slashes, preserving protocol)
+  const normalize = (url) => url.replace(/([^:])\/\/+/g, '$1/');
+  if (typeof payload.aud !== 'string' || normalize(payload.aud) !== normalize(expectedAudience)) {
+    throw invalidToken(`Token audience is not ${normalize(expectedAudience)}`);
+  }
+
+  const now = Date.now();
+  const skew = GTR_POLICY.clockTolerance * 1000;
+
+  if (payload.exp === undefined && GTR_POLICY.strict) {
+    throw invalidToken('Token has no exp claim');
+  }
+
+  if (payload.iat === undefined) {
+    if (GTR_POLICY.strict) throw invalidToken('Token has no iat claim');
+    log.warn('Token has no iat claim (allowed in lenient mode)');
+  } else {
+    const issuedAt = payload.iat * 1000;
+    if (issuedAt > now + skew) {
+      throw invalidToken('Token was issued in the future');
+    }
+    if (now - issuedAt > GTR_POLICY.maxTokenAge + skew) {
+      throw invalidToken(`Token is older than the maximum age of ${GTR_POLICY.maxTokenAge / 1000} seconds`);
+    }
+  }
+
+  if (!payload.jti) {
+    if (GTR_POLICY.strict) throw invalidToken('Token has no jti claim');
+    log.warn('Token has no jti claim (allowed in lenient mode)');
+  }
+
+  return payload;
+}
+
+/**
+ * Record a validated token's `jti` in the replay cache
+ * @param {object} payload - Token payload from validateLogoutToken()
+ * @returns {boolean} false if the jti has been used before (a replay)
+ */
+function consumeTokenId(payload) {
+  if (!payload.jti) return true;
+
+  // Keep the jti until the token can no longer be used
+  const skew = GTR_POLICY.clockTolerance * 1000;
+  const expiresAt = payload.exp !== undefined
+    ? payload.exp * 1000 + skew
+    : (payload.iat !== undefined ? payload.iat * 1000 : Date.now()) + GTR_POLICY.maxTokenAge + skew;
+  return recordTokenId('gtr', payload.jti, expiresAt);
 }
 
 /**
@@ -137,7 +229,8 @@ function extractUserIdentifier(subId) {
 
 /**
  * Middleware to authenticate Universal Logout requests
- * Validates the JWT bearer token from Okta
+ * Validates the JWT bearer token from Okta. Mount it on the GTR route only,
+ * ahead of universalLogoutRoute.
  */
 export function universalLogoutAuth(orgUrl, revocationEndpoint) {
   const expectedIssuer = orgUrl.endsWith('/') ? orgUrl.slice(0, -1) : orgUrl;
@@ -146,7 +239,7 @@ export function universalLogoutAuth(orgUrl, revocationEndpoint) {
     const authHeader = req.headers.authorization;
 
     if (!authHeader) {
-      console.log('Universal logout: Missing authorization header');
+      log.warn('Missing authorization header');
       return res.status(401).json({
         error: 'unauthorized',
         error_description: 'Missing authorization header'
@@ -156,7 +249,7 @@ export function universalLogoutAuth(orgUrl, revocationEndpoint) {
     const [scheme, token] = authHeader.split(' ');
 
     if (scheme.toLowerCase() !== 'bearer' || !token) {
-      console.log('Universal logout: Invalid authorization scheme');
+      log.warn('Invalid authorization scheme');
       return res.status(401).json({
         error: 'unauthorized',
         error_description: 'Invalid authorization scheme. Expected: Bearer {token}'
@@ -167,33 +260,37 @@ export function universalLogoutAuth(orgUrl, revocationEndpoint) {
       // Validate the JWT
       const payload = await validateLogoutToken(token, revocationEndpoint, expectedIssuer);
 
-      console.log('Universal logout: Token validated successfully');
-      console.log('Token payload:', JSON.stringify(payload, null, 2));
+      log.info('Token validated', { iss: payload.iss, jti: payload.jti, exp: payload.exp });
 
       // Attach the validated token payload to the request
       req.logoutToken = payload;
       next();
     } catch (err) {
-      console.error('Universal logout: Token validation failed:', err.message);
-
-      // Check for specific JWT errors
-      if (err.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          error: 'unauthorized',
-          error_description: 'Token has expired'
-        });
-      }
-
-      if (err.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          error: 'unauthorized',
-          error_description: `Invalid token: ${err.message}`
-        });
+      log.warn('Token validation failed', { error: err.message });
+
+      // Map the failure to a specific OAuth (RFC 6750) error description
+      let description;
+      switch (err.name) {
+        case 'InvalidTokenError':
+          description = err.message;
+          break;
+        case 'TokenExpiredError':
+          description = 'Token has expired';
+          break;
+        case 'NotBeforeError':
+          description = 'Token is not yet valid (nbf)';
+          break;
+        case 'JsonWebTokenError':
+          description = err.message === 'invalid signature' ? 'Invalid token signature' : `Invalid token: ${err.message}`;
+          break;
+        default:
+          description = 'Token validation failed';
       }
 
+      res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${description.replace(/"/g, "'")}"`);
       return res.status(401).json({
-        error: 'unauthorized',
-        error_description: 'Token validation failed'
+        error: 'invalid_token',
+        error_description: description
       });
     }
   };
@@ -227,6 +324,10 @@ export function universalLogoutAuth(orgUrl, revocationEndpoint) {
  *   }
  * }
  *
+ * The user's access and refresh tokens (from the session token vault) are
+ * revoked at Okta's revocation_endpoint first, then the sessions are destroyed.
+ * Sessions are destroyed even when a token couldn't be revoked.
+ *
  * Response codes per Okta specification:
  * - 204: Success - user sessions and tokens revoked
  * - 400: Malformed request or unrecognized subject identifier
@@ -236,15 +337,12 @@ export function universalLogoutAuth(orgUrl, revocationEndpoint) {
  * - 422: Unable to revoke user sessions
  */
 universalLogoutRoute.post('/global-token-revocation', async (req, res) => {
-  console.log('==========================================');
-  console.log('Universal Logout Request Received');
-  console.log('==========================================');
-  console.log('Headers:', JSON.stringify(req.headers, null, 2));
-  console.log('Body:', JSON.stringify(req.body, null, 2));
+  // Headers (Authorization) and the body (subject identifiers) stay out of the logs
+  log.info('Universal Logout request received', { format: req.body?.sub_id?.format });
 
   // Validate request body exists
   if (!req.body) {
-    console.log('Error: Empty request body');
+    log.warn('Rejected: empty request body');
     return res.status(400).json({
       error: 'invalid_request',
       error_description: 'Request body is required'
@@ -255,7 +353,7 @@ universalLogoutRoute.post('/global-token-revocation', async (req, res) => {
 
   // Validate sub_id structure
   if (!sub_id) {
-    console.log('Error: Missing sub_id');
+    log.warn('Rejected: missing sub_id');
     return res.status(400).json({
       error: 'invalid_request',
       error_description: 'sub_id is required'
@@ -266,42 +364,72 @@ universalLogoutRoute.post('/global-token-revocation', async (req, res) => {
   const userIdentifier = extractUserIdentifier(sub_id);
 
   if (!userIdentifier) {
-    console.log('Error: Invalid or unrecognized subject identifier format');
+    log.warn('Rejected: unrecognized subject identifier format', { format: sub_id.format });
     return res.status(400).json({
       error: 'invalid_request',
       error_description: `Unrecognized subject identifier format: ${sub_id.format}. Supported formats: email, iss_sub`
     });
   }
 
-  console.log(`Processing logout for: ${userIdentifier.type} = ${userIdentifier.value}`);
+  // The request is valid: use up the token's jti now, so only one request can act on it
+  if (!req.logoutToken) {
+    log.error('Rejected: request was not authenticated (universalLogoutAuth not mounted)');
+    return res.status(401).json({
+      error: 'unauthorized',
+      error_description: 'Missing authorization header'
+    });
+  }
+  if (!consumeTokenId(req.logoutToken)) {
+    log.warn('Rejected: token replay', { jti: req.logoutToken.jti });
+    const description = 'Token has already been used (jti replay)';
+    res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${description}"`);
+    return res.status(401).json({
+      error: 'invalid_token',
+      error_description: description
+    });
+  }
+
+  log.info('Processing logout', { subjectType: userIdentifier.type, subject: userIdentifier.value });
 
   try {
     let destroyedCount = 0;
 
+    // Revoke the tokens held in the user's sessions before the sessions (and the tokens) are gone
+    // For iss_sub format, look up sessions by the Okta subject ID recorded at login
+    const sessions = userIdentifier.type === 'email'
+      ? await findUserSessions(userIdentifier.email)
+      : await findUserSessionsBySubject(userIdentifier.subject);
+    const revocation = await revokeTokens([...sessions.values()].map(getSessionTokens));
+
     // Handle based on identifier type
     if (userIdentifier.type === 'email') {
       destroyedCount = await destroyUserSessions(userIdentifier.email);
     } else if (userIdentifier.type === 'iss_sub') {
-      // For iss_sub format, we need to look up the user by their Okta subject ID
-      // This would typically involve a database lookup to map sub to email
-      // For now, we'll attempt to destroy sessions using the subject as an identifier
       destroyedCount = await destroyUserSessionsBySubject(userIdentifier.subject);
     }
 
+    if (revocation.failed > 0) {
+      log.error('Token revocation incomplete', { subject: userIdentifier.value, revoked: revocation.revoked, failed: revocation.failed });
+      return res.status(422).json({
+        error: 'unprocessable_entity',
+        error_description: `Unable to revoke ${revocation.failed} of ${revocation.revoked + revocation.failed} token(s); user sessions were ended`
+      });
+    }
+
     if (destroyedCount === 0) {
       // Per Okta spec: 404 if user not found by subject identifier
       // However, for security, some implementations return 204 to not leak user existence
-      console.log(`No active sessions found for: ${userIdentifier.value}`);
+      log.info('No active sessions found', { subject: userIdentifier.value });
 
       // Return 204 for idempotent behavior (recommended for security)
       return res.sendStatus(204);
     }
 
-    console.log(`Successfully revoked ${destroyedCount} session(s) for: ${userIdentifier.value}`);
+    log.info('User signed out everywhere', { subject: userIdentifier.value, sessions: destroyedCount, revoked: revocation.revoked });
     return res.sendStatus(204);
 
   } catch (error) {
-    console.error('Error during universal logout:', error);
+    log.error('Error during universal logout', error);
 
     // 422: Unable to revoke user sessions
     return res.status(422).json({
@@ -311,63 +439,9 @@ universalLogoutRoute.post('/global-token-revocation', async (req, res) => {
   }
 });
 
-/**
- * Destroy sessions by Okta subject ID
- * Used for iss_sub format identifiers
- *
- * @param {string} subject - The Okta subject ID
- * @returns {Promise<number>} Number of sessions destroyed
- */
-async function destroyUserSessionsBySubject(subject) {
-  // Import store directly for session scanning
-  const { store } = await import('./sessionStore.mjs');
-
-  return new Promise((resolve) => {
-    let destroyedCount = 0;
-
-    store.all((err, sessions) => {
-      if (err || !sessions) {
-        resolve(0);
-        return;
-      }
-
-      for (const [sid, sessionData] of Object.entries(sessions)) {
-        if (sessionData.passport && sessionData.passport.user) {
-          const user = sessionData.passport.user;
-          // Check if the user's Okta ID matches the subject
-          if (user.id === subject || user._json?.sub === subject) {
-            store.destroy(sid, (destroyErr) => {
-              if (destroyErr) {
-                console.error(`Error destroying session ${sid}:`, destroyErr);
-              }
-            });
-            destroyedCount++;
-          }
-        }
-      }
-
-      console.log(`Destroyed ${destroyedCount} sessions for subject: ${subject}`);
-      resolve(destroyedCount);
-    });
-  });
-}
-
-/**
- * Health check endpoint
- */
-universalLogoutRoute.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    service: 'SecureBank Universal Logout',
-    version: '2.0',
-    supported_formats: ['email', 'iss_sub'],
-    timestamp: new Date().toISOString()
-  });
-});
-
 // Error handler for universal logout routes
 universalLogoutRoute.use((err, req, res, next) => {
-  console.error('Universal logout error:', err);
+  log.error('Universal logout error', err);
   return res.status(500).json({
     error: 'server_error',
     error_description: 'An unexpected error occurred'